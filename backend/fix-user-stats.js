@@ -1 +1,30 @@
- 
\ No newline at end of file
+// Recompute every user's stats (totals, average form accuracy, streaks and
+// last workout) from their workout sessions.
+//
+//   node fix-user-stats.js
+//
+// Safe to run at any time; it only overwrites User.stats.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { backfillAllUserStats } = require('./src/services/userStats');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/technova-workout';
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log('Connected to MongoDB, recomputing user stats...');
+
+  const processed = await backfillAllUserStats({
+    onProgress: (count) => console.log(`  ${count} users done`)
+  });
+
+  console.log(`Recomputed stats for ${processed} users`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Failed to recompute user stats:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -1,5 +1,4 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { verifyToken, tokenErrorMessage } = require('../utils/tokens');
 const logger = require('../utils/logger');
 
 const auth = async (req, res, next) => {
@@ -14,12 +13,8 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // Get user from database
-    const user = await User.findById(decoded.id);
+    // Verify token and get user from database
+    const user = await verifyToken(token);
     
     if (!user) {
       return res.status(401).json({
@@ -35,17 +30,11 @@ const auth = async (req, res, next) => {
   } catch (error) {
     logger.error('Auth middleware error:', error);
     
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token is not valid'
-      });
-    }
-    
-    if (error.name === 'TokenExpiredError') {
+    const message = tokenErrorMessage(error);
+    if (message) {
       return res.status(401).json({
         success: false,
-        message: 'Token has expired'
+        message
       });
     }
 
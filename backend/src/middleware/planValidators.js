@@ -0,0 +1,30 @@
+const { body } = require('express-validator');
+const exerciseDefinitions = require('../services/exerciseDefinitions');
+
+// Validation for a workout plan: ordered blocks, each with one or more
+// exercises repeated for a number of rounds. With `optional`, the plan is
+// only checked when the request has one.
+const planValidators = (field, { optional = false } = {}) => {
+  const planField = (paths) => (optional ? body(paths).if(body(field).exists()) : body(paths));
+
+  return [
+    planField(`${field}.blocks`).isArray({ min: 1, max: 20 })
+      .withMessage('A plan needs between 1 and 20 blocks'),
+    planField(`${field}.blocks.*.type`).optional().isIn(['straight', 'superset', 'circuit'])
+      .withMessage('Block type must be straight, superset or circuit'),
+    planField(`${field}.blocks.*.rounds`).optional().isInt({ min: 1, max: 20 })
+      .withMessage('Rounds must be between 1 and 20'),
+    planField([`${field}.blocks.*.restBetweenExercises`, `${field}.blocks.*.restBetweenRounds`])
+      .optional().isInt({ min: 0, max: 1800 })
+      .withMessage('Rest must be between 0 and 1800 seconds'),
+    planField(`${field}.blocks.*.exercises`).isArray({ min: 1, max: 10 })
+      .withMessage('Each block needs between 1 and 10 exercises'),
+    planField(`${field}.blocks.*.exercises.*.exercise`).isIn(exerciseDefinitions.getExerciseIds())
+      .withMessage('Invalid exercise type'),
+    planField([`${field}.blocks.*.exercises.*.targetReps`, `${field}.blocks.*.exercises.*.targetHoldSeconds`])
+      .optional().isInt({ min: 1, max: 1000 })
+      .withMessage('Targets must be positive whole numbers')
+  ];
+};
+
+module.exports = planValidators;
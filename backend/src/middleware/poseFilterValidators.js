@@ -0,0 +1,35 @@
+const { body, validationResult } = require('express-validator');
+const PoseFilter = require('../services/PoseFilter');
+
+// Validation for pose filter parameters (see PoseFilter). Cutoffs and the
+// EMA weight must stay above zero, where the filter would stop following the
+// pose; the upper bounds keep the filter within a useful range.
+const poseFilterValidators = (field) => [
+  body(field).optional().isObject()
+    .withMessage('Pose filter must be an object'),
+  body(`${field}.method`).optional().isIn(PoseFilter.FILTER_METHODS)
+    .withMessage(`Pose filter method must be one of: ${PoseFilter.FILTER_METHODS.join(', ')}`),
+  body([`${field}.minCutoff`, `${field}.dCutoff`]).optional().isFloat({ gt: 0, max: 30 })
+    .withMessage('Pose filter cutoffs must be above 0 and at most 30 Hz').toFloat(),
+  body(`${field}.beta`).optional().isFloat({ min: 0, max: 10 })
+    .withMessage('Pose filter beta must be between 0 and 10').toFloat(),
+  body(`${field}.alpha`).optional().isFloat({ gt: 0, max: 1 })
+    .withMessage('Pose filter alpha must be above 0 and at most 1').toFloat(),
+  body(`${field}.boneLengthTolerance`).optional().isFloat({ gt: 0, max: 2 })
+    .withMessage('Bone length tolerance must be above 0 and at most 2').toFloat(),
+  body(`${field}.maxRejectedFrames`).optional().isInt({ min: 0, max: 300 })
+    .withMessage('Max rejected frames must be between 0 and 300').toInt()
+];
+
+// Apply the same checks outside an HTTP request (the pose socket). Returns
+// the validation errors and the sanitized filter.
+const validatePoseFilter = async (filter) => {
+  const req = { body: { filter } };
+  await Promise.all(poseFilterValidators('filter').map(chain => chain.run(req)));
+
+  return { errors: validationResult(req).array(), filter: req.body.filter };
+};
+
+poseFilterValidators.validatePoseFilter = validatePoseFilter;
+
+module.exports = poseFilterValidators;
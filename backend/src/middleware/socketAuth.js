@@ -0,0 +1,33 @@
+const { verifyToken, tokenErrorMessage } = require('../utils/tokens');
+const logger = require('../utils/logger');
+
+// Socket.IO counterpart of middleware/auth.js. The token is read from the
+// handshake auth payload (`io(url, { auth: { token } })`) or, for clients
+// that can only set headers, from the Authorization header.
+const socketAuth = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token ||
+      socket.handshake.headers?.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return next(new Error('No token, authorization denied'));
+    }
+
+    // Verify token and get user from database
+    const user = await verifyToken(token);
+
+    if (!user) {
+      return next(new Error('Token is not valid'));
+    }
+
+    // Add user to socket object
+    socket.user = user;
+    next();
+
+  } catch (error) {
+    logger.error('Socket auth error:', error);
+    next(new Error(tokenErrorMessage(error) || 'Server error in authentication'));
+  }
+};
+
+module.exports = socketAuth;
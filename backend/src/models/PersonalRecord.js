@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const exerciseDefinitions = require('../services/exerciseDefinitions');
+
+// A personal best set in a workout session. Each new best of an exercise
+// and metric is a new document, so the collection is also the PR history.
+const personalRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  exercise: {
+    type: String,
+    required: true,
+    enum: exerciseDefinitions.getExerciseIds()
+  },
+  metric: {
+    type: String,
+    required: true,
+    enum: ['max_reps', 'best_form_accuracy', 'longest_hold', 'heaviest_load', 'deepest_angle']
+  },
+  value: { type: Number, required: true },
+  unit: {
+    type: String,
+    enum: ['reps', 'percent', 'seconds', 'kg', 'degrees']
+  },
+  previousValue: Number, // the best it beat, if there was one
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkoutSession',
+    required: true
+  },
+  setId: mongoose.Schema.Types.ObjectId,
+  achievedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+personalRecordSchema.index({ userId: 1, exercise: 1, metric: 1, achievedAt: -1 });
+
+module.exports = mongoose.model('PersonalRecord', personalRecordSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { frameFields } = require('./poseFields');
+
+// Pose frames recorded during a workout session. Frames are kept out of the
+// WorkoutSession document so a long session cannot hit the 16 MB document
+// limit, and are stored in a time-series collection bucketed by session.
+const poseFrameSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkoutSession',
+    required: true
+  },
+  ...frameFields()
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'sessionId',
+    granularity: 'seconds'
+  },
+  versionKey: false
+});
+
+poseFrameSchema.index({ sessionId: 1, timestamp: 1 });
+
+// Frames of a session in time order, as plain objects, optionally limited
+// to the time range [from, to]
+poseFrameSchema.statics.findForSession = function(sessionId, { from, to } = {}) {
+  const query = { sessionId };
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = from;
+    if (to) query.timestamp.$lte = to;
+  }
+
+  return this.find(query)
+    .sort({ timestamp: 1 })
+    .select('-_id -sessionId')
+    .lean();
+};
+
+module.exports = mongoose.model('PoseFrame', poseFrameSchema);
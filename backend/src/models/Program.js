@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const exerciseDefinitions = require('../services/exerciseDefinitions');
+
+// A multi-week training program: workout templates scheduled on days of the
+// week, with rules that raise targets from week to week as form improves
+const programSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a program name'],
+    trim: true,
+    maxlength: [100, 'Program name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // First day of week 1
+  startDate: {
+    type: Date,
+    required: true
+  },
+  weeks: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 52
+  },
+  schedule: [{
+    _id: false,
+    day: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkoutTemplate',
+      required: true
+    },
+    // Weeks (1-based) the entry applies to; every week when empty
+    weeks: [{ type: Number, min: 1 }]
+  }],
+  // e.g. { exercise: 'squat', metric: 'reps', increment: 2, minFormAccuracy: 85 }
+  // adds 2 reps to squat targets for every week squat form reached 85%
+  progression: [{
+    _id: false,
+    exercise: { type: String, enum: exerciseDefinitions.getExerciseIds() }, // every exercise when unset
+    metric: {
+      type: String,
+      enum: ['reps', 'holdSeconds'],
+      default: 'reps'
+    },
+    increment: { type: Number, required: true, min: 1 },
+    minFormAccuracy: { type: Number, min: 0, max: 100, default: 85 },
+    maxIncrements: { type: Number, min: 1 }
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+programSchema.index({ userId: 1, active: 1, startDate: -1 });
+
+// Update the updatedAt field before saving
+programSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Program', programSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimeZone } = require('../utils/dates');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -39,6 +40,18 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['strength', 'endurance', 'flexibility', 'weight_loss', 'muscle_gain']
     }],
+    // Joint range-of-motion limits (degrees) that form rules should respect,
+    // e.g. { joint: 'knee', minAngle: 110 } for a user who cannot squat deeper
+    mobilityLimits: [{
+      _id: false,
+      joint: {
+        type: String,
+        enum: ['knee', 'hip', 'elbow', 'shoulder'],
+        required: true
+      },
+      minAngle: { type: Number, min: 0, max: 180 },
+      maxAngle: { type: Number, min: 0, max: 180 }
+    }],
     avatar: String
   },
   preferences: {
@@ -47,6 +60,28 @@ const userSchema = new mongoose.Schema({
       enum: ['metric', 'imperial'],
       default: 'metric'
     },
+    // IANA time zone used to decide which calendar day a workout falls on
+    timeZone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Please provide a valid IANA time zone, e.g. Europe/Berlin'
+      }
+    },
+    // Days in any seven that can be missed without breaking the streak
+    restDaysPerWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: 0
+    },
+    // Formula for estimated one-rep maxes (see services/load.js)
+    oneRepMaxFormula: {
+      type: String,
+      enum: ['epley', 'brzycki'],
+      default: 'epley'
+    },
     notifications: {
       workout_reminders: { type: Boolean, default: true },
       progress_updates: { type: Boolean, default: true },
@@ -61,8 +96,12 @@ const userSchema = new mongoose.Schema({
     totalWorkouts: { type: Number, default: 0 },
     totalReps: { type: Number, default: 0 },
     averageFormAccuracy: { type: Number, default: 0 },
-    streakDays: { type: Number, default: 0 },
-    lastWorkout: Date
+    streakDays: { type: Number, default: 0 }, // workout days in the current streak
+    longestStreak: { type: Number, default: 0 },
+    lastWorkout: Date,
+    // Day (in the user's time zone) the streak was computed for; a streak
+    // can only lapse once that day is over
+    computedFor: String
   },
   createdAt: {
     type: Date,
@@ -77,7 +116,7 @@ const userSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(10);
@@ -96,37 +135,4 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Update user stats
-userSchema.methods.updateStats = function(workoutData) {
-  this.stats.totalWorkouts += 1;
-  this.stats.totalReps += workoutData.totalReps || 0;
-  
-  // Calculate new average form accuracy
-  const currentAvg = this.stats.averageFormAccuracy;
-  const newAccuracy = workoutData.formAccuracy || 0;
-  this.stats.averageFormAccuracy = ((currentAvg * (this.stats.totalWorkouts - 1)) + newAccuracy) / this.stats.totalWorkouts;
-  
-  // Update streak (simplified logic)
-  const previousWorkout = this.stats.lastWorkout;
-  const today = new Date();
-  
-  if (previousWorkout) {
-    const diffTime = Math.abs(today - previousWorkout);
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    
-    if (diffDays === 1) {
-      this.stats.streakDays += 1;
-    } else if (diffDays > 1) {
-      this.stats.streakDays = 1;
-    }
-    // If diffDays === 0 (same day), keep current streak
-  } else {
-    // First workout
-    this.stats.streakDays = 1;
-  }
-  
-  // Update last workout date
-  this.stats.lastWorkout = today;
-};
-
 module.exports = mongoose.model('User', userSchema);
@@ -1,52 +1,25 @@
 const mongoose = require('mongoose');
+const exerciseDefinitions = require('../services/exerciseDefinitions');
+const PoseFilter = require('../services/PoseFilter');
+const { LOAD_UNITS } = require('../services/load');
+const { angleFields, frameFields } = require('./poseFields');
+const { planFields } = require('./planFields');
 
-const poseDataSchema = new mongoose.Schema({
-  timestamp: { type: Date, required: true },
-  keypoints: {
-    // MediaPipe pose landmarks
-    nose: { x: Number, y: Number, z: Number, visibility: Number },
-    left_eye: { x: Number, y: Number, z: Number, visibility: Number },
-    right_eye: { x: Number, y: Number, z: Number, visibility: Number },
-    left_ear: { x: Number, y: Number, z: Number, visibility: Number },
-    right_ear: { x: Number, y: Number, z: Number, visibility: Number },
-    left_shoulder: { x: Number, y: Number, z: Number, visibility: Number },
-    right_shoulder: { x: Number, y: Number, z: Number, visibility: Number },
-    left_elbow: { x: Number, y: Number, z: Number, visibility: Number },
-    right_elbow: { x: Number, y: Number, z: Number, visibility: Number },
-    left_wrist: { x: Number, y: Number, z: Number, visibility: Number },
-    right_wrist: { x: Number, y: Number, z: Number, visibility: Number },
-    left_hip: { x: Number, y: Number, z: Number, visibility: Number },
-    right_hip: { x: Number, y: Number, z: Number, visibility: Number },
-    left_knee: { x: Number, y: Number, z: Number, visibility: Number },
-    right_knee: { x: Number, y: Number, z: Number, visibility: Number },
-    left_ankle: { x: Number, y: Number, z: Number, visibility: Number },
-    right_ankle: { x: Number, y: Number, z: Number, visibility: Number }
-  },
-  angles: {
-    left_knee_angle: Number,
-    right_knee_angle: Number,
-    left_hip_angle: Number,
-    right_hip_angle: Number,
-    back_angle: Number,
-    left_elbow_angle: Number,
-    right_elbow_angle: Number
-  },
-  repNumber: Number,
-  phase: {
-    type: String,
-    enum: ['starting', 'descending', 'bottom', 'ascending', 'top', 'completed']
-  }
-});
+// Recorded frames live in the PoseFrame collection; this embedded array is
+// kept for sessions recorded before it existed
+const poseDataSchema = new mongoose.Schema(frameFields());
 
 const feedbackLogSchema = new mongoose.Schema({
   timestamp: { type: Date, required: true },
   repNumber: Number,
   errorType: {
     type: String,
-    enum: [
+    // Error types declared by the exercise definitions plus cross-exercise ones
+    enum: [...new Set([
       'shallow_depth', 'knees_inward', 'back_rounded', 'weight_forward',
-      'uneven_stance', 'arms_position', 'head_position', 'tempo_too_fast'
-    ]
+      'uneven_stance', 'arms_position', 'head_position', 'tempo_too_fast', 'tempo_too_slow',
+      ...exerciseDefinitions.getErrorTypes()
+    ])]
   },
   severity: {
     type: String,
@@ -62,17 +35,111 @@ const feedbackLogSchema = new mongoose.Schema({
   }
 });
 
+// Seconds spent in each part of a rep (see services/tempo.js)
+const tempoFields = () => ({
+  eccentric: Number,
+  pause: Number,
+  concentric: Number
+});
+
+// One completed rep, as built by FormAnalyzer.buildRepRecord
+const repSchema = new mongoose.Schema({
+  repNumber: { type: Number, required: true },
+  side: { type: String, enum: ['left', 'right'] },
+  startTime: Date,
+  bottomTime: Date,
+  endTime: Date,
+  duration: Number, // seconds
+  depth: Number, // primary joint angle at the deepest point
+  rangeOfMotion: Number,
+  minAngles: angleFields(),
+  maxAngles: angleFields(),
+  formScore: Number, // average over the rep's frames
+  errorTypes: [String],
+  tempo: tempoFields(),
+  timeUnderTension: Number, // seconds
+  // Good average form and, with a target tempo, a tempo on target
+  passed: Boolean
+}, { _id: false });
+
+// One set of the workout, expanded from the plan or added ad hoc
+const setSchema = new mongoose.Schema({
+  block: Number, // index into plan.blocks
+  round: Number,
+  exercise: { type: String, required: true, enum: exerciseDefinitions.getExerciseIds() },
+  setNumber: Number, // nth set of this exercise in the workout
+  targetReps: Number,
+  targetHoldSeconds: Number,
+  restAfter: { type: Number, default: 0 }, // planned rest (seconds) after this set
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'completed', 'skipped'],
+    default: 'pending'
+  },
+  startTime: Date,
+  endTime: Date,
+  restTaken: Number, // seconds since the previous set ended
+  // Results, filled in when the set ends
+  reps: [repSchema],
+  totalReps: { type: Number, default: 0 },
+  correctReps: { type: Number, default: 0 },
+  formAccuracy: { type: Number, default: 0 },
+  timeUnderTension: { type: Number, default: 0 },
+  holdTime: Number, // seconds, hold exercises only
+  commonErrors: [{ _id: false, errorType: String, count: Number }],
+  // External load as entered, with its kilogram equivalent (see services/load.js)
+  load: {
+    weight: { type: Number, min: 0 },
+    unit: { type: String, enum: LOAD_UNITS },
+    weightKg: { type: Number, min: 0 }
+  },
+  rpe: { type: Number, min: 1, max: 10 }, // rate of perceived exertion
+  rir: { type: Number, min: 0, max: 10 }, // reps in reserve
+  estimatedOneRepMax: Number, // kg
+  volumeLoad: Number // kg moved over the set's reps
+});
+
+// Totals of one exercise across the workout's sets
+const exerciseSummarySchema = new mongoose.Schema({
+  exercise: String,
+  sets: Number,
+  totalReps: Number,
+  correctReps: Number,
+  formAccuracy: Number,
+  timeUnderTension: Number,
+  holdTime: Number, // longest hold of the exercise's sets, seconds
+  volumeLoad: Number, // kg
+  estimatedOneRepMax: Number // best of the exercise's sets, kg
+}, { _id: false });
+
 const workoutSessionSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // The session's exercise; for planned workouts, the first set's exercise
   exercise: {
     type: String,
     required: true,
-    enum: ['squat', 'deadlift', 'pushup', 'pullup', 'lunge', 'plank', 'bicep_curl', 'shoulder_press']
+    enum: exerciseDefinitions.getExerciseIds()
   },
+  plan: planFields(),
+  // Template and program day the workout was started from, if any
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkoutTemplate'
+  },
+  program: {
+    programId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Program'
+    },
+    week: Number, // 1-based
+    day: Number // 0 = Sunday
+  },
+  sets: [setSchema],
+  exerciseSummaries: [exerciseSummarySchema],
   startTime: {
     type: Date,
     required: true,
@@ -90,6 +157,10 @@ const workoutSessionSchema = new mongoose.Schema({
   // Detailed pose and feedback data
   poseData: [poseDataSchema],
   feedbackLog: [feedbackLogSchema],
+
+  // Completed reps and the session's total time under tension
+  reps: [repSchema],
+  timeUnderTension: { type: Number, default: 0 }, // in seconds
   
   // Session summary
   commonErrors: [{
@@ -103,6 +174,24 @@ const workoutSessionSchema = new mongoose.Schema({
     currentValue: Number,
     improvement: Number
   }],
+
+  // AI analysis of the completed session against the user's earlier sessions
+  // of the exercise (see services/sessionAnalysis.js), saved so it is
+  // generated once
+  aiAnalysis: {
+    performance: String,
+    keyStrengths: { type: [String], default: undefined },
+    areasToImprove: { type: [String], default: undefined },
+    progressIndicators: String,
+    nextSessionFocus: String,
+    motivationalMessage: String,
+    trend: mongoose.Schema.Types.Mixed,
+    provider: {
+      name: String,
+      model: String
+    },
+    generatedAt: Date
+  },
   
   // Session settings
   settings: {
@@ -117,7 +206,20 @@ const workoutSessionSchema = new mongoose.Schema({
       default: 'real_time'
     },
     audioFeedback: { type: Boolean, default: true },
-    visualFeedback: { type: Boolean, default: true }
+    visualFeedback: { type: Boolean, default: true },
+    // Target eccentric-pause-concentric seconds, e.g. 3-1-1
+    targetTempo: tempoFields(),
+    // Smoothing applied to pose frames before analysis (see PoseFilter);
+    // unset fields use the filter's defaults
+    poseFilter: {
+      method: { type: String, enum: PoseFilter.FILTER_METHODS },
+      minCutoff: { type: Number, min: 0 },
+      beta: { type: Number, min: 0 },
+      dCutoff: { type: Number, min: 0 },
+      alpha: { type: Number, min: 0, max: 1 },
+      boneLengthTolerance: { type: Number, min: 0 },
+      maxRejectedFrames: { type: Number, min: 0 }
+    }
   },
   
   // Metadata
@@ -173,6 +275,55 @@ workoutSessionSchema.methods.calculateCommonErrors = function() {
   })).sort((a, b) => b.count - a.count);
 };
 
+// Record a completed rep (a FormAnalyzer rep record) and any tempo errors
+// without loading the session, so streams can call it on every rep. With a
+// setId the rep goes on that set instead of the session.
+workoutSessionSchema.statics.recordRep = function(sessionId, rep, setId = null) {
+  const deviations = rep.tempoDeviations || [];
+  const update = {
+    $push: setId ? { 'sets.$[set].reps': rep } : { reps: rep },
+    $inc: setId
+      ? { 'sets.$[set].timeUnderTension': rep.timeUnderTension || 0 }
+      : { timeUnderTension: rep.timeUnderTension || 0 }
+  };
+
+  if (deviations.length > 0) {
+    update.$push.feedbackLog = {
+      $each: deviations.map(deviation => ({
+        timestamp: rep.endTime,
+        repNumber: rep.repNumber,
+        errorType: deviation.errorType,
+        severity: 'minor',
+        message: deviation.message,
+        correctionGiven: deviation.correction
+      }))
+    };
+  }
+
+  // Reps only go to a set while it is in progress
+  const options = setId ? { arrayFilters: [{ 'set._id': setId, 'set.status': 'active' }] } : {};
+  return this.updateOne({ _id: sessionId }, update, options);
+};
+
+// Method to get the set in progress, if any
+workoutSessionSchema.methods.getActiveSet = function() {
+  return this.sets.find(set => set.status === 'active') || null;
+};
+
+// Method to get the next set still to be done, if any
+workoutSessionSchema.methods.getNextSet = function() {
+  return this.sets.find(set => set.status === 'pending') || null;
+};
+
+// Method to replace the session's reps and derive its totals from them
+workoutSessionSchema.methods.setReps = function(reps) {
+  this.reps = reps;
+  this.totalReps = reps.length;
+  this.completedReps = reps.length;
+  this.correctReps = reps.filter(rep => rep.passed).length;
+  this.timeUnderTension = Math.round(reps.reduce((sum, rep) => sum + (rep.timeUnderTension || 0), 0) * 10) / 10;
+};
+
 // Method to end session
 workoutSessionSchema.methods.endSession = function() {
   this.endTime = new Date();
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { planFields } = require('./planFields');
+
+// A saved workout a user can start again (and schedule in programs) without
+// rebuilding the plan each time
+const workoutTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a template name'],
+    trim: true,
+    maxlength: [100, 'Template name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  plan: planFields(),
+  // Session settings applied when the template is started
+  settings: {
+    difficulty: {
+      type: String,
+      enum: ['beginner', 'intermediate', 'advanced']
+    },
+    targetTempo: {
+      eccentric: Number,
+      pause: Number,
+      concentric: Number
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+workoutTemplateSchema.index({ userId: 1, name: 1 });
+
+// Update the updatedAt field before saving
+workoutTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('WorkoutTemplate', workoutTemplateSchema);
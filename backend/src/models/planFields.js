@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const exerciseDefinitions = require('../services/exerciseDefinitions');
+
+// Schema definitions shared by the models that store workout plans
+
+// Planned workout: ordered blocks of one exercise (straight sets) or several
+// performed back to back (superset/circuit), repeated for `rounds`
+const planBlockSchema = new mongoose.Schema({
+  name: String,
+  type: {
+    type: String,
+    enum: ['straight', 'superset', 'circuit'],
+    default: 'straight'
+  },
+  rounds: { type: Number, min: 1, default: 1 },
+  // Seconds between exercises within a round and between rounds
+  restBetweenExercises: { type: Number, min: 0, default: 0 },
+  restBetweenRounds: { type: Number, min: 0, default: 90 },
+  exercises: [{
+    _id: false,
+    exercise: { type: String, required: true, enum: exerciseDefinitions.getExerciseIds() },
+    targetReps: { type: Number, min: 1 },
+    targetHoldSeconds: { type: Number, min: 1 } // hold exercises such as plank
+  }]
+}, { _id: false });
+
+const planFields = () => ({
+  blocks: [planBlockSchema]
+});
+
+module.exports = {
+  planBlockSchema,
+  planFields
+};
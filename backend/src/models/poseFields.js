@@ -0,0 +1,66 @@
+// Schema field definitions shared by the models that store pose frames
+
+// MediaPipe pose landmarks used by the analysis engine
+const landmarkFields = () => ({
+  nose: { x: Number, y: Number, z: Number, visibility: Number },
+  left_eye: { x: Number, y: Number, z: Number, visibility: Number },
+  right_eye: { x: Number, y: Number, z: Number, visibility: Number },
+  left_ear: { x: Number, y: Number, z: Number, visibility: Number },
+  right_ear: { x: Number, y: Number, z: Number, visibility: Number },
+  left_shoulder: { x: Number, y: Number, z: Number, visibility: Number },
+  right_shoulder: { x: Number, y: Number, z: Number, visibility: Number },
+  left_elbow: { x: Number, y: Number, z: Number, visibility: Number },
+  right_elbow: { x: Number, y: Number, z: Number, visibility: Number },
+  left_wrist: { x: Number, y: Number, z: Number, visibility: Number },
+  right_wrist: { x: Number, y: Number, z: Number, visibility: Number },
+  left_hip: { x: Number, y: Number, z: Number, visibility: Number },
+  right_hip: { x: Number, y: Number, z: Number, visibility: Number },
+  left_knee: { x: Number, y: Number, z: Number, visibility: Number },
+  right_knee: { x: Number, y: Number, z: Number, visibility: Number },
+  left_ankle: { x: Number, y: Number, z: Number, visibility: Number },
+  right_ankle: { x: Number, y: Number, z: Number, visibility: Number }
+});
+
+// Joint angles (degrees) measured by the analysis engine
+const angleFields = () => ({
+  left_knee_angle: Number,
+  right_knee_angle: Number,
+  left_hip_angle: Number,
+  right_hip_angle: Number,
+  back_angle: Number,
+  left_elbow_angle: Number,
+  right_elbow_angle: Number,
+  left_shoulder_angle: Number,
+  right_shoulder_angle: Number
+});
+
+// One recorded pose frame
+const frameFields = () => ({
+  timestamp: { type: Date, required: true },
+  // Normalised image coordinates
+  keypoints: landmarkFields(),
+  // MediaPipe poseWorldLandmarks (metres, hip-centred), when the client sends them
+  worldKeypoints: landmarkFields(),
+  angles: angleFields(),
+  view: {
+    type: String,
+    enum: ['front', 'side', 'oblique']
+  },
+  repNumber: Number,
+  // 'unknown' before the rep counter has settled or while the phase joints
+  // are out of view
+  phase: {
+    type: String,
+    enum: ['starting', 'descending', 'bottom', 'ascending', 'top', 'completed', 'hold', 'unknown']
+  }
+});
+
+// Landmark names, in the order used by compact frame encodings
+const LANDMARK_NAMES = Object.keys(landmarkFields());
+
+module.exports = {
+  LANDMARK_NAMES,
+  landmarkFields,
+  angleFields,
+  frameFields
+};
@@ -1,18 +1,76 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const poseFilterValidators = require('../middleware/poseFilterValidators');
 const logger = require('../utils/logger');
 const FormAnalyzer = require('../services/FormAnalyzer');
 const AICoach = require('../services/AICoach');
+const exerciseDefinitions = require('../services/exerciseDefinitions');
+const load = require('../services/load');
+const loadHistory = require('../services/loadHistory');
+const sessionAnalysis = require('../services/sessionAnalysis');
 const User = require('../models/User');
+const WorkoutSession = require('../models/WorkoutSession');
 
 const router = express.Router();
 
+// Request fields shared by the pose analysis routes and checked by
+// resolveAnalyzerOptions
+const analyzerValidators = [
+  body('exercise').optional().isIn(exerciseDefinitions.getExerciseIds())
+    .withMessage('Invalid exercise type'),
+  body('sessionId').optional().isMongoId()
+    .withMessage('Valid session ID is required'),
+  ...poseFilterValidators('filter')
+];
+
+// Resolve difficulty and mobility limits for an analysis request from the
+// workout session (when `sessionId` is given) or the user's profile. Sends
+// the error response and returns null if the session cannot be used.
+const resolveAnalyzerOptions = async (req, res) => {
+  const { sessionId, difficulty, filter, targetTempo } = req.body;
+  let session = null;
+
+  // Exercise, session and filter fields are checked by analyzerValidators on
+  // the route
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+    return null;
+  }
+
+  if (sessionId) {
+    session = await WorkoutSession.findById(sessionId).select('userId settings');
+
+    if (!session) {
+      res.status(404).json({
+        success: false,
+        message: 'Workout session not found'
+      });
+      return null;
+    }
+
+    if (session.userId.toString() !== req.user.id) {
+      res.status(403).json({
+        success: false,
+        message: 'Not authorized to analyze this session'
+      });
+      return null;
+    }
+  }
+
+  return FormAnalyzer.resolveOptions({ user: req.user, session, difficulty, filter, targetTempo });
+};
+
 // @desc    Analyze pose data for form feedback
 // @route   POST /api/analysis/pose
 // @access  Private
-router.post('/pose', auth, async (req, res) => {
+router.post('/pose', auth, analyzerValidators, async (req, res) => {
   try {
-    const { poseData, exercise, repNumber, useAI = false } = req.body;
+    const { poseData, exercise, repNumber, recentFrames, useAI = false } = req.body;
 
     if (!poseData || !exercise) {
       return res.status(400).json({
@@ -21,7 +79,15 @@ router.post('/pose', auth, async (req, res) => {
       });
     }
 
-    const analyzer = new FormAnalyzer(exercise);
+    const options = await resolveAnalyzerOptions(req, res);
+    if (!options) return;
+
+    const analyzer = new FormAnalyzer(exercise, options);
+    // Earlier frames from the client let this frame be smoothed in context and
+    // give its phase a direction (see FormAnalyzer.analyzePose)
+    if (Array.isArray(recentFrames)) {
+      analyzer.primeFilter(recentFrames);
+    }
     let analysis;
 
     if (useAI) {
@@ -80,10 +146,62 @@ router.get('/guidelines/:exercise', auth, async (req, res) => {
   }
 });
 
+// @desc    List the exercises the analysis engine supports
+// @route   GET /api/analysis/exercises
+// @access  Private
+router.get('/exercises', auth, async (req, res) => {
+  try {
+    const exercises = exerciseDefinitions.getExerciseIds().map(id => {
+      const definition = exerciseDefinitions.getDefinition(id);
+      return { id, name: definition.name, scoring: definition.scoring };
+    });
+
+    res.status(200).json({
+      success: true,
+      exercises
+    });
+
+  } catch (error) {
+    logger.error('List exercises error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error listing exercises'
+    });
+  }
+});
+
+// @desc    Get the full definition (thresholds, rules, guidelines) of an exercise
+// @route   GET /api/analysis/exercises/:exercise
+// @access  Private
+router.get('/exercises/:exercise', auth, async (req, res) => {
+  try {
+    const definition = exerciseDefinitions.getDefinition(req.params.exercise);
+
+    if (!definition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exercise not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      definition
+    });
+
+  } catch (error) {
+    logger.error('Get exercise definition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching exercise definition'
+    });
+  }
+});
+
 // @desc    Batch analyze multiple pose frames
 // @route   POST /api/analysis/batch
 // @access  Private
-router.post('/batch', auth, async (req, res) => {
+router.post('/batch', auth, analyzerValidators, async (req, res) => {
   try {
     const { poseFrames, exercise } = req.body;
 
@@ -94,7 +212,10 @@ router.post('/batch', auth, async (req, res) => {
       });
     }
 
-    const analyzer = new FormAnalyzer(exercise);
+    const options = await resolveAnalyzerOptions(req, res);
+    if (!options) return;
+
+    const analyzer = new FormAnalyzer(exercise, options);
     const batchAnalysis = analyzer.analyzeBatch(poseFrames);
 
     res.status(200).json({
@@ -114,7 +235,7 @@ router.post('/batch', auth, async (req, res) => {
 // @desc    Get rep counting analysis
 // @route   POST /api/analysis/rep-count
 // @access  Private
-router.post('/rep-count', auth, async (req, res) => {
+router.post('/rep-count', auth, analyzerValidators, async (req, res) => {
   try {
     const { poseSequence, exercise } = req.body;
 
@@ -125,7 +246,10 @@ router.post('/rep-count', auth, async (req, res) => {
       });
     }
 
-    const analyzer = new FormAnalyzer(exercise);
+    const options = await resolveAnalyzerOptions(req, res);
+    if (!options) return;
+
+    const analyzer = new FormAnalyzer(exercise, options);
     const repCount = analyzer.countReps(poseSequence);
 
     res.status(200).json({
@@ -158,10 +282,16 @@ router.post('/ai-recommendations', auth, async (req, res) => {
       averageFormAccuracy: user.stats?.averageFormAccuracy || 0
     };
 
+    // The last 90 days of loaded sets, so the coach can suggest progression
+    const history = await loadHistory.getLoadHistory(user._id, {
+      since: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000)
+    });
+
     const recommendations = await aiCoach.generateWorkoutRecommendations(
       userStats,
       recentSessions,
-      goals.length > 0 ? goals : user.profile?.goals || []
+      goals.length > 0 ? goals : user.profile?.goals || [],
+      loadHistory.summarizeLoadHistory(history, load.unitForUser(user))
     );
 
     res.status(200).json({
@@ -178,29 +308,59 @@ router.post('/ai-recommendations', auth, async (req, res) => {
   }
 });
 
-// @desc    Analyze completed workout session with AI
+// Request fields shared by the session analysis routes
+const sessionAnalysisValidators = [
+  body('sessionId').isMongoId().withMessage('Valid session ID is required'),
+  body('history').optional().isInt({ min: 1, max: sessionAnalysis.MAX_HISTORY_SIZE })
+    .withMessage(`History must be between 1 and ${sessionAnalysis.MAX_HISTORY_SIZE} sessions`).toInt(),
+  body('regenerate').optional().isBoolean().withMessage('Regenerate must be true or false').toBoolean()
+];
+
+// @desc    Analyze a completed workout session with AI, against the user's
+//          last `history` sessions of the exercise. The analysis is saved on
+//          the session and returned as saved unless `regenerate` is set.
 // @route   POST /api/analysis/ai-session-analysis
 // @access  Private
-router.post('/ai-session-analysis', auth, async (req, res) => {
+router.post('/ai-session-analysis', auth, sessionAnalysisValidators, async (req, res) => {
   try {
-    const { sessionData } = req.body;
-
-    if (!sessionData) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Session data is required'
+        errors: errors.array()
       });
     }
 
-    const user = await User.findById(req.user.id);
-    const userProfile = {
-      id: user._id,
-      fitnessLevel: user.profile?.fitnessLevel || 'beginner',
-      totalWorkouts: user.stats?.totalWorkouts || 0
-    };
+    const { sessionId, history, regenerate } = req.body;
+    const session = await WorkoutSession.findById(sessionId);
 
-    const aiCoach = new AICoach();
-    const analysis = await aiCoach.analyzeWorkoutSession(sessionData, userProfile);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workout session not found'
+      });
+    }
+
+    // Check if user owns this session
+    if (session.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to analyze this session'
+      });
+    }
+
+    if (!session.endTime) {
+      return res.status(409).json({
+        success: false,
+        message: 'Workout session has not ended yet'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const analysis = await sessionAnalysis.getSessionAnalysis(new AICoach(), session, user, {
+      historySize: history,
+      regenerate
+    });
 
     res.status(200).json({
       success: true,
@@ -216,6 +376,98 @@ router.post('/ai-session-analysis', auth, async (req, res) => {
   }
 });
 
+// @desc    Analyze a completed workout session with AI as above, streamed as
+//          server-sent events: `delta` events carry partial reply text,
+//          `retry` means the text so far failed validation and a corrected
+//          reply follows, and the last event, `result`, carries the
+//          structured analysis. A saved analysis is sent as `result` alone.
+// @route   POST /api/analysis/ai-session-analysis/stream
+// @access  Private
+router.post('/ai-session-analysis/stream', auth, sessionAnalysisValidators, async (req, res) => {
+  // Aborted when the client disconnects before the result, cancelling the
+  // provider request
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = (event, data) => {
+    if (!controller.signal.aborted && !res.writableEnded && !res.destroyed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { sessionId, history, regenerate } = req.body;
+    const session = await WorkoutSession.findById(sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workout session not found'
+      });
+    }
+
+    // Check if user owns this session
+    if (session.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to analyze this session'
+      });
+    }
+
+    if (!session.endTime) {
+      return res.status(409).json({
+        success: false,
+        message: 'Workout session has not ended yet'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const analysis = await sessionAnalysis.getSessionAnalysis(new AICoach(), session, user, {
+      historySize: history,
+      regenerate,
+      onText: text => send('delta', { text }),
+      onRepair: reason => send('retry', { reason }),
+      signal: controller.signal
+    });
+
+    if (controller.signal.aborted) return;
+
+    send('result', { success: true, analysis });
+    res.end();
+
+  } catch (error) {
+    logger.error('AI session analysis stream error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error analyzing session'
+      });
+    }
+    send('error', { success: false, message: 'Server error analyzing session' });
+    res.end();
+  }
+});
+
 // @desc    Get personalized coaching tips
 // @route   GET /api/analysis/coaching-tips/:exercise
 // @access  Private
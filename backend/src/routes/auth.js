@@ -2,21 +2,20 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const { getJwtSecret, verifyToken } = require('../utils/tokens');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
 // Generate JWT Token
 const generateToken = (id) => {
-  const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
-  
   // For development, use a very long expiration (365 days)
   // For production, you should use shorter expiration times
   const expiration = process.env.NODE_ENV === 'production' 
     ? (process.env.JWT_EXPIRE || '7d')
     : '365d'; // 1 year for development
   
-  return jwt.sign({ id }, JWT_SECRET, {
+  return jwt.sign({ id }, getJwtSecret(), {
     expiresIn: expiration
   });
 };
@@ -168,11 +167,10 @@ router.post('/refresh', async (req, res) => {
     }
 
     // Verify token (even if expired, we can still decode the user ID)
-    const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
     let decoded;
     
     try {
-      decoded = jwt.verify(token, JWT_SECRET);
+      decoded = jwt.verify(token, getJwtSecret());
     } catch (error) {
       // If token is expired, we can still decode it to get the user ID
       if (error.name === 'TokenExpiredError') {
@@ -232,10 +230,8 @@ router.get('/me', async (req, res) => {
       });
     }
 
-    // Verify token
-    const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.id);
+    // Verify token and get user from database
+    const user = await verifyToken(token);
 
     if (!user) {
       return res.status(401).json({
@@ -3,10 +3,14 @@ const authRoutes = require('./auth');
 const userRoutes = require('./users');
 const workoutRoutes = require('./workouts');
 const analysisRoutes = require('./analysis');
+const templateRoutes = require('./templates');
+const programRoutes = require('./programs');
 
 module.exports = {
   authRoutes,
   userRoutes,
   workoutRoutes,
-  analysisRoutes
+  analysisRoutes,
+  templateRoutes,
+  programRoutes
 };
@@ -0,0 +1,306 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Program = require('../models/Program');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const auth = require('../middleware/auth');
+const exerciseDefinitions = require('../services/exerciseDefinitions');
+const programs = require('../services/programs');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const programValidators = (required) => {
+  const validators = [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Program name must be 1-100 characters'),
+    body('startDate').isISO8601().withMessage('Start date must be a date').toDate(),
+    body('weeks').isInt({ min: 1, max: 52 }).withMessage('Weeks must be between 1 and 52').toInt(),
+    body('schedule').isArray({ min: 1, max: 7 * 52 }).withMessage('Schedule must be a non-empty array')
+  ];
+
+  return [
+    ...(required ? validators : validators.map(validator => validator.optional())),
+    body('description').optional().isLength({ max: 500 })
+      .withMessage('Description cannot be more than 500 characters'),
+    body('schedule.*.day').isInt({ min: 0, max: 6 })
+      .withMessage('Schedule days must be 0 (Sunday) to 6 (Saturday)').toInt(),
+    body('schedule.*.templateId').isMongoId()
+      .withMessage('Schedule entries need a template ID'),
+    body('schedule.*.weeks').optional().isArray()
+      .withMessage('Schedule weeks must be an array'),
+    body('schedule.*.weeks.*').isInt({ min: 1, max: 52 })
+      .withMessage('Schedule weeks must be between 1 and 52').toInt(),
+    body('progression').optional().isArray({ max: 20 })
+      .withMessage('Progression must be an array of rules'),
+    body('progression.*.exercise').optional().isIn(exerciseDefinitions.getExerciseIds())
+      .withMessage('Invalid exercise type'),
+    body('progression.*.metric').optional().isIn(['reps', 'holdSeconds'])
+      .withMessage('Progression metric must be reps or holdSeconds'),
+    body('progression.*.increment').isInt({ min: 1, max: 100 })
+      .withMessage('Progression increment must be between 1 and 100'),
+    body('progression.*.minFormAccuracy').optional().isFloat({ min: 0, max: 100 })
+      .withMessage('Minimum form accuracy must be between 0 and 100'),
+    body('progression.*.maxIncrements').optional().isInt({ min: 1 })
+      .withMessage('Maximum increments must be a positive whole number'),
+    body('active').optional().isBoolean()
+      .withMessage('Active must be true or false')
+  ];
+};
+
+// Templates in the schedule that do not belong to the user
+const findForeignTemplates = async (userId, schedule = []) => {
+  const templateIds = [...new Set(schedule.map(entry => entry.templateId.toString()))];
+  const owned = await WorkoutTemplate.find({ _id: { $in: templateIds }, userId }).select('_id');
+  const ownedIds = owned.map(template => template._id.toString());
+  return templateIds.filter(templateId => !ownedIds.includes(templateId));
+};
+
+// @desc    Get user's training programs
+// @route   GET /api/programs
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const userPrograms = await Program.find({ userId: req.user.id })
+      .sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      programs: userPrograms
+    });
+
+  } catch (error) {
+    logger.error('Get programs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching programs'
+    });
+  }
+});
+
+// @desc    Create a training program
+// @route   POST /api/programs
+// @access  Private
+router.post('/', auth, programValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const foreign = await findForeignTemplates(req.user.id, req.body.schedule);
+    if (foreign.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Workout templates not found: ${foreign.join(', ')}`
+      });
+    }
+
+    const { name, description, startDate, weeks, schedule, progression, active } = req.body;
+
+    const program = await Program.create({
+      userId: req.user.id,
+      name,
+      description,
+      startDate,
+      weeks,
+      schedule,
+      progression,
+      active
+    });
+
+    logger.info(`Program created: ${program._id} for user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      program
+    });
+
+  } catch (error) {
+    logger.error('Create program error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating program'
+    });
+  }
+});
+
+// @desc    Get today's workout from the user's active program
+// @route   GET /api/programs/today?date=YYYY-MM-DD
+// @access  Private
+router.get('/today', auth, [
+  query('date').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be a YYYY-MM-DD date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Today is the user's current day in their time zone
+    const workout = await programs.getTodaysWorkout(req.user.id, {
+      timeZone: req.user.preferences?.timeZone || 'UTC',
+      dayKey: req.query.date
+    });
+
+    res.status(200).json({
+      success: true,
+      workout,
+      message: workout ? undefined : 'No active program covers this day'
+    });
+
+  } catch (error) {
+    logger.error('Get today\'s workout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching today\'s workout'
+    });
+  }
+});
+
+// @desc    Get a training program
+// @route   GET /api/programs/:programId
+// @access  Private
+router.get('/:programId', auth, async (req, res) => {
+  try {
+    const program = mongoose.Types.ObjectId.isValid(req.params.programId)
+      ? await Program.findById(req.params.programId).populate('schedule.templateId', 'name')
+      : null;
+
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    // Check if user owns this program
+    if (program.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this program'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      program
+    });
+
+  } catch (error) {
+    logger.error('Get program error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching program'
+    });
+  }
+});
+
+// @desc    Update a training program
+// @route   PUT /api/programs/:programId
+// @access  Private
+router.put('/:programId', auth, programValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const program = mongoose.Types.ObjectId.isValid(req.params.programId)
+      ? await Program.findById(req.params.programId)
+      : null;
+
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    // Check if user owns this program
+    if (program.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this program'
+      });
+    }
+
+    if (req.body.schedule) {
+      const foreign = await findForeignTemplates(req.user.id, req.body.schedule);
+      if (foreign.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Workout templates not found: ${foreign.join(', ')}`
+        });
+      }
+    }
+
+    ['name', 'description', 'startDate', 'weeks', 'schedule', 'progression', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) program[field] = req.body[field];
+    });
+    await program.save();
+
+    res.status(200).json({
+      success: true,
+      program
+    });
+
+  } catch (error) {
+    logger.error('Update program error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating program'
+    });
+  }
+});
+
+// @desc    Delete a training program
+// @route   DELETE /api/programs/:programId
+// @access  Private
+router.delete('/:programId', auth, async (req, res) => {
+  try {
+    const program = mongoose.Types.ObjectId.isValid(req.params.programId)
+      ? await Program.findById(req.params.programId)
+      : null;
+
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    // Check if user owns this program
+    if (program.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this program'
+      });
+    }
+
+    await program.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Program deleted'
+    });
+
+  } catch (error) {
+    logger.error('Delete program error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting program'
+    });
+  }
+});
+
+module.exports = router;
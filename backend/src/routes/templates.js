@@ -0,0 +1,228 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const Program = require('../models/Program');
+const auth = require('../middleware/auth');
+const planValidators = require('../middleware/planValidators');
+const tempo = require('../services/tempo');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const templateValidators = (required) => [
+  required
+    ? body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Template name must be 1-100 characters')
+    : body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Template name must be 1-100 characters'),
+  body('description').optional().isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  ...planValidators('plan', { optional: !required }),
+  body('settings.difficulty').optional().isIn(['beginner', 'intermediate', 'advanced'])
+    .withMessage('Invalid difficulty'),
+  body('settings.targetTempo').optional()
+    .custom(value => tempo.parseTempo(value) !== null)
+    .withMessage('Target tempo must look like 3-1-1 (seconds eccentric-pause-concentric)')
+    .customSanitizer(value => tempo.parseTempo(value))
+];
+
+// @desc    Get user's workout templates
+// @route   GET /api/templates
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const templates = await WorkoutTemplate.find({ userId: req.user.id })
+      .sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      templates
+    });
+
+  } catch (error) {
+    logger.error('Get templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching workout templates'
+    });
+  }
+});
+
+// @desc    Create a workout template
+// @route   POST /api/templates
+// @access  Private
+router.post('/', auth, templateValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, plan, settings } = req.body;
+
+    const template = await WorkoutTemplate.create({
+      userId: req.user.id,
+      name,
+      description,
+      plan,
+      settings
+    });
+
+    logger.info(`Workout template created: ${template._id} for user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    logger.error('Create template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating workout template'
+    });
+  }
+});
+
+// @desc    Get a workout template
+// @route   GET /api/templates/:templateId
+// @access  Private
+router.get('/:templateId', auth, async (req, res) => {
+  try {
+    const template = mongoose.Types.ObjectId.isValid(req.params.templateId)
+      ? await WorkoutTemplate.findById(req.params.templateId)
+      : null;
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workout template not found'
+      });
+    }
+
+    // Check if user owns this template
+    if (template.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this template'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    logger.error('Get template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching workout template'
+    });
+  }
+});
+
+// @desc    Update a workout template
+// @route   PUT /api/templates/:templateId
+// @access  Private
+router.put('/:templateId', auth, templateValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const template = mongoose.Types.ObjectId.isValid(req.params.templateId)
+      ? await WorkoutTemplate.findById(req.params.templateId)
+      : null;
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workout template not found'
+      });
+    }
+
+    // Check if user owns this template
+    if (template.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this template'
+      });
+    }
+
+    ['name', 'description', 'plan', 'settings'].forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    logger.error('Update template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating workout template'
+    });
+  }
+});
+
+// @desc    Delete a workout template
+// @route   DELETE /api/templates/:templateId
+// @access  Private
+router.delete('/:templateId', auth, async (req, res) => {
+  try {
+    const template = mongoose.Types.ObjectId.isValid(req.params.templateId)
+      ? await WorkoutTemplate.findById(req.params.templateId)
+      : null;
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workout template not found'
+      });
+    }
+
+    // Check if user owns this template
+    if (template.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this template'
+      });
+    }
+
+    // Programs would be left with an empty day
+    const programs = await Program.find({ userId: req.user.id, 'schedule.templateId': template._id })
+      .select('name');
+    if (programs.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Template is scheduled in: ${programs.map(program => program.name).join(', ')}`
+      });
+    }
+
+    await template.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Workout template deleted'
+    });
+
+  } catch (error) {
+    logger.error('Delete template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting workout template'
+    });
+  }
+});
+
+module.exports = router;
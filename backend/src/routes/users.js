@@ -1,7 +1,13 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const PersonalRecord = require('../models/PersonalRecord');
 const auth = require('../middleware/auth');
+const exerciseDefinitions = require('../services/exerciseDefinitions');
+const userStats = require('../services/userStats');
+const load = require('../services/load');
+const aiUsage = require('../services/aiUsage');
+const dates = require('../utils/dates');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -12,7 +18,11 @@ const router = express.Router();
 router.put('/profile', auth, [
   body('profile.age').optional().isInt({ min: 13, max: 120 }).withMessage('Age must be between 13 and 120'),
   body('profile.height').optional().isFloat({ min: 100, max: 250 }).withMessage('Height must be between 100-250 cm'),
-  body('profile.weight').optional().isFloat({ min: 30, max: 300 }).withMessage('Weight must be between 30-300 kg')
+  body('profile.weight').optional().isFloat({ min: 30, max: 300 }).withMessage('Weight must be between 30-300 kg'),
+  body('profile.mobilityLimits').optional().isArray().withMessage('Mobility limits must be an array'),
+  body('profile.mobilityLimits.*.joint').isIn(['knee', 'hip', 'elbow', 'shoulder']).withMessage('Invalid mobility limit joint'),
+  body('profile.mobilityLimits.*.minAngle').optional().isFloat({ min: 0, max: 180 }).withMessage('Mobility limit angles must be between 0 and 180'),
+  body('profile.mobilityLimits.*.maxAngle').optional().isFloat({ min: 0, max: 180 }).withMessage('Mobility limit angles must be between 0 and 180')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -65,8 +75,23 @@ router.put('/profile', auth, [
 // @desc    Update user preferences
 // @route   PUT /api/users/preferences
 // @access  Private
-router.put('/preferences', auth, async (req, res) => {
+router.put('/preferences', auth, [
+  body('preferences.timeZone').optional().custom(dates.isValidTimeZone)
+    .withMessage('Time zone must be an IANA time zone, e.g. Europe/Berlin'),
+  body('preferences.restDaysPerWeek').optional().isInt({ min: 0, max: 6 })
+    .withMessage('Rest days per week must be between 0 and 6').toInt(),
+  body('preferences.oneRepMaxFormula').optional().isIn(Object.keys(load.ONE_RM_FORMULAS))
+    .withMessage(`One-rep max formula must be one of: ${Object.keys(load.ONE_RM_FORMULAS).join(', ')}`)
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const user = await User.findById(req.user.id);
     
     if (!user) {
@@ -83,6 +108,11 @@ router.put('/preferences', auth, async (req, res) => {
 
     await user.save();
 
+    // Streaks depend on the time zone and rest-day allowance
+    if (req.body.preferences?.timeZone !== undefined || req.body.preferences?.restDaysPerWeek !== undefined) {
+      await userStats.recomputeUserStats(user);
+    }
+
     logger.info(`Preferences updated for user: ${user.email}`);
 
     res.status(200).json({
@@ -99,7 +129,7 @@ router.put('/preferences', auth, async (req, res) => {
   }
 });
 
-// @desc    Get user stats
+// @desc    Get user stats and AI coaching usage
 // @route   GET /api/users/stats
 // @access  Private
 router.get('/stats', auth, async (req, res) => {
@@ -113,9 +143,14 @@ router.get('/stats', auth, async (req, res) => {
       });
     }
 
+    // Once a day, so a lapsed streak shows as broken before the next workout
+    await userStats.refreshUserStats(user);
+
     res.status(200).json({
       success: true,
-      stats: user.stats
+      stats: user.stats,
+      // AI coaching calls since the server started, and the budget left
+      aiUsage: aiUsage.getUsage(user._id)
     });
 
   } catch (error) {
@@ -127,6 +162,63 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
+// @desc    Get user's personal records by exercise: the current best of each
+//          metric, plus every earlier record with ?history=true
+// @route   GET /api/users/records?exercise=squat&history=true
+// @access  Private
+router.get('/records', auth, [
+  query('exercise').optional().isIn(exerciseDefinitions.getExerciseIds())
+    .withMessage('Invalid exercise type'),
+  query('history').optional().isBoolean()
+    .withMessage('History must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { exercise, history } = req.query;
+    const filter = { userId: req.user.id };
+    if (exercise) filter.exercise = exercise;
+
+    // Every record beats the one before it, so the latest is the best
+    const allRecords = await PersonalRecord.find(filter)
+      .sort({ exercise: 1, achievedAt: -1 })
+      .lean();
+
+    const byExercise = new Map();
+    allRecords.forEach(record => {
+      if (!byExercise.has(record.exercise)) {
+        byExercise.set(record.exercise, { exercise: record.exercise, records: [], history: [] });
+      }
+      const entry = byExercise.get(record.exercise);
+      if (!entry.records.some(best => best.metric === record.metric)) {
+        entry.records.push(record);
+      }
+      entry.history.push(record);
+    });
+
+    res.status(200).json({
+      success: true,
+      records: [...byExercise.values()].map(entry => (history ? entry : {
+        exercise: entry.exercise,
+        records: entry.records
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Get personal records error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching personal records'
+    });
+  }
+});
+
 // @desc    Delete user account
 // @route   DELETE /api/users/account
 // @access  Private
@@ -1,19 +1,64 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const WorkoutSession = require('../models/WorkoutSession');
-const User = require('../models/User');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const Program = require('../models/Program');
+const PersonalRecord = require('../models/PersonalRecord');
 const auth = require('../middleware/auth');
+const planValidators = require('../middleware/planValidators');
+const poseFilterValidators = require('../middleware/poseFilterValidators');
+const exerciseDefinitions = require('../services/exerciseDefinitions');
+const FormAnalyzer = require('../services/FormAnalyzer');
+const poseEncoding = require('../services/poseEncoding');
+const sessionFrames = require('../services/sessionFrames');
+const sessionReplay = require('../services/sessionReplay');
+const tempo = require('../services/tempo');
+const workoutSets = require('../services/workoutSets');
+const programs = require('../services/programs');
+const load = require('../services/load');
+const loadHistory = require('../services/loadHistory');
+const personalRecords = require('../services/personalRecords');
+const userStats = require('../services/userStats');
+const analyticsSummary = require('../services/analyticsSummary');
+const activity = require('../services/activity');
+const dates = require('../utils/dates');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// @desc    Start a new workout session
+// Load and effort entered for a set (null clears a value)
+const loadValidators = [
+  body('load.weight').optional({ values: 'null' }).isFloat({ min: 0, max: 1000 })
+    .withMessage('Load must be between 0 and 1000').toFloat(),
+  body('load.unit').optional().isIn(load.LOAD_UNITS)
+    .withMessage('Load unit must be kg or lb'),
+  body('rpe').optional({ values: 'null' }).isFloat({ min: 1, max: 10 })
+    .withMessage('RPE must be between 1 and 10').toFloat(),
+  body('rir').optional({ values: 'null' }).isInt({ min: 0, max: 10 })
+    .withMessage('Reps in reserve must be between 0 and 10').toInt()
+];
+
+// @desc    Start a new workout session. Either a single `exercise`, a
+//          `plan` of blocks and sets (supersets and multi-exercise workouts),
+//          a saved `templateId`, or a `programId` to start today's program workout.
 // @route   POST /api/workouts/start
 // @access  Private
 router.post('/start', auth, [
-  body('exercise').isIn(['squat', 'deadlift', 'pushup', 'pullup', 'lunge', 'plank', 'bicep_curl', 'shoulder_press'])
-    .withMessage('Invalid exercise type')
+  body('exercise').if((value, { req }) => !req.body.plan && !req.body.templateId && !req.body.programId)
+    .isIn(exerciseDefinitions.getExerciseIds())
+    .withMessage('Invalid exercise type'),
+  body('plan').optional().isObject()
+    .withMessage('Plan must be an object'),
+  body(['templateId', 'programId']).optional().isMongoId()
+    .withMessage('Invalid template or program ID'),
+  ...planValidators('plan', { optional: true }),
+  ...poseFilterValidators('settings.poseFilter'),
+  // Accept "3-1-1" as well as { eccentric, pause, concentric }
+  body('settings.targetTempo').optional()
+    .custom(value => tempo.parseTempo(value) !== null)
+    .withMessage('Target tempo must look like 3-1-1 (seconds eccentric-pause-concentric)')
+    .customSanitizer(value => tempo.parseTempo(value))
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -24,15 +69,67 @@ router.post('/start', auth, [
       });
     }
 
-    const { exercise, settings, deviceInfo } = req.body;
+    const { exercise, settings, deviceInfo, templateId, programId } = req.body;
+    let { plan } = req.body;
+    let template = null;
+    let programDay = null;
+
+    // Today's workout of a program, with the program's progression applied
+    if (programId) {
+      const program = await Program.findById(programId);
+      if (!program || program.userId.toString() !== req.user.id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Program not found'
+        });
+      }
 
-    const workoutSession = await WorkoutSession.create({
+      const timeZone = req.user.preferences?.timeZone || 'UTC';
+      programDay = await programs.getProgramWorkout(program, dates.toDayKey(new Date(), timeZone), timeZone);
+      if (!programDay || programDay.restDay) {
+        return res.status(400).json({
+          success: false,
+          message: 'The program has no workout scheduled today'
+        });
+      }
+      template = programDay.template;
+      plan = programDay.plan;
+    } else if (templateId) {
+      template = await WorkoutTemplate.findById(templateId).lean();
+      if (!template || template.userId.toString() !== req.user.id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout template not found'
+        });
+      }
+      plan = template.plan;
+    }
+
+    const workoutSession = new WorkoutSession({
       userId: req.user.id,
-      exercise,
-      settings: settings || {},
+      exercise: plan ? plan.blocks[0].exercises[0].exercise : exercise,
+      plan,
+      templateId: template ? template._id : undefined,
+      program: programDay
+        ? { programId: programDay.program._id, week: programDay.week, day: programDay.day }
+        : undefined,
+      // Hold the session to the user's fitness level unless the template or
+      // the client picks a difficulty
+      settings: {
+        difficulty: req.user.profile?.fitnessLevel || 'beginner',
+        ...template?.settings,
+        ...settings
+      },
       deviceInfo: deviceInfo || {}
     });
 
+    // Expand the plan (after schema defaults are applied) into ordered sets
+    if (plan) {
+      workoutSession.sets = workoutSets.buildSets(workoutSession.plan);
+    }
+
+    await workoutSession.save();
+
     logger.info(`Workout session started: ${workoutSession._id} for user ${req.user.id}`);
 
     res.status(201).json({
@@ -52,8 +149,16 @@ router.post('/start', auth, [
 // @desc    End a workout session
 // @route   PUT /api/workouts/:sessionId/end
 // @access  Private
-router.put('/:sessionId/end', auth, async (req, res) => {
+router.put('/:sessionId/end', auth, loadValidators, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const session = await WorkoutSession.findById(req.params.sessionId);
 
     if (!session) {
@@ -71,16 +176,109 @@ router.put('/:sessionId/end', auth, async (req, res) => {
       });
     }
 
-    // Update session with final statistics from request body if provided
-    const { totalReps, correctReps, formAccuracy, duration } = req.body;
-    
-    // If no statistics provided (empty workout), mark session but don't include in analytics
-    if (req.body === null || (totalReps === undefined && correctReps === undefined && formAccuracy === undefined)) {
+    // Ending again would move the end time and re-derive the summary
+    if (session.endTime) {
+      return res.status(409).json({
+        success: false,
+        message: 'Session has already ended'
+      });
+    }
+
+    // Rep records and totals are derived on the server: from the recorded
+    // frames when there are any, otherwise from reps recorded by the live
+    // pose stream. Client-reported totals are ignored.
+    let hold = null;
+
+    if (session.sets.length > 0) {
+      // Planned workouts: finish the set in progress, then roll the sets up
+      const activeSet = session.getActiveSet();
+      if (activeSet) {
+        activeSet.endTime = new Date();
+        const setFrames = (await sessionFrames.getAllSessionFrames(session, {
+          from: activeSet.startTime,
+          to: activeSet.endTime
+        })).filter(frame => frame.keypoints);
+        workoutSets.setLoad(activeSet, req.body, req.user);
+        workoutSets.applySetAnalysis(session, activeSet, setFrames, req.user);
+        activeSet.status = 'completed';
+      }
+
+      workoutSets.rollUpSets(session);
+      if (session.totalReps === 0 && session.exerciseSummaries.length > 0) {
+        hold = { holdTime: session.sets.reduce((sum, set) => sum + (set.holdTime || 0), 0) };
+      }
+    } else {
+      const frames = (await sessionFrames.getAllSessionFrames(session))
+        .filter(frame => frame.keypoints);
+
+      if (frames.length > 0) {
+        const analyzer = new FormAnalyzer(session.exercise, FormAnalyzer.resolveOptions({
+          user: req.user,
+          session
+        }));
+        const analysis = analyzer.analyzeBatch(frames);
+
+        // Keep the live reps if some of their frames were not stored
+        session.setReps(analysis.hold || analysis.reps.length >= session.reps.length
+          ? analysis.reps
+          : session.reps.map(rep => rep.toObject()));
+        hold = analysis.hold;
+      } else {
+        session.setReps(session.reps.map(rep => rep.toObject()));
+      }
+
+      // Hold exercises have no reps; score them on time held with good form
+      if (hold && hold.holdTime > 0) {
+        session.timeUnderTension = hold.timeUnderTension;
+        session.formAccuracy = hold.tensionScore;
+      }
+
+      const summary = {
+        exercise: session.exercise,
+        sets: 1,
+        totalReps: session.totalReps,
+        correctReps: session.correctReps,
+        formAccuracy: session.totalReps > 0
+          ? Math.round((session.correctReps / session.totalReps) * 100)
+          : session.formAccuracy,
+        timeUnderTension: session.timeUnderTension,
+        holdTime: hold && hold.holdTime > 0 ? hold.holdTime : undefined
+      };
+
+      // A single-exercise session with a load is recorded as one loaded set
+      if (req.body.load && req.body.load.weight) {
+        session.sets.push({
+          block: 0,
+          round: 1,
+          exercise: session.exercise,
+          setNumber: 1,
+          status: 'completed',
+          startTime: session.startTime,
+          endTime: new Date(),
+          reps: session.reps,
+          totalReps: summary.totalReps,
+          correctReps: summary.correctReps,
+          formAccuracy: summary.formAccuracy,
+          timeUnderTension: summary.timeUnderTension,
+          holdTime: hold ? hold.holdTime : undefined
+        });
+        const [set] = session.sets;
+        workoutSets.setLoad(set, req.body, req.user);
+        summary.volumeLoad = set.volumeLoad;
+        summary.estimatedOneRepMax = set.estimatedOneRepMax;
+      }
+
+      session.exerciseSummaries = [summary];
+    }
+
+    // Nothing was recorded (empty workout): mark session but don't include in analytics
+    if (session.totalReps === 0 && !(hold && hold.holdTime > 0)) {
       logger.info(`Session ${session._id} ended without workout data - marking as incomplete`);
       session.endTime = new Date();
       session.duration = Math.floor((session.endTime - session.startTime) / 1000);
       // Don't set totalReps or formAccuracy - leave as 0 so analytics will ignore it
       await session.save();
+      await userStats.recomputeUserStats(req.user.id);
       
       return res.status(200).json({
         success: true,
@@ -89,12 +287,6 @@ router.put('/:sessionId/end', auth, async (req, res) => {
       });
     }
     
-    // Update with provided statistics
-    if (totalReps !== undefined) session.totalReps = totalReps;
-    if (correctReps !== undefined) session.correctReps = correctReps;
-    if (formAccuracy !== undefined) session.formAccuracy = formAccuracy;
-    if (duration !== undefined) session.duration = duration;
-
     // End the session
     session.endSession();
     
@@ -102,26 +294,28 @@ router.put('/:sessionId/end', auth, async (req, res) => {
     
     logger.info(`Session saved with stats: totalReps=${session.totalReps}, formAccuracy=${session.formAccuracy}%, duration=${session.duration}s`);
 
-    // Update user stats ONLY if there's actual workout data
-    if (session.totalReps > 0) {
-      const user = await User.findById(req.user.id);
-      if (user.updateStats) {
-        user.updateStats({
-          totalReps: session.totalReps,
-          formAccuracy: session.formAccuracy
-        });
-        await user.save();
-        logger.info(`User stats updated: +${session.totalReps} reps, ${session.formAccuracy}% form accuracy`);
-      }
-    } else {
-      logger.info(`Skipping user stats update - no actual workout data (totalReps: ${session.totalReps})`);
-    }
+    // Derive the user's stats from their sessions, so ending a session
+    // twice cannot count it twice
+    const stats = await userStats.recomputeUserStats(req.user.id);
+    logger.info(`User stats recomputed: ${stats.totalWorkouts} workouts, ${stats.totalReps} reps, ${stats.streakDays} day streak`);
 
     logger.info(`Workout session ended: ${session._id} - ${session.totalReps} reps, ${session.formAccuracy}% accuracy`);
 
+    // New personal bests; a failure here must not fail ending the session
+    let personalRecordsSet = [];
+    try {
+      personalRecordsSet = await personalRecords.checkSession(session);
+      if (personalRecordsSet.length > 0) {
+        logger.info(`Session ${session._id} set ${personalRecordsSet.length} personal records`);
+      }
+    } catch (error) {
+      logger.error('Personal record check error:', error);
+    }
+
     res.status(200).json({
       success: true,
-      session
+      session,
+      personalRecords: personalRecordsSet
     });
 
   } catch (error) {
@@ -133,6 +327,339 @@ router.put('/:sessionId/end', auth, async (req, res) => {
   }
 });
 
+// @desc    Add a set to a workout session (e.g. an extra set not in the plan)
+// @route   POST /api/workouts/:sessionId/sets
+// @access  Private
+router.post('/:sessionId/sets', auth, [
+  body('exercise').isIn(exerciseDefinitions.getExerciseIds())
+    .withMessage('Invalid exercise type'),
+  body(['targetReps', 'targetHoldSeconds']).optional().isInt({ min: 1, max: 1000 })
+    .withMessage('Targets must be positive whole numbers'),
+  body('restAfter').optional().isInt({ min: 0, max: 1800 })
+    .withMessage('Rest must be between 0 and 1800 seconds'),
+  ...loadValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const session = await WorkoutSession.findById(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workout session not found'
+      });
+    }
+
+    // Check if user owns this session
+    if (session.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this session'
+      });
+    }
+
+    if (session.endTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot add sets to an ended session'
+      });
+    }
+
+    const { exercise, targetReps, targetHoldSeconds, restAfter } = req.body;
+    const lastSet = session.sets[session.sets.length - 1];
+
+    session.sets.push({
+      block: lastSet ? lastSet.block + 1 : 0,
+      round: 1,
+      exercise,
+      setNumber: session.sets.filter(set => set.exercise === exercise).length + 1,
+      targetReps,
+      targetHoldSeconds,
+      restAfter: restAfter || 0
+    });
+    workoutSets.setLoad(session.sets[session.sets.length - 1], req.body, req.user);
+    await session.save();
+
+    res.status(201).json({
+      success: true,
+      set: session.sets[session.sets.length - 1]
+    });
+
+  } catch (error) {
+    logger.error('Add set error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding set'
+    });
+  }
+});
+
+// @desc    Start a set of a workout session
+// @route   POST /api/workouts/:sessionId/sets/:setId/start
+// @access  Private
+router.post('/:sessionId/sets/:setId/start', auth, async (req, res) => {
+  try {
+    const session = await WorkoutSession.findById(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workout session not found'
+      });
+    }
+
+    // Check if user owns this session
+    if (session.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this session'
+      });
+    }
+
+    const set = mongoose.Types.ObjectId.isValid(req.params.setId) ? session.sets.id(req.params.setId) : null;
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        message: 'Set not found'
+      });
+    }
+
+    if (set.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Set is already ${set.status}`
+      });
+    }
+
+    if (session.endTime || session.getActiveSet()) {
+      return res.status(409).json({
+        success: false,
+        message: session.endTime ? 'Session has ended' : 'Another set is in progress'
+      });
+    }
+
+    set.startTime = new Date();
+    set.status = 'active';
+
+    // Rest actually taken since the previous set finished
+    const previous = session.sets
+      .filter(other => other.endTime)
+      .sort((a, b) => b.endTime - a.endTime)[0];
+    if (previous) {
+      set.restTaken = Math.round((set.startTime - previous.endTime) / 1000);
+    }
+
+    // The session's exercise follows the set in progress
+    session.exercise = set.exercise;
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      set
+    });
+
+  } catch (error) {
+    logger.error('Start set error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting set'
+    });
+  }
+});
+
+// @desc    End the set in progress and analyse it
+// @route   PUT /api/workouts/:sessionId/sets/:setId/end
+// @access  Private
+router.put('/:sessionId/sets/:setId/end', auth, loadValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const session = await WorkoutSession.findById(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workout session not found'
+      });
+    }
+
+    // Check if user owns this session
+    if (session.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this session'
+      });
+    }
+
+    const set = mongoose.Types.ObjectId.isValid(req.params.setId) ? session.sets.id(req.params.setId) : null;
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        message: 'Set not found'
+      });
+    }
+
+    if (set.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Set is not in progress'
+      });
+    }
+
+    set.endTime = new Date();
+    const frames = (await sessionFrames.getAllSessionFrames(session, {
+      from: set.startTime,
+      to: set.endTime
+    })).filter(frame => frame.keypoints);
+
+    workoutSets.setLoad(set, req.body, req.user);
+    workoutSets.applySetAnalysis(session, set, frames, req.user);
+    set.status = 'completed';
+    workoutSets.rollUpSets(session);
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      set,
+      rest: workoutSets.getRest(set),
+      nextSet: session.getNextSet()
+    });
+
+  } catch (error) {
+    logger.error('End set error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error ending set'
+    });
+  }
+});
+
+// @desc    Record the load and effort of a set
+// @route   PUT /api/workouts/:sessionId/sets/:setId/load
+// @access  Private
+router.put('/:sessionId/sets/:setId/load', auth, loadValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const session = await WorkoutSession.findById(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workout session not found'
+      });
+    }
+
+    // Check if user owns this session
+    if (session.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this session'
+      });
+    }
+
+    const set = mongoose.Types.ObjectId.isValid(req.params.setId) ? session.sets.id(req.params.setId) : null;
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        message: 'Set not found'
+      });
+    }
+
+    workoutSets.setLoad(set, req.body, req.user);
+    if (set.status === 'completed') {
+      workoutSets.rollUpSets(session);
+    }
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      set
+    });
+
+  } catch (error) {
+    logger.error('Update set load error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating set load'
+    });
+  }
+});
+
+// @desc    Skip a pending set
+// @route   POST /api/workouts/:sessionId/sets/:setId/skip
+// @access  Private
+router.post('/:sessionId/sets/:setId/skip', auth, async (req, res) => {
+  try {
+    const session = await WorkoutSession.findById(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workout session not found'
+      });
+    }
+
+    // Check if user owns this session
+    if (session.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this session'
+      });
+    }
+
+    const set = mongoose.Types.ObjectId.isValid(req.params.setId) ? session.sets.id(req.params.setId) : null;
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        message: 'Set not found'
+      });
+    }
+
+    if (set.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Set is already ${set.status}`
+      });
+    }
+
+    set.status = 'skipped';
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      set,
+      nextSet: session.getNextSet()
+    });
+
+  } catch (error) {
+    logger.error('Skip set error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error skipping set'
+    });
+  }
+});
+
 // @desc    Add pose data to workout session
 // @route   POST /api/workouts/:sessionId/pose-data
 // @access  Private
@@ -155,9 +682,16 @@ router.post('/:sessionId/pose-data', auth, async (req, res) => {
       });
     }
 
-    const { poseData } = req.body;
-    session.addPoseData(poseData);
-    await session.save();
+    // Single frames go to the PoseFrame collection like bulk chunks do
+    const { frames, error } = poseEncoding.decodeChunk({ frames: [req.body.poseData] });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await sessionFrames.recordFrames(session._id, frames);
 
     res.status(200).json({
       success: true,
@@ -173,6 +707,56 @@ router.post('/:sessionId/pose-data', auth, async (req, res) => {
   }
 });
 
+// @desc    Add a chunk of pose frames to workout session
+// @route   POST /api/workouts/:sessionId/pose-frames
+// @access  Private
+router.post('/:sessionId/pose-frames', auth, async (req, res) => {
+  try {
+    const session = await WorkoutSession.findById(req.params.sessionId).select('userId');
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workout session not found'
+      });
+    }
+
+    // Check if user owns this session
+    if (session.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to add data to this session'
+      });
+    }
+
+    // Plain frames or the quantized encoding described in services/poseEncoding.js
+    const { frames, error } = poseEncoding.decodeChunk(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { stored, dropped } = await sessionFrames.recordFrames(session._id, frames);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pose frames added successfully',
+      received: frames.length,
+      stored,
+      dropped
+    });
+
+  } catch (error) {
+    logger.error('Add pose frames error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding pose frames'
+    });
+  }
+});
+
 // @desc    Add feedback to workout session
 // @route   POST /api/workouts/:sessionId/feedback
 // @access  Private
@@ -260,7 +844,9 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// @desc    Get specific workout session
+// @desc    Get specific workout session. Recorded frames are included only
+//          with ?frames=true and are paged (page, limit) and optionally
+//          downsampled (fps); encoding=quantized returns them compactly.
 // @route   GET /api/workouts/:sessionId
 // @access  Private
 router.get('/:sessionId', auth, async (req, res) => {
@@ -282,10 +868,29 @@ router.get('/:sessionId', auth, async (req, res) => {
       });
     }
 
-    res.status(200).json({
+    const { frames, page, limit, fps, encoding } = req.query;
+    const { poseData, ...sessionData } = session.toObject();
+    const response = {
       success: true,
-      session
-    });
+      session: sessionData
+    };
+
+    if (frames === 'true') {
+      if (fps !== undefined && !(Number(fps) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'fps must be a positive number'
+        });
+      }
+
+      const result = await sessionFrames.getSessionFrames(session, { page, limit, fps });
+      response.frames = encoding === 'quantized'
+        ? poseEncoding.encodeFrames(result.frames)
+        : result.frames;
+      response.framesPagination = result.pagination;
+    }
+
+    res.status(200).json(response);
 
   } catch (error) {
     logger.error('Get workout session error:', error);
@@ -296,86 +901,142 @@ router.get('/:sessionId', auth, async (req, res) => {
   }
 });
 
-// @desc    Get workout analytics
-// @route   GET /api/workouts/analytics/summary
+// @desc    Get a replay of a recorded session: skeleton track, rep boundaries
+//          and feedback events on one timeline. ?fps downsamples the track,
+//          ?rep seeks to one rep (of set ?set in planned workouts, where rep
+//          numbers restart each set) and ?encoding=quantized compacts skeletons.
+// @route   GET /api/workouts/:sessionId/replay
 // @access  Private
-router.get('/analytics/summary', auth, async (req, res) => {
+router.get('/:sessionId/replay', auth, async (req, res) => {
   try {
-    const { period = '30d' } = req.query;
-    
-    logger.info(`Getting analytics for user ${req.user.id} for period ${period}`);
-    
-    // Calculate date range
-    const now = new Date();
-    let startDate;
-    
-    switch (period) {
-      case '7d':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '30d':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case '90d':
-        startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    }
-
-    // First, let's check how many sessions exist for this user
-    const totalSessionsCount = await WorkoutSession.countDocuments({ 
-      userId: new mongoose.Types.ObjectId(req.user.id) 
+    const session = await WorkoutSession.findById(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workout session not found'
+      });
+    }
+
+    // Check if user owns this session
+    if (session.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this session'
+      });
+    }
+
+    const { fps, rep, set, encoding } = req.query;
+
+    if (fps !== undefined && !(Number(fps) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'fps must be a positive number'
+      });
+    }
+
+    if (rep !== undefined && !(Number.isInteger(Number(rep)) && Number(rep) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'rep must be a positive rep number'
+      });
+    }
+
+    if (set !== undefined && !session.sets.id(set)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Set not found in this session'
+      });
+    }
+
+    const frames = (await sessionFrames.getAllSessionFrames(session))
+      .filter(frame => frame.keypoints);
+    const replay = sessionReplay.buildReplay(session, frames, {
+      user: req.user,
+      fps,
+      rep,
+      set,
+      encoding
     });
-    
-    logger.info(`Total sessions for user ${req.user.id}: ${totalSessionsCount}`);
 
+    if (!replay) {
+      return res.status(404).json({
+        success: false,
+        message: `Rep ${rep} not found in this session`
+      });
+    }
 
-    const analytics = await WorkoutSession.aggregate([
-      {
-        $match: {
-          userId: new mongoose.Types.ObjectId(req.user.id),
-          startTime: { $gte: startDate },
-          totalReps: { $gt: 0 } // Only include sessions with actual workout data
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalSessions: { $sum: 1 },
-          totalReps: { $sum: { $ifNull: ['$totalReps', 0] } }, // Handle null values
-          averageFormAccuracy: { 
-            $avg: { 
-              $cond: [
-                { $and: [{ $ne: ['$formAccuracy', null] }, { $gt: ['$formAccuracy', 0] }] },
-                '$formAccuracy',
-                null
-              ]
-            }
-          },
-          exerciseBreakdown: {
-            $push: {
-              exercise: '$exercise',
-              formAccuracy: { $ifNull: ['$formAccuracy', 0] },
-              reps: { $ifNull: ['$totalReps', 0] }
-            }
-          }
-        }
-      }
-    ]);
+    res.status(200).json({
+      success: true,
+      replay
+    });
 
-    const result = analytics[0] || {
-      totalSessions: 0,
-      totalReps: 0,
-      averageFormAccuracy: 0,
-      exerciseBreakdown: []
-    };
+  } catch (error) {
+    logger.error('Get workout replay error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error building workout replay'
+    });
+  }
+});
+
+// @desc    Get workout analytics for a preset period (7d/30d/90d) or a custom
+//          from/to range, bucketed by week or month in the user's time zone
+// @route   GET /api/workouts/analytics/summary?period=30d | ?from=&to=&bucket=week
+// @access  Private
+router.get('/analytics/summary', auth, [
+  query('period').optional().isIn(['7d', '30d', '90d', '180d', '365d'])
+    .withMessage('Period must be 7d, 30d, 90d, 180d or 365d'),
+  query(['from', 'to']).optional().isISO8601()
+    .withMessage('From and to must be dates').toDate(),
+  query('bucket').optional().isIn(analyticsSummary.BUCKET_UNITS)
+    .withMessage('Bucket must be week or month')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
-    logger.info(`Analytics result for user ${req.user.id}:`, result);
+    const { period = '30d', from, to } = req.query;
+    const end = to || new Date();
+    const start = from || new Date(end.getTime() - parseInt(period, 10) * 24 * 60 * 60 * 1000);
+    const rangeDays = (end - start) / (24 * 60 * 60 * 1000);
+
+    if (rangeDays <= 0 || rangeDays > 3 * 365) {
+      return res.status(400).json({
+        success: false,
+        message: 'The range must run forwards and span at most three years'
+      });
+    }
+
+    logger.info(`Getting analytics for user ${req.user.id} from ${start.toISOString()} to ${end.toISOString()}`);
+
+    const summary = await analyticsSummary.buildSummary(req.user.id, {
+      from: start,
+      to: end,
+      // Weekly buckets up to about a quarter, monthly beyond
+      bucket: req.query.bucket || (rangeDays > 120 ? 'month' : 'week'),
+      timeZone: req.user.preferences?.timeZone || 'UTC'
+    });
+
+    const { totals, exercises, ...details } = summary;
 
     res.status(200).json({
       success: true,
-      analytics: result
+      analytics: {
+        // Headline totals, as before
+        totalSessions: totals.totalSessions || 0,
+        totalReps: totals.totalReps || 0,
+        averageFormAccuracy: totals.averageFormAccuracy || 0,
+        totals,
+        // Per-exercise totals
+        exerciseBreakdown: exercises,
+        ...details
+      }
     });
 
   } catch (error) {
@@ -387,54 +1048,78 @@ router.get('/analytics/summary', auth, async (req, res) => {
   }
 });
 
-// @desc    Get activity data for calendar/grid view
-// @route   GET /api/workouts/analytics/activity
+// @desc    Get volume-load and estimated 1RM history per exercise, in the
+//          user's preferred units
+// @route   GET /api/workouts/analytics/load?exercise=squat&period=90d
 // @access  Private
-router.get('/analytics/activity', auth, async (req, res) => {
+router.get('/analytics/load', auth, [
+  query('exercise').optional().isIn(exerciseDefinitions.getExerciseIds())
+    .withMessage('Invalid exercise type'),
+  query('period').optional().isIn(['30d', '90d', '180d', '365d', 'all'])
+    .withMessage('Period must be 30d, 90d, 180d, 365d or all')
+], async (req, res) => {
   try {
-    const { days = 365 } = req.query; // Default to 1 year
-    
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(days));
-    
-    const sessions = await WorkoutSession.find({
-      userId: new mongoose.Types.ObjectId(req.user.id),
-      startTime: { $gte: startDate }
-    }).select('startTime exercise totalReps formAccuracy');
-    
-    // Group sessions by date
-    const activityMap = {};
-    sessions.forEach(session => {
-      const dateKey = session.startTime.toISOString().split('T')[0]; // YYYY-MM-DD
-      if (!activityMap[dateKey]) {
-        activityMap[dateKey] = {
-          date: dateKey,
-          workouts: 0,
-          totalReps: 0,
-          exercises: [],
-          avgFormAccuracy: 0
-        };
-      }
-      
-      activityMap[dateKey].workouts += 1;
-      activityMap[dateKey].totalReps += session.totalReps || 0;
-      activityMap[dateKey].exercises.push(session.exercise);
-      activityMap[dateKey].avgFormAccuracy = 
-        (activityMap[dateKey].avgFormAccuracy + (session.formAccuracy || 0)) / activityMap[dateKey].workouts;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { exercise, period = '90d' } = req.query;
+    const since = period === 'all'
+      ? undefined
+      : new Date(Date.now() - parseInt(period, 10) * 24 * 60 * 60 * 1000);
+
+    const history = await loadHistory.getLoadHistory(req.user.id, { exercise, since });
+
+    res.status(200).json({
+      success: true,
+      period,
+      exercises: loadHistory.summarizeLoadHistory(history, load.unitForUser(req.user))
     });
-    
-    // Convert to array and calculate intensity levels
-    const activityData = Object.values(activityMap).map(day => ({
-      ...day,
-      intensity: day.workouts === 0 ? 0 : 
-                day.workouts === 1 ? 1 :
-                day.workouts === 2 ? 2 :
-                day.workouts >= 3 ? 3 : 1
-    }));
-    
+
+  } catch (error) {
+    logger.error('Get load history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching load history'
+    });
+  }
+});
+
+// @desc    Get daily activity for the calendar heatmap: every day of the
+//          range in the user's time zone, with an intensity level driven by
+//          `metric` (combined, reps, duration, form or workouts)
+// @route   GET /api/workouts/analytics/activity?days=365&metric=combined
+// @access  Private
+router.get('/analytics/activity', auth, [
+  query('days').optional().isInt({ min: 1, max: 730 })
+    .withMessage('Days must be between 1 and 730').toInt(),
+  query('metric').optional().isIn(activity.INTENSITY_METRICS)
+    .withMessage(`Metric must be one of: ${activity.INTENSITY_METRICS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { days = 365, metric = 'combined' } = req.query; // Default to 1 year
+
+    const result = await activity.getActivity(req.user.id, {
+      days,
+      metric,
+      timeZone: req.user.preferences?.timeZone || 'UTC'
+    });
+
     res.status(200).json({
       success: true,
-      activity: activityData
+      ...result
     });
     
   } catch (error) {
@@ -451,9 +1136,12 @@ router.get('/analytics/activity', auth, async (req, res) => {
 // @access  Private
 router.delete('/clear-all', auth, async (req, res) => {
   try {
-    const result = await WorkoutSession.deleteMany({
-      userId: new mongoose.Types.ObjectId(req.user.id)
-    });
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+    const sessionIds = await WorkoutSession.find({ userId }).distinct('_id');
+    await sessionFrames.deleteSessionFrames(sessionIds);
+    await PersonalRecord.deleteMany({ userId });
+    const result = await WorkoutSession.deleteMany({ userId });
+    await userStats.recomputeUserStats(req.user.id);
 
     logger.info(`Cleared ${result.deletedCount} sessions for user ${req.user.id}`);
 
@@ -511,6 +1199,10 @@ router.post('/fix-sessions', auth, async (req, res) => {
       fixedCount++;
     }
 
+    if (fixedCount > 0) {
+      await userStats.recomputeUserStats(req.user.id);
+    }
+
     logger.info(`Fixed ${fixedCount} sessions for user ${req.user.id}`);
 
     res.status(200).json({
@@ -9,12 +9,17 @@ require('dotenv').config();
 
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
+const socketAuth = require('./middleware/socketAuth');
+const registerPoseSocket = require('./sockets/poseAnalysis');
+const registerCoachingSocket = require('./sockets/aiCoaching');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const workoutRoutes = require('./routes/workouts');
 const analysisRoutes = require('./routes/analysis');
+const templateRoutes = require('./routes/templates');
+const programRoutes = require('./routes/programs');
 
 const app = express();
 const server = createServer(app);
@@ -55,7 +60,9 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       users: '/api/users',
       workouts: '/api/workouts',
-      analysis: '/api/analysis'
+      analysis: '/api/analysis',
+      templates: '/api/templates',
+      programs: '/api/programs'
     },
     timestamp: new Date().toISOString()
   });
@@ -75,33 +82,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/workouts', workoutRoutes);
 app.use('/api/analysis', analysisRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/programs', programRoutes);
 
-// Socket.IO for real-time pose analysis
-io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
-
-  socket.on('pose-data', (data) => {
-    // Handle real-time pose data from frontend
-    // Process pose analysis and send feedback
-    const feedback = processPoseData(data);
-    socket.emit('pose-feedback', feedback);
-  });
-
-  socket.on('disconnect', () => {
-    logger.info(`Client disconnected: ${socket.id}`);
-  });
-});
-
-// Placeholder for pose processing function
-function processPoseData(poseData) {
-  // This will be implemented with the form analysis engine
-  return {
-    timestamp: new Date().toISOString(),
-    feedback: 'Processing pose data...',
-    angles: {},
-    corrections: []
-  };
-}
+// Socket.IO for real-time pose analysis and streamed AI coaching
+io.use(socketAuth);
+registerPoseSocket(io);
+registerCoachingSocket(io);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -1,194 +1,284 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const logger = require('../utils/logger');
-
-class AICoach {
-  constructor() {
-    // Initialize Gemini API
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      logger.warn('GEMINI_API_KEY not found. AI coaching features will be limited.');
-      this.genAI = null;
-      this.model = null;
-    } else {
-      this.genAI = new GoogleGenerativeAI(apiKey);
-      this.model = this.genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+const exerciseDefinitions = require('./exerciseDefinitions');
+const { loadLLMConfig, createProvider } = require('./llmProviders');
+const { validateResponse } = require('./coachResponses');
+const aiUsage = require('./aiUsage');
+
+// Times a reply that fails validation is sent back to the model for repair
+const MAX_REPAIR_ATTEMPTS = 1;
+
+// Longest rejected reply quoted back in a repair prompt
+const MAX_REPAIR_QUOTE_LENGTH = 4000;
+
+// Warn about a missing provider once, not once per coach
+let warnedNotConfigured = false;
+
+// Build the provider from the environment, or null when none is configured
+// or the configuration is invalid
+const providerFromConfig = () => {
+  try {
+    const provider = createProvider(loadLLMConfig());
+    if (!provider && !warnedNotConfigured) {
+      logger.warn('No LLM provider configured (set LLM_PROVIDER or GEMINI_API_KEY). AI coaching features will be limited.');
+      warnedNotConfigured = true;
     }
+    return provider;
+  } catch (error) {
+    logger.error('LLM provider configuration error:', error);
+    return null;
+  }
+};
 
-    // Exercise-specific coaching knowledge
-    this.exerciseKnowledge = {
-      squat: {
-        commonIssues: [
-          'knee valgus (knees caving in)',
-          'forward lean (chest dropping)',
-          'insufficient depth',
-          'heel lifting',
-          'asymmetrical movement'
-        ],
-        keyPoints: [
-          'Keep knees aligned with toes',
-          'Maintain neutral spine',
-          'Descend to hip crease below knee',
-          'Drive through heels',
-          'Keep chest up and core engaged'
-        ],
-        phases: ['starting', 'descending', 'bottom', 'ascending', 'completed']
-      },
-      deadlift: {
-        commonIssues: [
-          'rounded back',
-          'bar drift from body',
-          'hyperextension at top',
-          'knee lockout timing',
-          'uneven hip hinge'
-        ],
-        keyPoints: [
-          'Maintain neutral spine throughout',
-          'Keep bar close to body',
-          'Hip hinge movement pattern',
-          'Simultaneous hip and knee extension',
-          'Controlled eccentric phase'
-        ]
-      },
-      pushup: {
-        commonIssues: [
-          'sagging hips',
-          'flared elbows',
-          'partial range of motion',
-          'head position',
-          'uneven hand placement'
-        ],
-        keyPoints: [
-          'Maintain plank position',
-          'Elbows at 45-degree angle',
-          'Full range of motion',
-          'Neutral head position',
-          'Controlled movement tempo'
-        ]
-      }
-    };
+class AICoach {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.provider] - LLM provider (see services/llmProviders.js);
+   *   defaults to the one configured in the environment
+   */
+  constructor(options = {}) {
+    this.provider = options.provider !== undefined ? options.provider : providerFromConfig();
+
+    // Exercise-specific coaching knowledge, from the exercise definitions
+    this.exerciseKnowledge = exerciseDefinitions.getExerciseIds().reduce((knowledge, exercise) => {
+      knowledge[exercise] = exerciseDefinitions.getDefinition(exercise).coaching;
+      return knowledge;
+    }, {});
   }
 
   /**
-   * Generate AI-powered coaching feedback based on pose analysis
+   * Generate AI-powered coaching feedback based on pose analysis. Replies are
+   * cached and shared by fingerprint (see services/aiUsage.js), and provider
+   * calls count against the user's AI budget.
    * @param {Object} analysisData - Pose analysis data from FormAnalyzer
    * @param {Object} userProfile - User's fitness profile and history
    * @param {string} exercise - Exercise type
+   * @param {Object} [options] - Streaming callbacks (see generateValidated)
    * @returns {Promise<Object>} Enhanced coaching feedback
    */
-  async generateCoachingFeedback(analysisData, userProfile, exercise) {
+  async generateCoachingFeedback(analysisData, userProfile, exercise, options = {}) {
     try {
-      if (!this.model) {
+      if (!this.provider) {
         return this.getFallbackFeedback(analysisData, exercise);
       }
 
-      const prompt = this.buildCoachingPrompt(analysisData, userProfile, exercise);
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const aiText = response.text();
-
-      // Parse AI response and structure it
-      const coaching = this.parseCoachingResponse(aiText, analysisData);
-      
-      logger.info(`AI coaching generated for ${exercise}:`, {
-        userId: userProfile.id,
-        formScore: analysisData.formScore,
-        feedbackLength: coaching.feedback.length
-      });
+      const context = aiUsage.coachingContext(exercise, analysisData, userProfile);
+
+      return await aiUsage.run(
+        userProfile.id,
+        aiUsage.coachingFingerprint(context),
+        async () => {
+          const prompt = this.buildCoachingPrompt(context);
+          const result = await this.generateValidated(prompt, 'coaching', options);
+          if (result.error) {
+            return this.getFallbackFeedback(analysisData, exercise, 'invalid_output', { validationError: result.error });
+          }
 
-      return coaching;
+          const coaching = this.parseCoachingResponse(result);
+
+          logger.info(`AI coaching generated for ${exercise}:`, {
+            userId: userProfile.id,
+            provider: coaching.provider.name,
+            formScore: analysisData.formScore,
+            feedbackLength: coaching.feedback.length
+          });
+
+          return coaching;
+        },
+        retryAfterMs => this.getFallbackFeedback(analysisData, exercise, 'rate_limited', { retryAfterMs })
+      );
 
     } catch (error) {
       logger.error('AI coaching generation error:', error);
-      return this.getFallbackFeedback(analysisData, exercise);
+      return this.getFallbackFeedback(analysisData, exercise, 'provider_error');
     }
   }
 
   /**
-   * Generate personalized workout recommendations
+   * Generate personalized workout recommendations. Provider calls count
+   * against the user's AI budget.
    * @param {Object} userStats - User's workout statistics
    * @param {Array} recentSessions - Recent workout sessions
    * @param {Object} userGoals - User's fitness goals
+   * @param {Array} loadHistory - Per-exercise load history (see services/loadHistory.js)
    * @returns {Promise<Object>} Personalized recommendations
    */
-  async generateWorkoutRecommendations(userStats, recentSessions, userGoals) {
+  async generateWorkoutRecommendations(userStats, recentSessions, userGoals, loadHistory = []) {
     try {
-      if (!this.model) {
-        return this.getFallbackRecommendations(userStats);
+      if (!this.provider) {
+        return this.getFallbackRecommendations(userStats, loadHistory);
       }
 
-      const prompt = this.buildRecommendationPrompt(userStats, recentSessions, userGoals);
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const aiText = response.text();
-
-      const recommendations = this.parseRecommendations(aiText);
-      
-      logger.info('AI workout recommendations generated:', {
-        userId: userStats.userId,
-        recommendationCount: recommendations.exercises.length
-      });
-
-      return recommendations;
+      return await aiUsage.run(
+        userStats.userId,
+        null,
+        async () => {
+          const prompt = this.buildRecommendationPrompt(userStats, recentSessions, userGoals, loadHistory);
+          const result = await this.generateValidated(prompt, 'recommendations');
+          if (result.error) {
+            return this.getFallbackRecommendations(userStats, loadHistory, 'invalid_output', { validationError: result.error });
+          }
+
+          const recommendations = this.parseRecommendations(result);
+
+          logger.info('AI workout recommendations generated:', {
+            userId: userStats.userId,
+            provider: recommendations.provider.name,
+            recommendationCount: recommendations.exercises.length
+          });
+
+          return recommendations;
+        },
+        retryAfterMs => this.getFallbackRecommendations(userStats, loadHistory, 'rate_limited', { retryAfterMs })
+      );
 
     } catch (error) {
       logger.error('AI recommendation generation error:', error);
-      return this.getFallbackRecommendations(userStats);
+      return this.getFallbackRecommendations(userStats, loadHistory, 'provider_error');
     }
   }
 
   /**
-   * Analyze workout session and provide insights
+   * Analyze workout session and provide insights. Provider calls count
+   * against the user's AI budget.
    * @param {Object} sessionData - Complete workout session data
    * @param {Object} userProfile - User profile information
+   * @param {Object} [options] - Streaming callbacks and abort signal (see generateValidated),
+   *   and the user's `history` and `trend` for the exercise (see services/sessionAnalysis.js)
    * @returns {Promise<Object>} Session insights and analysis
    */
-  async analyzeWorkoutSession(sessionData, userProfile) {
+  async analyzeWorkoutSession(sessionData, userProfile, options = {}) {
     try {
-      if (!this.model) {
+      if (!this.provider) {
         return this.getFallbackSessionAnalysis(sessionData);
       }
 
-      const prompt = this.buildSessionAnalysisPrompt(sessionData, userProfile);
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const aiText = response.text();
-
-      const analysis = this.parseSessionAnalysis(aiText, sessionData);
-      
-      logger.info('AI session analysis generated:', {
-        userId: userProfile.id,
-        exercise: sessionData.exercise,
-        totalReps: sessionData.totalReps
+      return await aiUsage.run(
+        userProfile.id,
+        null,
+        async () => {
+          const prompt = this.buildSessionAnalysisPrompt(sessionData, userProfile, options);
+          const result = await this.generateValidated(prompt, 'session_analysis', options);
+          if (result.error) {
+            return this.getFallbackSessionAnalysis(sessionData, 'invalid_output', { validationError: result.error });
+          }
+
+          const analysis = this.parseSessionAnalysis(result, sessionData);
+
+          logger.info('AI session analysis generated:', {
+            userId: userProfile.id,
+            provider: analysis.provider.name,
+            exercise: sessionData.exercise,
+            totalReps: sessionData.totalReps
+          });
+
+          return analysis;
+        },
+        retryAfterMs => this.getFallbackSessionAnalysis(sessionData, 'rate_limited', { retryAfterMs })
+      );
+
+    } catch (error) {
+      if (options.signal?.aborted) {
+        logger.info('AI session analysis cancelled');
+      } else {
+        logger.error('AI session analysis error:', error);
+      }
+      return this.getFallbackSessionAnalysis(sessionData, 'provider_error');
+    }
+  }
+
+  /**
+   * Generate a reply for `task` and validate it against the task's schema
+   * (see services/coachResponses.js). A reply that fails validation is sent
+   * back with the problems found, up to MAX_REPAIR_ATTEMPTS times.
+   * @param {string} prompt - Prompt for the model
+   * @param {string} task - coaching, recommendations or session_analysis
+   * @param {Object} [options]
+   * @param {Function} [options.onText] - Streams the reply: called with each piece of text as it arrives
+   * @param {Function} [options.onRepair] - Called with the validation problems before a repair is
+   *   requested; text streamed so far should be discarded
+   * @param {AbortSignal} [options.signal] - Cancels the provider request; the call then rejects
+   * @returns {Promise<Object>} { value, generated, repaired } or { error, generated }
+   */
+  async generateValidated(prompt, task, { onText, onRepair, signal } = {}) {
+    let generated = await this.generateText(prompt, task, { onText, signal });
+    let result = validateResponse(task, generated.text);
+    let attempts = 0;
+
+    while (result.error && attempts < MAX_REPAIR_ATTEMPTS) {
+      attempts++;
+      logger.warn(`AI ${task} response failed validation, asking for a repair:`, {
+        provider: generated.provider,
+        error: result.error
       });
 
-      return analysis;
+      if (onRepair) onRepair(result.error);
+      generated = await this.generateText(this.buildRepairPrompt(prompt, generated.text, result.error), task, { onText, signal });
+      result = validateResponse(task, generated.text);
+    }
 
-    } catch (error) {
-      logger.error('AI session analysis error:', error);
-      return this.getFallbackSessionAnalysis(sessionData);
+    if (result.error) {
+      logger.warn(`AI ${task} response failed validation:`, {
+        provider: generated.provider,
+        error: result.error
+      });
+      return { error: result.error, generated };
     }
+
+    return { value: result.value, generated, repaired: attempts > 0 };
+  }
+
+  /**
+   * Generate a reply, streaming it to onText when given. Providers that
+   * cannot stream pass the whole reply to onText at once.
+   */
+  async generateText(prompt, task, { onText, signal } = {}) {
+    if (!onText) {
+      return this.provider.generate(prompt, { task, signal });
+    }
+
+    if (this.provider.stream) {
+      return this.provider.stream(prompt, { task, onText, signal });
+    }
+
+    const generated = await this.provider.generate(prompt, { task, signal });
+    onText(generated.text);
+    return generated;
+  }
+
+  /**
+   * Build prompt asking the model to correct a reply that failed validation
+   */
+  buildRepairPrompt(prompt, reply, error) {
+    return `${prompt}
+
+Your previous reply was:
+${String(reply).slice(0, MAX_REPAIR_QUOTE_LENGTH)}
+
+It was rejected because: ${error}
+
+Reply again with only the corrected JSON object in the format above, with no other text.`;
   }
 
   /**
-   * Build coaching prompt for Gemini API
+   * Build coaching prompt. Replies are cached and shared across users by the
+   * context fingerprint, so the prompt must use nothing outside the context.
+   * @param {Object} context - Coaching context from aiUsage.coachingContext
    */
-  buildCoachingPrompt(analysisData, userProfile, exercise) {
+  buildCoachingPrompt(context) {
+    const { exercise, phase, formScore, angles, feedback, errors, fitnessLevel } = context;
     const exerciseInfo = this.exerciseKnowledge[exercise] || {};
     
     return `You are an expert fitness coach analyzing a ${exercise} exercise. 
 
 USER PROFILE:
-- Fitness Level: ${userProfile.fitnessLevel || 'beginner'}
-- Age: ${userProfile.age || 'not specified'}
-- Goals: ${userProfile.goals?.join(', ') || 'general fitness'}
-- Total Workouts: ${userProfile.totalWorkouts || 0}
+- Fitness Level: ${fitnessLevel}
 
 CURRENT ANALYSIS:
-- Form Score: ${analysisData.formScore}/100
-- Phase: ${analysisData.phase}
-- Rep Number: ${analysisData.repNumber}
-- Key Angles: ${JSON.stringify(analysisData.angles)}
-- Current Feedback: ${analysisData.feedback?.join(', ') || 'none'}
+- Form Score: ${formScore ?? 'unknown'}/100
+- Phase: ${phase || 'unknown'}
+- Key Angles (to the nearest 5 degrees): ${JSON.stringify(angles)}
+- Current Feedback: ${feedback.join(', ') || 'none'}
+- Form Errors: ${errors.join(', ') || 'none'}
 
 EXERCISE KNOWLEDGE:
 - Common Issues: ${exerciseInfo.commonIssues?.join(', ') || 'general form issues'}
@@ -210,9 +300,16 @@ Focus on being encouraging while providing specific, actionable feedback. Consid
   /**
    * Build workout recommendation prompt
    */
-  buildRecommendationPrompt(userStats, recentSessions, userGoals) {
+  buildRecommendationPrompt(userStats, recentSessions, userGoals, loadHistory = []) {
     const recentExercises = recentSessions.map(s => s.exercise).join(', ');
     const avgAccuracy = userStats.averageFormAccuracy || 0;
+    const loadLines = loadHistory.map(history => {
+      const sessions = history.sessions.slice(-5).map(session =>
+        `top set ${session.topWeight}${history.unit}, ${session.reps} reps over ${session.sets} sets, form ${session.formAccuracy}%${session.rpe ? `, RPE ${session.rpe}` : ''}`
+      ).join('; ');
+      const best = history.bestOneRepMax ? `${history.bestOneRepMax}${history.unit}` : 'n/a';
+      return `- ${history.exercise}: ${sessions}. Best estimated 1RM: ${best}`;
+    }).join('\n');
     
     return `You are a fitness coach creating personalized workout recommendations.
 
@@ -223,11 +320,15 @@ USER STATISTICS:
 - Recent Exercises: ${recentExercises || 'none'}
 - Fitness Goals: ${userGoals?.join(', ') || 'general fitness'}
 
+LOAD HISTORY (oldest to newest, top set per session):
+${loadLines || '- none recorded'}
+
 Based on this data, recommend 3-5 exercises for their next workout. Consider:
 1. Exercise variety and progression
 2. Form accuracy trends
 3. User's stated goals
 4. Appropriate difficulty level
+5. Load progression for loaded exercises: only add weight where form accuracy stayed high and effort (RPE) left room
 
 Provide recommendations in this JSON format:
 {
@@ -241,6 +342,14 @@ Provide recommendations in this JSON format:
       "focusAreas": ["area1", "area2"]
     }
   ],
+  "loadProgression": [
+    {
+      "exercise": "exercise_name",
+      "weight": 60,
+      "unit": "kg|lb",
+      "reason": "why this load"
+    }
+  ],
   "overallStrategy": "Brief explanation of the workout strategy",
   "progressionTips": "How to progress over time"
 }`;
@@ -249,7 +358,22 @@ Provide recommendations in this JSON format:
   /**
    * Build session analysis prompt
    */
-  buildSessionAnalysisPrompt(sessionData, userProfile) {
+  buildSessionAnalysisPrompt(sessionData, userProfile, { history = [], trend = null } = {}) {
+    const signed = (value, unit = '') => (value === null ? 'n/a' : `${value > 0 ? '+' : ''}${value}${unit}`);
+    const historyLines = history.map(entry => {
+      const errors = Object.entries(entry.errorFrequency)
+        .map(([errorType, percentage]) => `${errorType} ${percentage}%`)
+        .join(', ');
+      return `- ${new Date(entry.date).toISOString().slice(0, 10)}: ${entry.totalReps} reps, form ${entry.formAccuracy}%, errors: ${errors || 'none'}`;
+    }).join('\n');
+    const trendLines = trend && trend.sessions > 0 ? [
+      `- Form Accuracy: ${signed(trend.formAccuracy.deltaFromPrevious, ' points')} vs previous session, ${signed(trend.formAccuracy.deltaFromAverage, ' points')} vs average`,
+      `- Reps: ${signed(trend.totalReps.deltaFromPrevious)} vs previous session, ${signed(trend.totalReps.deltaFromAverage)} vs average`,
+      ...trend.errorFrequency.slice(0, 5).map(error =>
+        `- ${error.errorType}: ${error.current}% of reps, ${signed(error.deltaFromAverage, ' points')} vs average`
+      )
+    ].join('\n') : null;
+
     return `Analyze this completed workout session as an expert fitness coach.
 
 SESSION DATA:
@@ -264,91 +388,94 @@ USER CONTEXT:
 - Fitness Level: ${userProfile.fitnessLevel || 'beginner'}
 - Previous Sessions: ${userProfile.totalWorkouts || 0}
 
+EARLIER ${String(sessionData.exercise).toUpperCase()} SESSIONS (newest first, errors as % of reps):
+${historyLines || '- none recorded'}
+
+TRENDS:
+${trendLines || '- no earlier sessions to compare with'}
+
+Base progressIndicators only on the earlier sessions and trends above. If there are none, say this is the first recorded session of this exercise rather than guessing.
+
 Provide analysis in this JSON format:
 {
   "performance": "excellent|good|average|needs_improvement",
   "keyStrengths": ["strength1", "strength2"],
   "areasToImprove": ["area1", "area2"],
-  "progressIndicators": "How this compares to typical progress",
+  "progressIndicators": "How this compares to their earlier sessions",
   "nextSessionFocus": "What to emphasize next time",
   "motivationalMessage": "Encouraging message about their progress"
 }`;
   }
 
   /**
-   * Parse AI coaching response
+   * Structure validated coaching output
    */
-  parseCoachingResponse(aiText, analysisData) {
-    try {
-      // Extract JSON from AI response
-      const jsonMatch = aiText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return {
-          feedback: [parsed.primaryFeedback],
-          technicalCues: parsed.technicalCues || [],
-          encouragement: parsed.encouragement,
-          nextSteps: parsed.nextSteps,
-          formRating: parsed.formRating || 'good',
-          priority: parsed.priority || 'medium',
-          aiGenerated: true,
-          timestamp: new Date().toISOString()
-        };
-      }
-    } catch (error) {
-      logger.warn('Failed to parse AI coaching response:', error);
-    }
-
-    // Fallback to basic parsing
+  parseCoachingResponse({ value, generated, repaired }) {
     return {
-      feedback: [aiText.substring(0, 200) + '...'],
+      feedback: [value.primaryFeedback],
+      technicalCues: value.technicalCues,
+      encouragement: value.encouragement,
+      nextSteps: value.nextSteps,
+      formRating: value.formRating,
+      priority: value.priority,
       aiGenerated: true,
+      ...this.generatedSource(generated, repaired),
       timestamp: new Date().toISOString()
     };
   }
 
   /**
-   * Parse AI recommendations
+   * Structure validated recommendations
    */
-  parseRecommendations(aiText) {
-    try {
-      const jsonMatch = aiText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-    } catch (error) {
-      logger.warn('Failed to parse AI recommendations:', error);
-    }
+  parseRecommendations({ value, generated, repaired }) {
+    return {
+      ...value,
+      aiGenerated: true,
+      ...this.generatedSource(generated, repaired)
+    };
+  }
 
-    return this.getFallbackRecommendations();
+  /**
+   * Structure validated session analysis
+   */
+  parseSessionAnalysis({ value, generated, repaired }, sessionData) {
+    return {
+      ...value,
+      sessionId: sessionData._id,
+      aiGenerated: true,
+      ...this.generatedSource(generated, repaired),
+      timestamp: new Date().toISOString()
+    };
   }
 
   /**
-   * Parse session analysis
+   * Which provider and model produced a response, and whether it needed a
+   * repair
    */
-  parseSessionAnalysis(aiText, sessionData) {
-    try {
-      const jsonMatch = aiText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return {
-          ...parsed,
-          sessionId: sessionData._id,
-          aiGenerated: true,
-          timestamp: new Date().toISOString()
-        };
-      }
-    } catch (error) {
-      logger.warn('Failed to parse AI session analysis:', error);
-    }
+  generatedSource(generated, repaired) {
+    return {
+      provider: { name: generated.provider, model: generated.model },
+      ...(repaired ? { repaired: true } : {})
+    };
+  }
 
-    return this.getFallbackSessionAnalysis(sessionData);
+  /**
+   * Source of a fallback response: the built-in rules, and why the provider
+   * was not used (not_configured, provider_error, invalid_output with the
+   * validationError, or rate_limited with retryAfterMs)
+   */
+  fallbackSource(reason, details = {}) {
+    return {
+      provider: { name: 'fallback', model: null },
+      fallbackReason: reason,
+      ...details
+    };
   }
 
   /**
    * Fallback feedback when AI is unavailable
    */
-  getFallbackFeedback(analysisData, exercise) {
+  getFallbackFeedback(analysisData, exercise, reason = 'not_configured', details) {
     const exerciseInfo = this.exerciseKnowledge[exercise] || {};
     const score = analysisData.formScore || 0;
 
@@ -366,6 +493,7 @@ Provide analysis in this JSON format:
       technicalCues: exerciseInfo.keyPoints?.slice(0, 2) || [],
       formRating: score >= 80 ? 'good' : score >= 60 ? 'needs_improvement' : 'poor',
       aiGenerated: false,
+      ...this.fallbackSource(reason, details),
       timestamp: new Date().toISOString()
     };
   }
@@ -373,7 +501,7 @@ Provide analysis in this JSON format:
   /**
    * Fallback recommendations
    */
-  getFallbackRecommendations(userStats) {
+  getFallbackRecommendations(userStats, loadHistory = [], reason = 'not_configured', details) {
     return {
       exercises: [
         {
@@ -391,15 +519,20 @@ Provide analysis in this JSON format:
           difficulty: "beginner"
         }
       ],
+      // Rule-based next loads from the load history
+      loadProgression: loadHistory
+        .filter(history => history.nextLoad)
+        .map(history => ({ exercise: history.exercise, ...history.nextLoad })),
       overallStrategy: "Focus on mastering basic movement patterns",
-      aiGenerated: false
+      aiGenerated: false,
+      ...this.fallbackSource(reason, details)
     };
   }
 
   /**
    * Fallback session analysis
    */
-  getFallbackSessionAnalysis(sessionData) {
+  getFallbackSessionAnalysis(sessionData, reason = 'not_configured', details) {
     const accuracy = sessionData.formAccuracy || 0;
     
     return {
@@ -407,6 +540,7 @@ Provide analysis in this JSON format:
       keyStrengths: ["Completed the workout session"],
       areasToImprove: accuracy < 80 ? ["Form consistency"] : [],
       aiGenerated: false,
+      ...this.fallbackSource(reason, details),
       timestamp: new Date().toISOString()
     };
   }
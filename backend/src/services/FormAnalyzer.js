@@ -1,108 +1,213 @@
 const logger = require('../utils/logger');
 const AICoach = require('./AICoach');
+const RepCounter = require('./RepCounter');
+const PoseFilter = require('./PoseFilter');
+const exerciseDefinitions = require('./exerciseDefinitions');
+const poseGeometry = require('./poseGeometry');
+const tempo = require('./tempo');
+
+const { ANGLE_CATALOGUE } = exerciseDefinitions;
+
+// Longest gap between frames that still counts toward hold time, so a paused
+// stream does not credit the user with time they were not tracked
+const MAX_HOLD_FRAME_GAP_MS = 1000;
+
+// Landmarks with a MediaPipe visibility below this are treated as occluded,
+// and angles built from them as unreliable
+const DEFAULT_VISIBILITY_THRESHOLD = 0.5;
+
+// Form score a frame (or the average over a rep) needs to count as good form
+const GOOD_FORM_SCORE = 70;
+
+// Share of a rep's frames an error must appear in to be recorded on the rep,
+// so a single noisy frame does not fail it
+const REP_ERROR_MIN_SHARE = 0.2;
+
+// Frame quality (0-100) below which the client should ask the user to get
+// their whole body back in view
+const MIN_FRAME_QUALITY = 60;
 
 class FormAnalyzer {
-  constructor(exercise) {
+  // options.difficulty and options.mobilityLimits adapt the exercise
+  // definition's thresholds to the session and user (see resolveOptions);
+  // options.visibilityThreshold overrides the landmark visibility cut-off and
+  // options.filter configures the PoseFilter that smooths incoming frames;
+  // options.targetTempo ("3-1-1" or { eccentric, pause, concentric }) turns
+  // on tempo checks for completed reps
+  constructor(exercise, options = {}) {
     this.exercise = exercise;
-    this.exerciseRules = this.getExerciseRules(exercise);
+    this.visibilityThreshold = options.visibilityThreshold ?? DEFAULT_VISIBILITY_THRESHOLD;
+    this.filterOptions = options.filter || {};
+    this.poseFilter = new PoseFilter(this.filterOptions);
+    this.targetTempo = tempo.parseTempo(options.targetTempo);
+    this.definition = exerciseDefinitions.resolveDefinition(exercise, options);
+    this.difficulty = this.definition ? this.definition.difficultyLevel || null : null;
+    this.exerciseRules = this.getExerciseRules();
     this.aiCoach = new AICoach();
+    // Stateful rep tracking across frames of one session; hold exercises
+    // such as plank track time in position instead
+    this.repCounter = RepCounter.supports(exercise) ? new RepCounter(exercise, {}, this.definition) : null;
+    this.holdTracker = this.definition && this.definition.scoring === 'hold' ? this.createHoldTracker() : null;
+    // Per-rep form statistics, collected while a rep is in progress
+    this.repFrames = null;
+    this.completedReps = [];
   }
 
-  // Calculate angle between three points
-  calculateAngle(point1, point2, point3) {
-    const vector1 = {
-      x: point1.x - point2.x,
-      y: point1.y - point2.y
-    };
-    
-    const vector2 = {
-      x: point3.x - point2.x,
-      y: point3.y - point2.y
+  // Analyzer options for a user, optionally within a workout session. An
+  // explicit difficulty wins, then the session's setting, then the user's
+  // fitness level. Filter parameters given with the request override the
+  // session's poseFilter settings field by field.
+  static resolveOptions({ user, session, difficulty, filter, targetTempo } = {}) {
+    const sessionFilter = session?.settings?.poseFilter;
+    const sessionTempo = session?.settings?.targetTempo;
+
+    return {
+      difficulty: difficulty || session?.settings?.difficulty || user?.profile?.fitnessLevel || 'beginner',
+      mobilityLimits: user?.profile?.mobilityLimits || [],
+      targetTempo: tempo.parseTempo(targetTempo) || tempo.parseTempo(sessionTempo),
+      filter: {
+        ...(sessionFilter?.toObject ? sessionFilter.toObject() : sessionFilter),
+        ...filter
+      }
     };
+  }
 
-    const dot = vector1.x * vector2.x + vector1.y * vector2.y;
-    const mag1 = Math.sqrt(vector1.x * vector1.x + vector1.y * vector1.y);
-    const mag2 = Math.sqrt(vector2.x * vector2.x + vector2.y * vector2.y);
+  // Feed earlier frames through the pose filter without analysing them, so a
+  // single-frame request can be smoothed against the frames before it. For
+  // rep exercises the frames also drive the rep state machine, which gives
+  // analyzePose the movement direction a single frame lacks.
+  primeFilter(poseFrames = []) {
+    poseFrames.forEach(frame => {
+      const filtered = this.poseFilter.filter(frame);
+      if (this.repCounter) {
+        this.repCounter.update(this.measurePose(filtered).angles, frame.timestamp);
+      }
+    });
+  }
 
-    const angle = Math.acos(dot / (mag1 * mag2)) * (180 / Math.PI);
-    return isNaN(angle) ? 0 : angle;
+  // Calculate angle between three points, in 3D when use3d is set and every
+  // point has a z value
+  calculateAngle(point1, point2, point3, use3d = false) {
+    return poseGeometry.calculateAngle(point1, point2, point3, use3d);
   }
 
-  // Extract key angles from pose keypoints
-  extractAngles(keypoints) {
-    const angles = {};
+  // Measure a frame: joint angles from the best landmark set available, the
+  // camera view they were measured from and how far they can be trusted.
+  // `angles` holds only reliable angles; `allAngles` also has the ones built
+  // from landmarks below the visibility threshold.
+  measurePose(poseData) {
+    const { landmarks, angleMode } = poseGeometry.selectLandmarks(poseData);
+    const keypoints = poseData.keypoints || {};
+    const allAngles = this.extractAngles(landmarks, angleMode === '3d');
+    const angleConfidence = this.calculateAngleConfidence(keypoints);
 
-    try {
-      // Knee angles (hip-knee-ankle)
-      if (keypoints.left_hip && keypoints.left_knee && keypoints.left_ankle) {
-        angles.left_knee_angle = this.calculateAngle(
-          keypoints.left_hip,
-          keypoints.left_knee,
-          keypoints.left_ankle
-        );
+    const angles = {};
+    const unreliableAngles = [];
+    Object.entries(allAngles).forEach(([name, value]) => {
+      if ((angleConfidence[name] ?? 1) >= this.visibilityThreshold) {
+        angles[name] = value;
+      } else {
+        unreliableAngles.push(name);
       }
+    });
 
-      if (keypoints.right_hip && keypoints.right_knee && keypoints.right_ankle) {
-        angles.right_knee_angle = this.calculateAngle(
-          keypoints.right_hip,
-          keypoints.right_knee,
-          keypoints.right_ankle
-        );
-      }
+    return {
+      angles,
+      allAngles,
+      angleConfidence,
+      unreliableAngles,
+      view: poseGeometry.detectView(poseData),
+      angleMode,
+      frameQuality: this.assessFrameQuality(keypoints),
+      rejectedKeypoints: poseData.rejectedKeypoints || []
+    };
+  }
 
-      // Hip angles (shoulder-hip-knee)
-      if (keypoints.left_shoulder && keypoints.left_hip && keypoints.left_knee) {
-        angles.left_hip_angle = this.calculateAngle(
-          keypoints.left_shoulder,
-          keypoints.left_hip,
-          keypoints.left_knee
-        );
-      }
+  // Landmarks each of the exercise's angles is built from
+  getAngleLandmarks() {
+    const joints = this.definition ? this.definition.angles : Object.keys(ANGLE_CATALOGUE);
+    const landmarks = {};
 
-      if (keypoints.right_shoulder && keypoints.right_hip && keypoints.right_knee) {
-        angles.right_hip_angle = this.calculateAngle(
-          keypoints.right_shoulder,
-          keypoints.right_hip,
-          keypoints.right_knee
-        );
-      }
+    joints.forEach(joint => {
+      const { bilateral, points } = ANGLE_CATALOGUE[joint];
 
-      // Back angle (shoulder-hip line relative to vertical)
-      if (keypoints.left_shoulder && keypoints.right_shoulder && 
-          keypoints.left_hip && keypoints.right_hip) {
-        const shoulderMidpoint = {
-          x: (keypoints.left_shoulder.x + keypoints.right_shoulder.x) / 2,
-          y: (keypoints.left_shoulder.y + keypoints.right_shoulder.y) / 2
-        };
-        const hipMidpoint = {
-          x: (keypoints.left_hip.x + keypoints.right_hip.x) / 2,
-          y: (keypoints.left_hip.y + keypoints.right_hip.y) / 2
-        };
-        
-        // Calculate angle from vertical (90 degrees = perfectly upright)
-        const backVector = {
-          x: shoulderMidpoint.x - hipMidpoint.x,
-          y: shoulderMidpoint.y - hipMidpoint.y
-        };
-        angles.back_angle = Math.atan2(Math.abs(backVector.x), Math.abs(backVector.y)) * (180 / Math.PI);
+      if (!bilateral) {
+        landmarks[`${joint}_angle`] = ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'];
+        return;
       }
 
-      // Elbow angles (shoulder-elbow-wrist)
-      if (keypoints.left_shoulder && keypoints.left_elbow && keypoints.left_wrist) {
-        angles.left_elbow_angle = this.calculateAngle(
-          keypoints.left_shoulder,
-          keypoints.left_elbow,
-          keypoints.left_wrist
-        );
-      }
+      ['left', 'right'].forEach(side => {
+        landmarks[`${side}_${joint}_angle`] = points.map(point => `${side}_${point}`);
+      });
+    });
 
-      if (keypoints.right_shoulder && keypoints.right_elbow && keypoints.right_wrist) {
-        angles.right_elbow_angle = this.calculateAngle(
-          keypoints.right_shoulder,
-          keypoints.right_elbow,
-          keypoints.right_wrist
-        );
+    return landmarks;
+  }
+
+  // Confidence of each angle: the lowest visibility among its landmarks.
+  // Landmarks without a visibility score are assumed visible.
+  calculateAngleConfidence(keypoints) {
+    const confidence = {};
+
+    Object.entries(this.getAngleLandmarks()).forEach(([name, points]) => {
+      if (points.every(point => keypoints[point])) {
+        confidence[name] = Math.min(...points.map(point => keypoints[point].visibility ?? 1));
       }
+    });
+
+    return confidence;
+  }
+
+  // Score how well the landmarks the exercise needs are in view (0-100):
+  // missing landmarks count as zero visibility
+  assessFrameQuality(keypoints) {
+    const required = [...new Set(Object.values(this.getAngleLandmarks()).flat())];
+    if (required.length === 0) {
+      return { score: 100, inFrame: true, occludedLandmarks: [], message: null };
+    }
+
+    const occludedLandmarks = required.filter(point =>
+      !keypoints[point] || (keypoints[point].visibility ?? 1) < this.visibilityThreshold
+    );
+    const totalVisibility = required.reduce((sum, point) =>
+      sum + (keypoints[point] ? Math.max(0, Math.min(1, keypoints[point].visibility ?? 1)) : 0), 0
+    );
+    const score = Math.round((totalVisibility / required.length) * 100);
+    const inFrame = score >= MIN_FRAME_QUALITY && occludedLandmarks.length === 0;
+
+    return {
+      score,
+      inFrame,
+      occludedLandmarks,
+      message: inFrame ? null : 'Step back so your whole body is in frame'
+    };
+  }
+
+  // Extract the joint angles the exercise definition asks for
+  extractAngles(keypoints, use3d = false) {
+    const angles = {};
+    const joints = this.definition ? this.definition.angles : Object.keys(ANGLE_CATALOGUE);
+
+    try {
+      joints.forEach(joint => {
+        const { bilateral, points } = ANGLE_CATALOGUE[joint];
+
+        if (!bilateral) {
+          // Back angle (shoulder-hip line relative to vertical)
+          const backAngle = poseGeometry.torsoInclination(keypoints, use3d);
+          if (backAngle !== null) {
+            angles[`${joint}_angle`] = backAngle;
+          }
+          return;
+        }
+
+        ['left', 'right'].forEach(side => {
+          const [first, vertex, last] = points.map(point => keypoints[`${side}_${point}`]);
+          if (first && vertex && last) {
+            angles[`${side}_${joint}_angle`] = this.calculateAngle(first, vertex, last, use3d);
+          }
+        });
+      });
 
     } catch (error) {
       logger.error('Error extracting angles:', error);
@@ -111,22 +216,195 @@ class FormAnalyzer {
     return angles;
   }
 
-  // Analyze pose and provide feedback
+  // Analyze pose and provide feedback. After primeFilter the phase comes from
+  // the rep state machine (and can be ascending); otherwise from this frame alone.
   analyzePose(poseData, repNumber = 0) {
-    const angles = this.extractAngles(poseData.keypoints);
-    const feedback = this.evaluateForm(angles);
-    const phase = this.detectRepPhase(angles, this.exercise);
+    const measurement = this.measurePose(this.poseFilter.filter(poseData));
+    const phase = this.repCounter && this.repCounter.state !== null
+      ? this.repCounter.update(measurement.angles, poseData.timestamp).phase
+      : this.detectRepPhase(measurement.angles);
+
+    return this.buildAnalysis(measurement, phase, repNumber);
+  }
+
+  buildAnalysis(measurement, phase, repNumber) {
+    const { angles, allAngles, view, angleMode } = measurement;
+    const feedback = this.evaluateForm(angles, phase, { view, angleMode, allAngles });
 
     return {
       timestamp: new Date().toISOString(),
       repNumber,
       angles,
+      angleConfidence: measurement.angleConfidence,
+      unreliableAngles: measurement.unreliableAngles,
+      frameQuality: measurement.frameQuality,
+      rejectedKeypoints: measurement.rejectedKeypoints,
+      view,
+      angleMode,
       phase,
+      difficulty: this.difficulty,
       feedback: feedback.messages,
       corrections: feedback.corrections,
       formScore: feedback.score,
-      isGoodForm: feedback.score >= 70,
-      errors: feedback.errors || []
+      isGoodForm: feedback.score >= GOOD_FORM_SCORE,
+      errors: feedback.errors || [],
+      notAssessed: feedback.notAssessed
+    };
+  }
+
+  // Analyze the next frame of a continuous stream. Unlike analyzePose, the
+  // phase and rep number come from the session's rep state machine.
+  analyzeFrame(poseData) {
+    const measurement = this.measurePose(this.poseFilter.filter(poseData));
+    const { angles } = measurement;
+
+    if (this.holdTracker) {
+      const phase = this.detectRepPhase(angles);
+      const analysis = this.buildAnalysis(measurement, phase, 0);
+
+      return {
+        ...analysis,
+        hold: this.trackHold(analysis, poseData.timestamp)
+      };
+    }
+
+    if (!this.repCounter) {
+      return this.buildAnalysis(measurement, this.detectRepPhase(angles), 0);
+    }
+
+    const repStatus = this.repCounter.update(angles, poseData.timestamp);
+    const repNumber = repStatus.completedRep ? repStatus.completedRep.repNumber : repStatus.repCount + 1;
+    const analysis = this.buildAnalysis(measurement, repStatus.phase, repNumber);
+    const tempoDeviations = repStatus.completedRep ? this.checkTempo(repStatus.completedRep) : null;
+
+    if (repStatus.repInProgress || repStatus.completedRep) {
+      this.trackRepFrame(analysis);
+    }
+
+    // Tempo is reported alongside form feedback but does not lower the form score
+    (tempoDeviations || []).forEach(deviation => {
+      analysis.feedback.push(deviation.message);
+      analysis.corrections.push(deviation.correction);
+      analysis.errors.push(deviation.errorType);
+    });
+
+    return {
+      ...analysis,
+      tempoDeviations,
+      direction: repStatus.direction,
+      side: repStatus.side,
+      repCount: repStatus.repCount,
+      repsBySide: repStatus.repsBySide,
+      completedRep: repStatus.completedRep
+        ? this.buildRepRecord(repStatus.completedRep, tempoDeviations)
+        : null
+    };
+  }
+
+  // Fold one analysed frame into the statistics of the rep in progress
+  trackRepFrame(analysis) {
+    const stats = this.repFrames || (this.repFrames = {
+      frames: 0,
+      scoreTotal: 0,
+      errorCounts: {},
+      minAngles: {},
+      maxAngles: {}
+    });
+
+    stats.frames += 1;
+    stats.scoreTotal += analysis.formScore;
+    new Set(analysis.errors).forEach(errorType => {
+      stats.errorCounts[errorType] = (stats.errorCounts[errorType] || 0) + 1;
+    });
+    Object.entries(analysis.angles).forEach(([name, value]) => {
+      stats.minAngles[name] = Math.min(stats.minAngles[name] ?? Infinity, value);
+      stats.maxAngles[name] = Math.max(stats.maxAngles[name] ?? -Infinity, value);
+    });
+  }
+
+  // Combine a RepCounter rep record with the form statistics of its frames
+  // and a pass/fail verdict: good average form and, when a target tempo is
+  // set, a tempo on target
+  buildRepRecord(rep, tempoDeviations) {
+    const stats = this.repFrames;
+    this.repFrames = null;
+
+    const round = (value) => Math.round(value * 10) / 10;
+    const roundAngles = (angles) => Object.fromEntries(
+      Object.entries(angles).map(([name, value]) => [name, round(value)])
+    );
+
+    const formScore = stats ? Math.round(stats.scoreTotal / stats.frames) : null;
+    const errorTypes = stats
+      ? Object.keys(stats.errorCounts).filter(errorType =>
+        stats.errorCounts[errorType] / stats.frames >= REP_ERROR_MIN_SHARE)
+      : [];
+    (tempoDeviations || []).forEach(deviation => {
+      if (!errorTypes.includes(deviation.errorType)) errorTypes.push(deviation.errorType);
+    });
+
+    const record = {
+      ...rep,
+      minAngles: stats ? roundAngles(stats.minAngles) : {},
+      maxAngles: stats ? roundAngles(stats.maxAngles) : {},
+      formScore,
+      errorTypes,
+      tempoDeviations,
+      passed: formScore !== null && formScore >= GOOD_FORM_SCORE && !(tempoDeviations && tempoDeviations.length > 0)
+    };
+
+    this.completedReps.push(record);
+    return record;
+  }
+
+  // Compare a completed rep's tempo with the target tempo. Returns null when
+  // no target is set.
+  checkTempo(rep) {
+    if (!this.targetTempo) return null;
+    return tempo.evaluateTempo(rep.tempo, this.targetTempo);
+  }
+
+  createHoldTracker() {
+    return {
+      startTime: null,
+      lastTimestamp: null,
+      holdTime: 0,
+      goodFormTime: 0
+    };
+  }
+
+  // Accumulate time in position for hold exercises. Only frames in the
+  // definition's hold phase count, and only the portion with good form counts
+  // as time under tension.
+  trackHold(analysis, timestamp) {
+    const tracker = this.holdTracker;
+    const inPosition = analysis.phase === this.definition.hold.phase;
+    const parsed = timestamp ? new Date(timestamp).getTime() : NaN;
+    const time = isNaN(parsed) ? Date.now() : parsed;
+
+    if (tracker.lastTimestamp !== null && inPosition) {
+      const gap = Math.min(Math.max(time - tracker.lastTimestamp, 0), MAX_HOLD_FRAME_GAP_MS);
+      tracker.holdTime += gap;
+      if (analysis.isGoodForm) {
+        tracker.goodFormTime += gap;
+      }
+    }
+
+    if (tracker.startTime === null && inPosition) {
+      tracker.startTime = time;
+    }
+    tracker.lastTimestamp = time;
+
+    return this.getHoldSummary();
+  }
+
+  getHoldSummary() {
+    const { holdTime, goodFormTime } = this.holdTracker;
+
+    return {
+      holdTime: Math.round(holdTime / 100) / 10, // seconds
+      timeUnderTension: Math.round(goodFormTime / 100) / 10,
+      tensionScore: holdTime > 0 ? Math.round((goodFormTime / holdTime) * 100) : 0
     };
   }
 
@@ -155,7 +433,12 @@ class FormAnalyzer {
           priority: aiCoaching.priority || 'medium'
         },
         enhancedFeedback: aiCoaching.feedback || basicAnalysis.feedback,
-        aiGenerated: aiCoaching.aiGenerated || false
+        aiGenerated: aiCoaching.aiGenerated || false,
+        provider: aiCoaching.provider,
+        fallbackReason: aiCoaching.fallbackReason,
+        validationError: aiCoaching.validationError,
+        retryAfterMs: aiCoaching.retryAfterMs,
+        cached: aiCoaching.cached || false
       };
     } catch (error) {
       logger.error('AI-enhanced analysis error:', error);
@@ -164,20 +447,37 @@ class FormAnalyzer {
     }
   }
 
-  // Evaluate form based on exercise-specific rules
-  evaluateForm(angles) {
+  // Evaluate form based on exercise-specific rules. context comes from
+  // measurePose: 2D angles are only trusted for rules whose definition lists
+  // the current view, and rules whose angles are missing or unreliable are
+  // reported as not assessed instead of being scored.
+  evaluateForm(angles, phase, context = {}) {
     const feedback = {
       messages: [],
       corrections: [],
       score: 100,
-      errors: []
+      errors: [],
+      notAssessed: []
     };
 
     const rules = this.exerciseRules;
 
     // Check each rule
     rules.forEach(rule => {
-      const result = rule.check(angles);
+      if (rule.views && context.angleMode === '2d' && context.view && !rule.views.includes(context.view)) {
+        feedback.notAssessed.push({ rule: rule.name, reason: 'view', view: context.view });
+        return;
+      }
+
+      if (rule.assessable && !rule.assessable(angles)) {
+        const reason = context.allAngles && rule.assessable(context.allAngles)
+          ? 'low_confidence'
+          : 'missing_landmarks';
+        feedback.notAssessed.push({ rule: rule.name, reason });
+        return;
+      }
+
+      const result = rule.check(angles, phase);
       if (!result.passed) {
         feedback.messages.push(result.message);
         feedback.corrections.push(result.correction);
@@ -192,276 +492,102 @@ class FormAnalyzer {
     return feedback;
   }
 
-  // Detect which phase of the rep the user is in
-  detectRepPhase(angles, exercise) {
-    switch (exercise) {
-      case 'squat':
-        return this.detectSquatPhase(angles);
-      case 'pushup':
-        return this.detectPushupPhase(angles);
-      case 'deadlift':
-        return this.detectDeadliftPhase(angles);
-      default:
-        return 'unknown';
-    }
-  }
+  // Detect which phase of the rep the user is in from a single frame, using
+  // the definition's phase thresholds (first matching entry wins). A single
+  // frame has no direction, so exercises whose thresholds only describe the
+  // way down (squat) never report ascending here.
+  detectRepPhase(angles) {
+    if (!this.definition) return 'unknown';
 
-  detectSquatPhase(angles) {
-    const avgKneeAngle = (angles.left_knee_angle + angles.right_knee_angle) / 2;
-    
-    if (avgKneeAngle > 160) return 'starting';
-    if (avgKneeAngle > 120) return 'descending';
-    if (avgKneeAngle <= 120 && avgKneeAngle >= 90) return 'bottom';
-    if (avgKneeAngle > 90 && avgKneeAngle <= 160) return 'ascending';
-    return 'completed';
-  }
+    const { metric, phases } = this.definition.phaseDetection;
 
-  detectPushupPhase(angles) {
-    const avgElbowAngle = (angles.left_elbow_angle + angles.right_elbow_angle) / 2;
-    
-    if (avgElbowAngle > 160) return 'starting';
-    if (avgElbowAngle > 120) return 'descending';
-    if (avgElbowAngle <= 120 && avgElbowAngle >= 90) return 'bottom';
-    if (avgElbowAngle > 90 && avgElbowAngle <= 160) return 'ascending';
-    return 'completed';
-  }
+    // The joints that decide the phase are out of view
+    if (!phases.some(entry => exerciseDefinitions.isConditionAssessable(this.definition, entry, angles, metric))) {
+      return 'unknown';
+    }
 
-  detectDeadliftPhase(angles) {
-    const avgHipAngle = (angles.left_hip_angle + angles.right_hip_angle) / 2;
-    
-    if (avgHipAngle < 90) return 'starting';
-    if (avgHipAngle >= 90 && avgHipAngle < 140) return 'ascending';
-    if (avgHipAngle >= 140) return 'top';
-    return 'completed';
-  }
+    const match = phases.find(entry =>
+      exerciseDefinitions.evaluateCondition(this.definition, entry, angles, metric)
+    );
 
-  // Get exercise-specific rules
-  getExerciseRules(exercise) {
-    switch (exercise) {
-      case 'squat':
-        return this.getSquatRules();
-      case 'pushup':
-        return this.getPushupRules();
-      case 'deadlift':
-        return this.getDeadliftRules();
-      default:
-        return [];
-    }
+    return match ? match.phase : this.definition.phaseDetection.default;
   }
 
-  getSquatRules() {
-    return [
-      {
-        name: 'knee_depth',
-        check: (angles) => {
-          const avgKneeAngle = (angles.left_knee_angle + angles.right_knee_angle) / 2;
-          if (avgKneeAngle > 100) {
-            return {
-              passed: false,
-              message: 'Go deeper in your squat',
-              correction: 'Bend your knees more to reach proper depth',
-              errorType: 'shallow_depth',
-              penalty: 20
-            };
-          }
-          return { passed: true };
-        }
-      },
-      {
-        name: 'back_posture',
-        check: (angles) => {
-          if (angles.back_angle > 30) {
-            return {
-              passed: false,
-              message: 'Keep your back straighter',
-              correction: 'Engage your core and maintain neutral spine',
-              errorType: 'back_rounded',
-              penalty: 25
-            };
-          }
-          return { passed: true };
-        }
-      },
-      {
-        name: 'knee_alignment',
-        check: (angles) => {
-          const kneeDifference = Math.abs(angles.left_knee_angle - angles.right_knee_angle);
-          if (kneeDifference > 15) {
-            return {
-              passed: false,
-              message: 'Keep your knees aligned',
-              correction: 'Ensure both knees track in the same direction',
-              errorType: 'knees_inward',
-              penalty: 15
-            };
-          }
-          return { passed: true };
-        }
-      }
-    ];
-  }
+  // Compile the definition's declarative rules into checks
+  getExerciseRules() {
+    if (!this.definition) return [];
 
-  getPushupRules() {
-    return [
-      {
-        name: 'elbow_depth',
-        check: (angles) => {
-          const avgElbowAngle = (angles.left_elbow_angle + angles.right_elbow_angle) / 2;
-          if (avgElbowAngle > 120) {
-            return {
-              passed: false,
-              message: 'Go lower in your pushup',
-              correction: 'Lower your chest closer to the ground',
-              errorType: 'shallow_depth',
-              penalty: 20
-            };
-          }
+    return this.definition.rules.map(rule => ({
+      name: rule.name,
+      views: rule.views,
+      assessable: (angles) => exerciseDefinitions.isConditionAssessable(this.definition, rule.when, angles),
+      check: (angles, phase) => {
+        if (rule.phases && !rule.phases.includes(phase)) {
           return { passed: true };
         }
-      },
-      {
-        name: 'back_straight',
-        check: (angles) => {
-          if (angles.back_angle > 20) {
-            return {
-              passed: false,
-              message: 'Keep your body in a straight line',
-              correction: 'Engage your core to maintain plank position',
-              errorType: 'back_rounded',
-              penalty: 25
-            };
-          }
-          return { passed: true };
-        }
-      }
-    ];
-  }
 
-  getDeadliftRules() {
-    return [
-      {
-        name: 'back_neutral',
-        check: (angles) => {
-          if (angles.back_angle > 25) {
-            return {
-              passed: false,
-              message: 'Keep your back neutral',
-              correction: 'Maintain natural spine curvature',
-              errorType: 'back_rounded',
-              penalty: 30
-            };
-          }
-          return { passed: true };
-        }
-      },
-      {
-        name: 'hip_hinge',
-        check: (angles) => {
-          const avgHipAngle = (angles.left_hip_angle + angles.right_hip_angle) / 2;
-          if (avgHipAngle > 160) {
-            return {
-              passed: false,
-              message: 'Hinge more at the hips',
-              correction: 'Push your hips back to initiate the movement',
-              errorType: 'improper_hinge',
-              penalty: 20
-            };
-          }
-          return { passed: true };
+        if (exerciseDefinitions.evaluateCondition(this.definition, rule.when, angles)) {
+          return {
+            passed: false,
+            message: exerciseDefinitions.formatRuleText(this.definition, rule.message, angles),
+            correction: exerciseDefinitions.formatRuleText(this.definition, rule.correction, angles),
+            errorType: rule.errorType,
+            penalty: rule.penalty
+          };
         }
+        return { passed: true };
       }
-    ];
+    }));
   }
 
   // Get form guidelines for an exercise
   getFormGuidelines() {
-    const guidelines = {
-      squat: {
-        keyPoints: [
-          'Feet shoulder-width apart',
-          'Knees track over toes',
-          'Descend until thighs are parallel to ground',
-          'Keep chest up and back straight',
-          'Drive through heels to stand'
-        ],
-        commonMistakes: [
-          'Not going deep enough',
-          'Knees caving inward',
-          'Leaning too far forward',
-          'Rising on toes'
-        ]
-      },
-      pushup: {
-        keyPoints: [
-          'Hands slightly wider than shoulders',
-          'Body in straight line from head to heels',
-          'Lower until chest nearly touches ground',
-          'Push up explosively',
-          'Keep core engaged throughout'
-        ],
-        commonMistakes: [
-          'Sagging hips',
-          'Not going low enough',
-          'Flaring elbows too wide',
-          'Looking up instead of down'
-        ]
-      },
-      deadlift: {
-        keyPoints: [
-          'Feet hip-width apart',
-          'Bar close to shins',
-          'Neutral spine throughout',
-          'Hinge at hips first',
-          'Drive through heels'
-        ],
-        commonMistakes: [
-          'Rounding the back',
-          'Bar drifting away from body',
-          'Not engaging lats',
-          'Hyperextending at top'
-        ]
-      }
-    };
-
-    return guidelines[this.exercise] || { keyPoints: [], commonMistakes: [] };
+    return this.definition ? this.definition.guidelines : { keyPoints: [], commonMistakes: [] };
   }
 
   // Analyze batch of poses for rep counting and overall session analysis
   analyzeBatch(poseFrames) {
-    const analyses = poseFrames.map((frame, index) => 
-      this.analyzePose(frame, index)
-    );
+    const analyses = this.repCounter || this.holdTracker
+      ? poseFrames.map(frame => this.analyzeFrame(frame))
+      : poseFrames.map((frame, index) => this.analyzePose(frame, index));
 
     return {
       frameAnalyses: analyses,
-      sessionSummary: this.generateSessionSummary(analyses)
+      sessionSummary: this.generateSessionSummary(analyses),
+      reps: this.completedReps,
+      timeUnderTension: this.repCounter
+        ? Math.round(this.completedReps.reduce((sum, rep) => sum + rep.timeUnderTension, 0) * 10) / 10
+        : null,
+      hold: this.holdTracker ? this.getHoldSummary() : null
     };
   }
 
   // Count reps from a sequence of poses
   countReps(poseSequence) {
-    let repCount = 0;
-    let currentPhase = 'starting';
-    let repStarted = false;
+    if (!RepCounter.supports(this.exercise)) {
+      return {
+        totalReps: 0,
+        lastPhase: 'unknown',
+        partialReps: 0,
+        reps: []
+      };
+    }
 
-    poseSequence.forEach(pose => {
-      const angles = this.extractAngles(pose.keypoints);
-      const phase = this.detectRepPhase(angles, this.exercise);
-
-      // Rep counting logic based on phase transitions
-      if (phase === 'starting' && currentPhase === 'completed') {
-        repCount++;
-        repStarted = false;
-      } else if (phase === 'descending' && !repStarted) {
-        repStarted = true;
-      }
+    const counter = new RepCounter(this.exercise, {}, this.definition);
+    const filter = new PoseFilter(this.filterOptions);
+    let status = counter.getStatus(null);
 
-      currentPhase = phase;
+    poseSequence.forEach(pose => {
+      const { angles } = this.measurePose(filter.filter(pose));
+      status = counter.update(angles, pose.timestamp);
     });
 
     return {
-      totalReps: repCount,
-      lastPhase: currentPhase
+      totalReps: counter.repCount,
+      lastPhase: status.phase,
+      partialReps: counter.partialReps,
+      repsBySide: status.repsBySide,
+      reps: counter.reps
     };
   }
 
@@ -0,0 +1,195 @@
+// Temporal filtering for streams of pose frames. Each keypoint coordinate is
+// smoothed with a One Euro filter (or a plain exponential moving average),
+// and keypoints that would stretch a limb far beyond its usual length are
+// treated as detection spikes and held at their last good position.
+
+const DEFAULT_OPTIONS = {
+  method: 'one_euro', // one_euro | ema | none
+  // One Euro filter: cutoff frequency (Hz) at rest, how fast the cutoff rises
+  // with speed, and the cutoff used to smooth the speed estimate itself
+  minCutoff: 1.0,
+  beta: 0.007,
+  dCutoff: 1.0,
+  // EMA weight given to the newest sample
+  alpha: 0.5,
+  // A bone whose length differs from its running reference by more than this
+  // fraction marks its distal keypoint as a spike
+  boneLengthTolerance: 0.35,
+  // After this many consecutive rejections the new length is accepted as
+  // real (e.g. the user stepped towards the camera)
+  maxRejectedFrames: 5,
+  // EMA weight used to update reference bone lengths
+  boneLengthSmoothing: 0.1
+};
+
+const FILTER_METHODS = ['one_euro', 'ema', 'none'];
+
+// Frame interval assumed when timestamps are missing or out of order
+const DEFAULT_FRAME_INTERVAL_MS = 1000 / 30;
+
+// Limbs as [proximal, distal]; when a bone is rejected its distal keypoint is
+// held. Proximal bones come first so a held elbow is used to check the wrist.
+const BONES = ['left', 'right'].flatMap(side => [
+  [`${side}_shoulder`, `${side}_elbow`],
+  [`${side}_elbow`, `${side}_wrist`],
+  [`${side}_hip`, `${side}_knee`],
+  [`${side}_knee`, `${side}_ankle`]
+]);
+
+const COORDINATES = ['x', 'y', 'z'];
+
+const smoothingFactor = (cutoff, dt) => {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+};
+
+const boneLength = (a, b) => Math.sqrt(COORDINATES.reduce((sum, axis) => {
+  if (!Number.isFinite(a[axis]) || !Number.isFinite(b[axis])) return sum;
+  return sum + (a[axis] - b[axis]) ** 2;
+}, 0));
+
+const toTimestamp = (value) => {
+  if (value === undefined || value === null) return null;
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+
+class PoseFilter {
+  constructor(options = {}) {
+    // Unset fields (e.g. from a partially configured session) keep defaults
+    const overrides = Object.fromEntries(
+      Object.entries(options).filter(([, value]) => value !== undefined && value !== null)
+    );
+    this.options = { ...DEFAULT_OPTIONS, ...overrides };
+
+    if (!FILTER_METHODS.includes(this.options.method)) {
+      throw new Error(`Unknown pose filter method: ${this.options.method}`);
+    }
+
+    this.reset();
+  }
+
+  reset() {
+    this.lastTimestamp = null;
+    // Separate state for image keypoints and world keypoints
+    this.landmarkSets = {};
+  }
+
+  // Filter one frame. Returns a copy of poseData with smoothed keypoints (and
+  // worldKeypoints when present) plus the names of keypoints rejected as
+  // spikes in `rejectedKeypoints`.
+  filter(poseData) {
+    if (!poseData) return poseData;
+
+    const now = toTimestamp(poseData.timestamp);
+    const dt = this.lastTimestamp !== null && now !== null && now > this.lastTimestamp
+      ? (now - this.lastTimestamp) / 1000
+      : DEFAULT_FRAME_INTERVAL_MS / 1000;
+    if (now !== null) this.lastTimestamp = now;
+
+    const filtered = { ...poseData };
+    const rejected = new Set();
+
+    ['keypoints', 'worldKeypoints'].forEach(key => {
+      if (!poseData[key]) return;
+
+      const state = this.landmarkSets[key] || (this.landmarkSets[key] = { points: {}, bones: {} });
+      const { landmarks, rejected: spikes } = this.rejectSpikes(poseData[key], state);
+      spikes.forEach(name => rejected.add(name));
+      filtered[key] = this.smooth(landmarks, state, dt);
+    });
+
+    filtered.rejectedKeypoints = [...rejected];
+    return filtered;
+  }
+
+  // Replace keypoints that break bone-length consistency with their last
+  // filtered position
+  rejectSpikes(landmarks, state) {
+    const result = { ...landmarks };
+    const rejected = [];
+    const { boneLengthTolerance, maxRejectedFrames, boneLengthSmoothing } = this.options;
+
+    BONES.forEach(([proximal, distal]) => {
+      const start = result[proximal];
+      const end = result[distal];
+      if (!start || !end) return;
+
+      const key = `${proximal}-${distal}`;
+      const bone = state.bones[key] || (state.bones[key] = { length: null, rejectedFrames: 0 });
+      const length = boneLength(start, end);
+
+      if (bone.length === null || bone.length === 0) {
+        bone.length = length;
+        return;
+      }
+
+      const deviation = Math.abs(length - bone.length) / bone.length;
+      const previous = state.points[distal];
+
+      if (deviation > boneLengthTolerance && previous && bone.rejectedFrames < maxRejectedFrames) {
+        bone.rejectedFrames += 1;
+        result[distal] = { ...end, ...previous.value };
+        rejected.push(distal);
+        return;
+      }
+
+      bone.length = deviation > boneLengthTolerance
+        ? length
+        : boneLengthSmoothing * length + (1 - boneLengthSmoothing) * bone.length;
+      bone.rejectedFrames = 0;
+    });
+
+    return { landmarks: result, rejected };
+  }
+
+  smooth(landmarks, state, dt) {
+    const result = {};
+
+    Object.entries(landmarks).forEach(([name, point]) => {
+      if (!point) {
+        result[name] = point;
+        return;
+      }
+
+      const previous = state.points[name];
+      const value = {};
+      const derivative = {};
+
+      COORDINATES.forEach(axis => {
+        if (!Number.isFinite(point[axis])) return;
+
+        if (!previous || !Number.isFinite(previous.value[axis]) || this.options.method === 'none') {
+          value[axis] = point[axis];
+          derivative[axis] = 0;
+          return;
+        }
+
+        if (this.options.method === 'ema') {
+          value[axis] = this.options.alpha * point[axis] + (1 - this.options.alpha) * previous.value[axis];
+          derivative[axis] = 0;
+          return;
+        }
+
+        const { minCutoff, beta, dCutoff } = this.options;
+        const rawDerivative = (point[axis] - previous.value[axis]) / dt;
+        const dAlpha = smoothingFactor(dCutoff, dt);
+        derivative[axis] = dAlpha * rawDerivative + (1 - dAlpha) * previous.derivative[axis];
+
+        const cutoff = minCutoff + beta * Math.abs(derivative[axis]);
+        const alpha = smoothingFactor(cutoff, dt);
+        value[axis] = alpha * point[axis] + (1 - alpha) * previous.value[axis];
+      });
+
+      state.points[name] = { value, derivative };
+      result[name] = { ...point, ...value };
+    });
+
+    return result;
+  }
+}
+
+PoseFilter.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+PoseFilter.FILTER_METHODS = FILTER_METHODS;
+
+module.exports = PoseFilter;
@@ -0,0 +1,319 @@
+const exerciseDefinitions = require('./exerciseDefinitions');
+
+// Build a rep profile from an exercise definition's `repCounting` section.
+// Each rep moves a primary joint angle between a "top" (lockout) and a
+// "bottom" (turnaround) zone. Zones use separate enter and exit thresholds so
+// an angle hovering around one value cannot flip the phase back and forth on
+// every frame. `phaseLabels` renames the internal states to the phase names
+// each exercise reports, and `eccentric` says whether the lowering half of
+// the rep closes the joint (squat) or opens it (pull-up).
+const buildProfile = (definition) => {
+  if (!definition || !definition.repCounting) return null;
+
+  const { metric, top, bottom, phaseLabels, eccentric = 'closing' } = definition.repCounting;
+
+  return {
+    primaryAngle: (angles) => exerciseDefinitions.resolveMetric(definition, metric, angles),
+    side: definition.sides ? (angles) => exerciseDefinitions.resolveSides(definition, angles).front : null,
+    top,
+    bottom,
+    phaseLabels,
+    eccentric
+  };
+};
+
+const DEFAULT_OPTIONS = {
+  minDwellMs: 150, // a new phase must hold this long before it is committed
+  velocityThreshold: 15, // deg/s below which the joint is considered still
+  velocitySmoothing: 0.5 // EMA weight given to the newest velocity sample
+};
+
+const toTimestamp = (value) => {
+  if (value === undefined || value === null) return Date.now();
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return isNaN(time) ? Date.now() : time;
+};
+
+class RepCounter {
+  // `definition` defaults to the stored exercise definition; pass one from
+  // exerciseDefinitions.resolveDefinition to count against adjusted zones
+  constructor(exercise, options = {}, definition = exerciseDefinitions.getDefinition(exercise)) {
+    this.exercise = exercise;
+    this.profile = buildProfile(definition);
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    if (!this.profile) {
+      throw new Error(`No rep profile for exercise: ${exercise}`);
+    }
+
+    this.reset();
+  }
+
+  static supports(exercise) {
+    return Boolean(buildProfile(exerciseDefinitions.getDefinition(exercise)));
+  }
+
+  reset() {
+    this.state = null;
+    this.stateSince = null;
+    this.pendingState = null;
+    this.pendingSince = null;
+    this.lastAngle = null;
+    this.lastTimestamp = null;
+    this.velocity = 0;
+    this.repCount = 0;
+    this.partialReps = 0;
+    this.reps = [];
+    this.currentRep = null;
+    this.lastStillAtTop = null;
+  }
+
+  // Feed one frame of angles. Returns the committed phase, movement direction
+  // and, when this frame finished a rep, the rep record.
+  update(angles, timestamp) {
+    const angle = this.profile.primaryAngle(angles || {});
+    const time = toTimestamp(timestamp);
+
+    if (!Number.isFinite(angle)) {
+      return this.getStatus(null);
+    }
+
+    this.updateVelocity(angle, time);
+    if (this.state === 'top' && this.getDirection() === 'hold') {
+      this.lastStillAtTop = time;
+    }
+    this.trackPause(angle, time);
+    const completedRep = this.updateState(this.nextState(angle), angle, time, angles);
+
+    this.lastAngle = angle;
+    this.lastTimestamp = time;
+
+    return this.getStatus(completedRep, angle);
+  }
+
+  updateVelocity(angle, time) {
+    if (this.lastTimestamp === null || time <= this.lastTimestamp) return;
+
+    const instant = (angle - this.lastAngle) / ((time - this.lastTimestamp) / 1000);
+    const { velocitySmoothing } = this.options;
+    this.velocity = velocitySmoothing * instant + (1 - velocitySmoothing) * this.velocity;
+  }
+
+  getDirection() {
+    if (this.velocity <= -this.options.velocityThreshold) return 'down';
+    if (this.velocity >= this.options.velocityThreshold) return 'up';
+    return 'hold';
+  }
+
+  // Candidate state for this frame, before dwell-time confirmation
+  nextState(angle) {
+    const { top, bottom } = this.profile;
+    const direction = this.getDirection();
+
+    if (this.state === 'top' && angle > top.exit) return 'top';
+    if (this.state === 'bottom' && angle < bottom.exit) return 'bottom';
+
+    if (angle >= top.enter) return 'top';
+    if (angle <= bottom.enter) return 'bottom';
+
+    if (direction === 'down') return 'descending';
+    if (direction === 'up') return 'ascending';
+
+    // Holding still between zones: keep the current mid-range state, or infer
+    // the direction from the zone just left
+    if (this.state === 'descending' || this.state === 'ascending') return this.state;
+    if (this.state === 'bottom') return 'ascending';
+    return 'descending';
+  }
+
+  updateState(candidate, angle, time, angles) {
+    if (this.state === null) {
+      this.commitState(candidate, time);
+      if (candidate !== 'top') this.startRep(time);
+      this.trackDepth(angle, time, angles);
+      return null;
+    }
+
+    this.trackDepth(angle, time, angles);
+
+    if (candidate === this.state) {
+      this.pendingState = null;
+      this.pendingSince = null;
+      return null;
+    }
+
+    if (candidate !== this.pendingState) {
+      this.pendingState = candidate;
+      this.pendingSince = time;
+    }
+
+    if (time - this.pendingSince < this.options.minDwellMs) {
+      return null;
+    }
+
+    const previous = this.state;
+    const transitionTime = this.pendingSince;
+    this.commitState(candidate, transitionTime);
+
+    if (previous === 'top') {
+      this.startRep(transitionTime);
+      return null;
+    }
+
+    if (candidate === 'bottom' && this.currentRep && this.currentRep.bottomTime === null) {
+      this.currentRep.bottomTime = transitionTime;
+    }
+
+    if (candidate === 'top') {
+      return this.finishRep(transitionTime);
+    }
+
+    return null;
+  }
+
+  commitState(state, time) {
+    this.state = state;
+    this.stateSince = time;
+    this.pendingState = null;
+    this.pendingSince = null;
+  }
+
+  startRep(time) {
+    // The lowering starts when the joint last stood still at lockout, which
+    // is usually a little before it leaves the top zone
+    const motionStart = this.lastStillAtTop !== null && this.lastStillAtTop <= time
+      ? this.lastStillAtTop
+      : time;
+    this.lastStillAtTop = null;
+
+    this.currentRep = {
+      startTime: time,
+      motionStart,
+      bottomTime: this.state === 'bottom' ? time : null,
+      stillSince: null,
+      pauseStart: null,
+      pauseEnd: null,
+      minAngle: Infinity,
+      maxAngle: -Infinity,
+      deepestAt: null,
+      side: null
+    };
+  }
+
+  trackDepth(angle, time, angles) {
+    if (!this.currentRep) return;
+
+    if (angle < this.currentRep.minAngle) {
+      this.currentRep.minAngle = angle;
+      this.currentRep.deepestAt = time;
+      // Single-sided exercises are attributed to the side working at the
+      // deepest point of the rep
+      if (this.profile.side) {
+        this.currentRep.side = this.profile.side(angles);
+      }
+    }
+    this.currentRep.maxAngle = Math.max(this.currentRep.maxAngle, angle);
+  }
+
+  // Track the longest stretch the joint is held still near the bottom zone;
+  // that stretch is the rep's pause
+  trackPause(angle, time) {
+    const rep = this.currentRep;
+    if (!rep) return;
+
+    const still = this.getDirection() === 'hold' && angle < this.profile.bottom.exit;
+    if (!still) {
+      rep.stillSince = null;
+      return;
+    }
+
+    if (rep.stillSince === null) rep.stillSince = time;
+    if (rep.pauseStart === null || time - rep.stillSince > rep.pauseEnd - rep.pauseStart) {
+      rep.pauseStart = rep.stillSince;
+      rep.pauseEnd = time;
+    }
+  }
+
+  finishRep(time) {
+    const rep = this.currentRep;
+    this.currentRep = null;
+
+    if (!rep) return null;
+
+    // Returned to lockout without reaching the bottom zone
+    if (rep.bottomTime === null) {
+      this.partialReps += 1;
+      return null;
+    }
+
+    this.repCount += 1;
+    const record = {
+      repNumber: this.repCount,
+      startTime: new Date(rep.startTime),
+      bottomTime: new Date(rep.bottomTime),
+      endTime: new Date(time),
+      duration: (time - rep.startTime) / 1000,
+      depth: Math.round(rep.minAngle * 10) / 10,
+      deepestAt: new Date(rep.deepestAt),
+      rangeOfMotion: Math.round((rep.maxAngle - rep.minAngle) * 10) / 10,
+      tempo: this.measureTempo(rep, time),
+      timeUnderTension: Math.round((time - rep.motionStart) / 100) / 10
+    };
+
+    if (rep.side) {
+      record.side = rep.side;
+    }
+
+    this.reps.push(record);
+    return record;
+  }
+
+  // Split a rep into eccentric, pause and concentric seconds around the
+  // pause at the turnaround (or the deepest point when the rep never
+  // stopped). Which half is eccentric depends on the exercise.
+  measureTempo(rep, endTime) {
+    const pauseStart = rep.pauseStart === null ? rep.deepestAt : rep.pauseStart;
+    const pauseEnd = rep.pauseEnd === null ? rep.deepestAt : rep.pauseEnd;
+    const seconds = (from, to) => Math.round(Math.max(0, to - from) / 100) / 10;
+    const closing = seconds(rep.motionStart, pauseStart);
+    const opening = seconds(pauseEnd, endTime);
+
+    return {
+      eccentric: this.profile.eccentric === 'closing' ? closing : opening,
+      pause: seconds(pauseStart, pauseEnd),
+      concentric: this.profile.eccentric === 'closing' ? opening : closing
+    };
+  }
+
+  getPhase() {
+    if (!this.state) return 'unknown';
+    return this.profile.phaseLabels[this.state] || this.state;
+  }
+
+  getRepsBySide() {
+    return this.reps.reduce((counts, rep) => {
+      counts[rep.side] = (counts[rep.side] || 0) + 1;
+      return counts;
+    }, { left: 0, right: 0 });
+  }
+
+  getStatus(completedRep, angle = this.lastAngle) {
+    return {
+      phase: this.getPhase(),
+      direction: this.getDirection(),
+      velocity: Math.round(this.velocity * 10) / 10,
+      primaryAngle: angle,
+      repCount: this.repCount,
+      partialReps: this.partialReps,
+      repInProgress: this.currentRep ? {
+        startTime: new Date(this.currentRep.startTime),
+        depth: Number.isFinite(this.currentRep.minAngle) ? Math.round(this.currentRep.minAngle * 10) / 10 : null
+      } : null,
+      side: this.profile.side && this.currentRep ? this.currentRep.side : undefined,
+      repsBySide: this.profile.side ? this.getRepsBySide() : undefined,
+      completedRep
+    };
+  }
+}
+
+module.exports = RepCounter;
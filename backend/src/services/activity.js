@@ -0,0 +1,137 @@
+const WorkoutSession = require('../models/WorkoutSession');
+const { completedSessionsMatch } = require('./userStats');
+const dates = require('../utils/dates');
+
+// Heatmap intensity runs from 0 (no workout) to INTENSITY_LEVELS
+const INTENSITY_LEVELS = 4;
+
+const INTENSITY_METRICS = ['combined', 'reps', 'duration', 'form', 'workouts'];
+
+// Form accuracy (%) at which a day reaches each level above 1
+const FORM_LEVELS = [60, 75, 90];
+
+// Fraction (0-1) of a day's metric; relative metrics are scaled to the
+// busiest day in the range
+const scoreDay = (day, metric, max) => {
+  const ratio = (value, top) => (top > 0 ? value / top : 0);
+
+  switch (metric) {
+    case 'reps':
+      return ratio(day.totalReps, max.totalReps);
+    case 'duration':
+      return ratio(day.duration, max.duration);
+    case 'workouts':
+      return ratio(day.workouts, max.workouts);
+    case 'form':
+      return day.avgFormAccuracy / 100;
+    default:
+      // Equal parts volume, time and quality
+      return (ratio(day.totalReps, max.totalReps) + ratio(day.duration, max.duration) + day.avgFormAccuracy / 100) / 3;
+  }
+};
+
+const levelFor = (day, metric, score) => {
+  if (day.workouts === 0) return 0;
+
+  if (metric === 'form') {
+    return 1 + FORM_LEVELS.filter(threshold => day.avgFormAccuracy >= threshold).length;
+  }
+  return Math.min(Math.max(Math.ceil(score * INTENSITY_LEVELS), 1), INTENSITY_LEVELS);
+};
+
+// Add a score and intensity level to each day
+const scoreDays = (days, metric = 'combined') => {
+  const max = ['totalReps', 'duration', 'workouts'].reduce((top, field) => {
+    top[field] = Math.max(0, ...days.map(day => day[field]));
+    return top;
+  }, {});
+
+  return days.map(day => {
+    const score = day.workouts > 0 ? scoreDay(day, metric, max) : 0;
+    return {
+      ...day,
+      score: Math.round(score * 100) / 100,
+      intensity: levelFor(day, metric, score)
+    };
+  });
+};
+
+// Daily activity for the last `days` calendar days (today included) in the
+// user's time zone, with every day present
+const getActivity = async (userId, { days = 365, metric = 'combined', timeZone = 'UTC', now = new Date() } = {}) => {
+  const toKey = dates.toDayKey(now, timeZone);
+  const fromKey = dates.shiftDayKey(toKey, -(days - 1));
+
+  const rows = await WorkoutSession.aggregate([
+    {
+      $match: {
+        ...completedSessionsMatch(userId),
+        // A day of slack either side covers any time zone offset
+        startTime: { $gte: new Date(`${dates.shiftDayKey(fromKey, -1)}T00:00:00Z`) }
+      }
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$startTime', timezone: timeZone } },
+        workouts: { $sum: 1 },
+        totalReps: { $sum: '$totalReps' },
+        correctReps: { $sum: '$correctReps' },
+        duration: { $sum: { $ifNull: ['$duration', 0] } },
+        avgFormAccuracy: {
+          $avg: { $cond: [{ $gt: ['$formAccuracy', 0] }, '$formAccuracy', null] }
+        },
+        exercises: {
+          $push: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$exerciseSummaries', []] } }, 0] },
+              '$exerciseSummaries.exercise',
+              ['$exercise']
+            ]
+          }
+        }
+      }
+    },
+    { $match: { _id: { $gte: fromKey, $lte: toKey } } },
+    {
+      $project: {
+        workouts: 1,
+        totalReps: 1,
+        correctReps: 1,
+        duration: 1,
+        avgFormAccuracy: { $round: [{ $ifNull: ['$avgFormAccuracy', 0] }, 1] },
+        exercises: { $reduce: { input: '$exercises', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } }
+      }
+    }
+  ]);
+
+  const byDay = new Map(rows.map(row => [row._id, row]));
+  const activity = [];
+  for (let day = fromKey; day <= toKey; day = dates.shiftDayKey(day, 1)) {
+    const row = byDay.get(day);
+    activity.push({
+      date: day,
+      workouts: row ? row.workouts : 0,
+      totalReps: row ? row.totalReps : 0,
+      correctReps: row ? row.correctReps : 0,
+      duration: row ? row.duration : 0, // seconds
+      avgFormAccuracy: row ? row.avgFormAccuracy : 0,
+      exercises: row ? row.exercises : []
+    });
+  }
+
+  return {
+    from: fromKey,
+    to: toKey,
+    timeZone,
+    metric,
+    levels: INTENSITY_LEVELS,
+    activity: scoreDays(activity, metric)
+  };
+};
+
+module.exports = {
+  INTENSITY_LEVELS,
+  INTENSITY_METRICS,
+  scoreDays,
+  getActivity
+};
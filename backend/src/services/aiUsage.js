@@ -0,0 +1,214 @@
+// Cost controls for AI coaching calls, kept in process memory:
+//
+// - a per-user token bucket: each provider call takes a token, and tokens
+//   refill at a steady rate up to the bucket's capacity
+// - a response cache keyed on a fingerprint of what the reply depends on,
+//   shared by all users, so identical requests are answered once
+// - request coalescing, so concurrent requests with the same fingerprint
+//   share one provider call
+// - per-user usage counters since the server started
+//
+// Configured through the environment:
+//   AI_BUDGET_CAPACITY            calls a user can burst (default 20)
+//   AI_BUDGET_REFILL_PER_MINUTE   calls a user regains per minute (default 6)
+//   AI_CACHE_TTL_MS               how long a reply is reused (default 10 minutes)
+//   AI_CACHE_MAX_ENTRIES          replies kept before the oldest is dropped (default 500)
+
+const numberOr = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+const config = {
+  capacity: numberOr(process.env.AI_BUDGET_CAPACITY, 20),
+  refillPerMinute: numberOr(process.env.AI_BUDGET_REFILL_PER_MINUTE, 6),
+  cacheTtlMs: numberOr(process.env.AI_CACHE_TTL_MS, 10 * 60 * 1000),
+  cacheMaxEntries: numberOr(process.env.AI_CACHE_MAX_ENTRIES, 500)
+};
+
+const startedAt = new Date();
+const buckets = new Map();
+const cache = new Map();
+const inFlight = new Map();
+const usage = new Map();
+
+const userKey = (userId) => (userId ? userId.toString() : 'anonymous');
+
+const countersFor = (userId) => {
+  const key = userKey(userId);
+  if (!usage.has(key)) {
+    usage.set(key, {
+      requests: 0,
+      providerCalls: 0,
+      cacheHits: 0,
+      coalesced: 0,
+      throttled: 0,
+      lastCallAt: null
+    });
+  }
+  return usage.get(key);
+};
+
+// The user's bucket with tokens refilled for the time since it was last used
+const bucketFor = (userId, now = Date.now()) => {
+  const key = userKey(userId);
+  const bucket = buckets.get(key) || { tokens: config.capacity, updatedAt: now };
+  const refilled = ((now - bucket.updatedAt) / 60000) * config.refillPerMinute;
+
+  bucket.tokens = Math.min(config.capacity, bucket.tokens + refilled);
+  bucket.updatedAt = now;
+  buckets.set(key, bucket);
+  return bucket;
+};
+
+// Take a token from the user's bucket. Returns false when it is empty.
+const takeToken = (userId) => {
+  const bucket = bucketFor(userId);
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+};
+
+// Milliseconds until the user's bucket holds a whole token again
+const retryAfterMs = (userId) => {
+  const bucket = bucketFor(userId);
+  if (bucket.tokens >= 1) return 0;
+  if (config.refillPerMinute === 0) return null;
+  return Math.ceil(((1 - bucket.tokens) / config.refillPerMinute) * 60000);
+};
+
+const getCached = (key) => {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+  return entry.value;
+};
+
+const setCached = (key, value) => {
+  cache.delete(key);
+  cache.set(key, { value, expiresAt: Date.now() + config.cacheTtlMs });
+  // Maps keep insertion order, so the first key is the oldest
+  while (cache.size > config.cacheMaxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+// Form scores and joint angles are rounded to this step in the coaching
+// context, so frames that differ by a degree or a point still share a reply
+const MEASUREMENT_STEP = 5;
+
+const roundToStep = value => Math.round(value / MEASUREMENT_STEP) * MEASUREMENT_STEP;
+
+// Inputs of a coaching request that are shared between users: the exercise,
+// phase, rounded form score and angles, rule feedback, set of form errors and
+// fitness level. The coaching prompt is built only from these, so the rest of
+// the user's profile never reaches a reply another user may be served.
+const coachingContext = (exercise, analysisData, userProfile) => {
+  const angles = analysisData.angles || {};
+
+  return {
+    exercise,
+    phase: analysisData.phase || null,
+    formScore: Number.isFinite(analysisData.formScore) ? roundToStep(analysisData.formScore) : null,
+    angles: Object.keys(angles).sort()
+      .filter(name => Number.isFinite(angles[name]))
+      .reduce((rounded, name) => ({ ...rounded, [name]: roundToStep(angles[name]) }), {}),
+    feedback: [...new Set(analysisData.feedback || [])],
+    errors: [...new Set(analysisData.errors || [])].sort(),
+    fitnessLevel: userProfile.fitnessLevel || 'beginner'
+  };
+};
+
+const coachingFingerprint = context => JSON.stringify([
+  'coaching',
+  context.exercise,
+  context.phase,
+  context.formScore,
+  context.angles,
+  context.feedback,
+  context.errors,
+  context.fitnessLevel
+]);
+
+/**
+ * Run a provider call for a user within their budget.
+ * @param {string} userId - User the call is made for
+ * @param {string|null} key - Fingerprint to cache and coalesce on; null for calls that are never shared
+ * @param {Function} produce - Makes the call; resolves the response
+ * @param {Function} throttled - Builds the response when the budget is spent; receives the retry delay in ms
+ * @param {Object} [options]
+ * @param {Function} [options.cacheable] - Whether a response may be cached (default: AI-generated ones)
+ * @returns {Promise<Object>} The response, marked `cached: true` when it came from the cache
+ */
+const run = async (userId, key, produce, throttled, { cacheable = response => response.aiGenerated } = {}) => {
+  const counters = countersFor(userId);
+  counters.requests++;
+
+  if (key) {
+    const cached = getCached(key);
+    if (cached) {
+      counters.cacheHits++;
+      return { ...cached, cached: true };
+    }
+
+    if (inFlight.has(key)) {
+      counters.coalesced++;
+      return inFlight.get(key);
+    }
+  }
+
+  if (!takeToken(userId)) {
+    counters.throttled++;
+    return throttled(retryAfterMs(userId));
+  }
+
+  counters.providerCalls++;
+  counters.lastCallAt = new Date();
+
+  if (!key) return produce();
+
+  const call = Promise.resolve()
+    .then(produce)
+    .then(response => {
+      if (cacheable(response)) setCached(key, response);
+      return response;
+    })
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, call);
+  return call;
+};
+
+// A user's usage counters and remaining budget
+const getUsage = (userId) => {
+  const bucket = bucketFor(userId);
+  return {
+    ...countersFor(userId),
+    since: startedAt,
+    budget: {
+      capacity: config.capacity,
+      remaining: Math.floor(bucket.tokens),
+      refillPerMinute: config.refillPerMinute
+    }
+  };
+};
+
+// Forget all budgets, cached replies and counters
+const reset = () => {
+  buckets.clear();
+  cache.clear();
+  inFlight.clear();
+  usage.clear();
+};
+
+module.exports = {
+  config,
+  coachingContext,
+  coachingFingerprint,
+  run,
+  getUsage,
+  reset
+};
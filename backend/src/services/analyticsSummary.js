@@ -0,0 +1,293 @@
+const WorkoutSession = require('../models/WorkoutSession');
+const { completedSessionsMatch } = require('./userStats');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// A form-accuracy slope (points per week) smaller than this reads as flat
+const FLAT_SLOPE = 0.5;
+
+const BUCKET_UNITS = ['week', 'month'];
+
+// Start of the session's week (Monday) or month in the user's time zone
+const bucketStart = (unit, timeZone) => ({
+  $dateTrunc: {
+    date: '$startTime',
+    unit,
+    timezone: timeZone,
+    ...(unit === 'week' ? { startOfWeek: 'monday' } : {})
+  }
+});
+
+// Totals of a set of sessions
+const totalsStages = [
+  {
+    $group: {
+      _id: null,
+      totalSessions: { $sum: 1 },
+      totalReps: { $sum: '$totalReps' },
+      correctReps: { $sum: '$correctReps' },
+      totalDuration: { $sum: { $ifNull: ['$duration', 0] } },
+      timeUnderTension: { $sum: { $ifNull: ['$timeUnderTension', 0] } },
+      averageFormAccuracy: {
+        $avg: { $cond: [{ $gt: ['$formAccuracy', 0] }, '$formAccuracy', null] }
+      }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      totalSessions: 1,
+      totalReps: 1,
+      correctReps: 1,
+      totalDuration: 1,
+      timeUnderTension: { $round: ['$timeUnderTension', 1] },
+      averageFormAccuracy: { $round: [{ $ifNull: ['$averageFormAccuracy', 0] }, 1] }
+    }
+  }
+];
+
+// One entry per exercise of each session; sessions from before per-exercise
+// summaries count as a single exercise
+const exerciseEntries = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ['$exerciseSummaries', []] } }, 0] },
+    '$exerciseSummaries',
+    [{
+      exercise: '$exercise',
+      sets: 1,
+      totalReps: '$totalReps',
+      correctReps: '$correctReps',
+      formAccuracy: '$formAccuracy',
+      timeUnderTension: '$timeUnderTension'
+    }]
+  ]
+};
+
+// { current, previous, change, percentChange } for one totals field
+const compare = (field) => ({
+  $let: {
+    vars: {
+      current: { $ifNull: [{ $getField: { field, input: { $first: '$current' } } }, 0] },
+      previous: { $ifNull: [{ $getField: { field, input: { $first: '$previous' } } }, 0] }
+    },
+    in: {
+      current: '$$current',
+      previous: '$$previous',
+      change: { $subtract: ['$$current', '$$previous'] },
+      percentChange: {
+        $cond: [
+          { $eq: ['$$previous', 0] },
+          null,
+          { $round: [{ $multiply: [{ $divide: [{ $subtract: ['$$current', '$$previous'] }, '$$previous'] }, 100] }, 1] }
+        ]
+      }
+    }
+  }
+});
+
+// Analytics for a user's sessions in [from, to): totals, per-exercise
+// totals, a bucketed trend with a form-accuracy regression line, error
+// frequency per bucket, and a comparison with the period of equal length
+// just before. Everything is computed in one aggregation.
+const buildSummary = async (userId, { from, to, bucket = 'week', timeZone = 'UTC' }) => {
+  const previousFrom = new Date(from.getTime() - (to.getTime() - from.getTime()));
+  const current = { $match: { period: 'current' } };
+
+  const [result] = await WorkoutSession.aggregate([
+    {
+      $match: {
+        ...completedSessionsMatch(userId),
+        startTime: { $gte: previousFrom, $lt: to }
+      }
+    },
+    { $set: { period: { $cond: [{ $gte: ['$startTime', from] }, 'current', 'previous'] } } },
+    {
+      $facet: {
+        current: [current, ...totalsStages],
+        previous: [{ $match: { period: 'previous' } }, ...totalsStages],
+        exercises: [
+          current,
+          { $project: { entry: exerciseEntries } },
+          { $unwind: '$entry' },
+          {
+            $group: {
+              _id: '$entry.exercise',
+              sessions: { $sum: 1 },
+              sets: { $sum: { $ifNull: ['$entry.sets', 1] } },
+              reps: { $sum: { $ifNull: ['$entry.totalReps', 0] } },
+              correctReps: { $sum: { $ifNull: ['$entry.correctReps', 0] } },
+              timeUnderTension: { $sum: { $ifNull: ['$entry.timeUnderTension', 0] } },
+              volumeLoad: { $sum: { $ifNull: ['$entry.volumeLoad', 0] } },
+              averageAccuracy: { $avg: '$entry.formAccuracy' }
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              exercise: '$_id',
+              sessions: 1,
+              sets: 1,
+              reps: 1,
+              correctReps: 1,
+              timeUnderTension: { $round: ['$timeUnderTension', 1] },
+              volumeLoad: { $round: ['$volumeLoad', 1] },
+              // Rep exercises are scored on correct reps, holds on their average score
+              formAccuracy: {
+                $round: [{
+                  $cond: [
+                    { $gt: ['$reps', 0] },
+                    { $multiply: [{ $divide: ['$correctReps', '$reps'] }, 100] },
+                    { $ifNull: ['$averageAccuracy', 0] }
+                  ]
+                }, 1]
+              }
+            }
+          },
+          { $sort: { sessions: -1, reps: -1 } }
+        ],
+        trend: [
+          current,
+          {
+            $group: {
+              _id: bucketStart(bucket, timeZone),
+              sessions: { $sum: 1 },
+              reps: { $sum: '$totalReps' },
+              formAccuracy: {
+                $avg: { $cond: [{ $gt: ['$formAccuracy', 0] }, '$formAccuracy', null] }
+              }
+            }
+          },
+          { $sort: { _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              start: '$_id',
+              sessions: 1,
+              reps: 1,
+              formAccuracy: { $round: [{ $ifNull: ['$formAccuracy', 0] }, 1] }
+            }
+          }
+        ],
+        // Least-squares line through (weeks since `from`, form accuracy)
+        regression: [
+          current,
+          { $match: { formAccuracy: { $gt: 0 } } },
+          {
+            $project: {
+              x: { $divide: [{ $subtract: ['$startTime', from] }, WEEK_MS] },
+              y: '$formAccuracy'
+            }
+          },
+          {
+            $group: {
+              _id: null,
+              n: { $sum: 1 },
+              sx: { $sum: '$x' },
+              sy: { $sum: '$y' },
+              sxy: { $sum: { $multiply: ['$x', '$y'] } },
+              sxx: { $sum: { $multiply: ['$x', '$x'] } }
+            }
+          },
+          {
+            $set: {
+              denominator: { $subtract: [{ $multiply: ['$n', '$sxx'] }, { $multiply: ['$sx', '$sx'] }] }
+            }
+          },
+          {
+            $set: {
+              slope: {
+                $cond: [
+                  { $or: [{ $lt: ['$n', 2] }, { $eq: ['$denominator', 0] }] },
+                  0,
+                  {
+                    $divide: [
+                      { $subtract: [{ $multiply: ['$n', '$sxy'] }, { $multiply: ['$sx', '$sy'] }] },
+                      '$denominator'
+                    ]
+                  }
+                ]
+              }
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              points: '$n',
+              slopePerWeek: { $round: ['$slope', 2] },
+              intercept: {
+                $round: [{ $divide: [{ $subtract: ['$sy', { $multiply: ['$slope', '$sx'] }] }, '$n'] }, 1]
+              },
+              direction: {
+                $switch: {
+                  branches: [
+                    { case: { $lt: ['$n', 2] }, then: 'insufficient_data' },
+                    { case: { $gte: ['$slope', FLAT_SLOPE] }, then: 'improving' },
+                    { case: { $lte: ['$slope', -FLAT_SLOPE] }, then: 'declining' }
+                  ],
+                  default: 'flat'
+                }
+              }
+            }
+          }
+        ],
+        errors: [
+          current,
+          { $unwind: '$feedbackLog' },
+          { $match: { 'feedbackLog.errorType': { $ne: null } } },
+          {
+            $group: {
+              _id: { start: bucketStart(bucket, timeZone), errorType: '$feedbackLog.errorType' },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { count: -1 } },
+          {
+            $group: {
+              _id: '$_id.start',
+              total: { $sum: '$count' },
+              errors: { $push: { errorType: '$_id.errorType', count: '$count' } }
+            }
+          },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, start: '$_id', total: 1, errors: 1 } }
+        ],
+        errorTotals: [
+          current,
+          { $unwind: '$feedbackLog' },
+          { $match: { 'feedbackLog.errorType': { $ne: null } } },
+          { $group: { _id: '$feedbackLog.errorType', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $project: { _id: 0, errorType: '$_id', count: 1 } }
+        ]
+      }
+    },
+    {
+      $project: {
+        totals: { $ifNull: [{ $first: '$current' }, {}] },
+        exercises: 1,
+        trend: 1,
+        formAccuracyTrend: { $ifNull: [{ $first: '$regression' }, null] },
+        errors: 1,
+        errorTotals: 1,
+        comparison: {
+          totalSessions: compare('totalSessions'),
+          totalReps: compare('totalReps'),
+          averageFormAccuracy: compare('averageFormAccuracy'),
+          totalDuration: compare('totalDuration'),
+          timeUnderTension: compare('timeUnderTension')
+        }
+      }
+    }
+  ]);
+
+  return {
+    range: { from, to, bucket, timeZone },
+    previousRange: { from: previousFrom, to: from },
+    ...result
+  };
+};
+
+module.exports = {
+  BUCKET_UNITS,
+  buildSummary
+};
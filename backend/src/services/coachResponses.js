@@ -0,0 +1,154 @@
+const Joi = require('joi');
+
+// Schemas for the JSON the AI coach asks the model for, one per task. Unknown
+// keys are dropped, numbers given as strings are converted, and enum fields
+// accept common variants ("Needs Improvement", "great") which are coerced to
+// the canonical value.
+
+// Enum field that normalizes case and separators and maps aliases before
+// checking the allowed values
+const enumField = (values, aliases = {}) => Joi.string().trim().custom((value, helpers) => {
+  const key = value.toLowerCase().replace(/[\s-]+/g, '_');
+  const resolved = aliases[key] || key;
+  return values.includes(resolved) ? resolved : helpers.error('any.only', { valids: values });
+});
+
+const text = (max) => Joi.string().trim().max(max);
+const textList = (maxItems) => Joi.array().items(text(300)).max(maxItems).default([]);
+
+const RESPONSE_SCHEMAS = {
+  coaching: Joi.object({
+    primaryFeedback: text(500).required(),
+    technicalCues: textList(5),
+    encouragement: text(300).allow(''),
+    nextSteps: text(300).allow(''),
+    formRating: enumField(['excellent', 'good', 'needs_improvement', 'poor'], {
+      great: 'excellent',
+      fair: 'needs_improvement',
+      average: 'needs_improvement',
+      bad: 'poor'
+    }).default('good'),
+    priority: enumField(['high', 'medium', 'low'], {
+      critical: 'high',
+      urgent: 'high',
+      normal: 'medium',
+      moderate: 'medium',
+      minor: 'low'
+    }).default('medium')
+  }),
+
+  recommendations: Joi.object({
+    exercises: Joi.array().items(Joi.object({
+      name: text(100).required(),
+      reason: text(300).allow(''),
+      sets: Joi.number().integer().min(1).max(10),
+      reps: Joi.alternatives().try(text(30), Joi.number().integer().min(1)),
+      difficulty: enumField(['beginner', 'intermediate', 'advanced'], {
+        easy: 'beginner',
+        medium: 'intermediate',
+        moderate: 'intermediate',
+        hard: 'advanced',
+        expert: 'advanced'
+      }),
+      focusAreas: textList(5)
+    })).min(1).max(5).required(),
+    loadProgression: Joi.array().items(Joi.object({
+      exercise: text(100).required(),
+      weight: Joi.number().min(0).required(),
+      unit: enumField(['kg', 'lb'], {
+        kgs: 'kg',
+        kilogram: 'kg',
+        kilograms: 'kg',
+        lbs: 'lb',
+        pound: 'lb',
+        pounds: 'lb'
+      }).required(),
+      reason: text(300).allow('')
+    })).default([]),
+    overallStrategy: text(500).allow(''),
+    progressionTips: text(500).allow('')
+  }),
+
+  session_analysis: Joi.object({
+    performance: enumField(['excellent', 'good', 'average', 'needs_improvement'], {
+      great: 'excellent',
+      fair: 'average',
+      ok: 'average',
+      poor: 'needs_improvement',
+      bad: 'needs_improvement'
+    }).required(),
+    keyStrengths: textList(5),
+    areasToImprove: textList(5),
+    progressIndicators: text(500).allow(''),
+    nextSessionFocus: text(300).allow(''),
+    motivationalMessage: text(300).allow('')
+  })
+};
+
+// Index of the brace closing the object that opens at `start`, skipping
+// braces inside strings, or -1 if it is never closed
+const findObjectEnd = (source, start) => {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+};
+
+// The first JSON object in a model's reply, which may be wrapped in prose or
+// a code fence. Returns `{ value }` or `{ error }`.
+const extractJson = (reply) => {
+  const source = String(reply || '');
+  const start = source.indexOf('{');
+  if (start === -1) {
+    return { error: 'Response contains no JSON object' };
+  }
+
+  const end = findObjectEnd(source, start);
+  if (end === -1) {
+    return { error: 'Response JSON object is incomplete' };
+  }
+
+  try {
+    return { value: JSON.parse(source.slice(start, end + 1)) };
+  } catch (error) {
+    return { error: `Response JSON is malformed: ${error.message}` };
+  }
+};
+
+// Check a model's reply for `task` against its schema. Returns `{ value }`
+// with the coerced response or `{ error }` describing every problem.
+const validateResponse = (task, reply) => {
+  const schema = RESPONSE_SCHEMAS[task];
+  if (!schema) {
+    throw new Error(`No response schema for task "${task}"`);
+  }
+
+  const extracted = extractJson(reply);
+  if (extracted.error) return extracted;
+
+  const { value, error } = schema.validate(extracted.value, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return { error: error.details.map(detail => detail.message).join('; ') };
+  }
+  return { value };
+};
+
+module.exports = {
+  RESPONSE_SCHEMAS,
+  extractJson,
+  validateResponse
+};
@@ -0,0 +1,441 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+
+// Exercise definitions live as JSON files (one per exercise) so coaches can add
+// or tune an exercise without touching the analysis code. Set
+// EXERCISE_DEFINITIONS_DIR to load them from somewhere other than src/exercises.
+const DEFINITIONS_DIR = process.env.EXERCISE_DEFINITIONS_DIR || path.join(__dirname, '..', 'exercises');
+
+// Joint angles a definition can ask for. Bilateral joints produce
+// `left_<joint>_angle` and `right_<joint>_angle` from three keypoints (the
+// middle one is the vertex); `back` is the torso's lean from vertical.
+const ANGLE_CATALOGUE = {
+  knee: { bilateral: true, points: ['hip', 'knee', 'ankle'] },
+  hip: { bilateral: true, points: ['shoulder', 'hip', 'knee'] },
+  elbow: { bilateral: true, points: ['shoulder', 'elbow', 'wrist'] },
+  shoulder: { bilateral: true, points: ['hip', 'shoulder', 'elbow'] },
+  back: { bilateral: false }
+};
+
+const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// How rule thresholds and penalties scale with the session's difficulty.
+// `tolerance` is the number of degrees a failing threshold is relaxed by
+// (negative tightens it); `penaltyScale` multiplies each rule's penalty.
+// Definitions and individual rules can override these per level.
+const DEFAULT_DIFFICULTY = {
+  beginner: { tolerance: 10, penaltyScale: 0.75 },
+  intermediate: { tolerance: 0, penaltyScale: 1 },
+  advanced: { tolerance: -5, penaltyScale: 1.25 }
+};
+
+// Margin kept between a user's mobility limit and a rep zone threshold so
+// the zone is still reachable
+const MOBILITY_ZONE_MARGIN = 5;
+
+const PHASES = ['starting', 'descending', 'bottom', 'ascending', 'top', 'completed', 'hold'];
+const VIEWS = ['front', 'side', 'oblique'];
+const REP_STATES = ['top', 'descending', 'bottom', 'ascending'];
+
+const metricSchema = Joi.object({
+  joint: Joi.string().valid(...Object.keys(ANGLE_CATALOGUE)).required(),
+  aggregate: Joi.string().valid('average', 'difference', 'min', 'max'),
+  side: Joi.string().valid('left', 'right', 'front', 'back')
+}).oxor('aggregate', 'side');
+
+const comparisonKeys = {
+  metric: metricSchema,
+  above: Joi.number(),
+  below: Joi.number(),
+  atLeast: Joi.number(),
+  atMost: Joi.number(),
+  outside: Joi.array().items(Joi.number()).length(2)
+};
+
+const conditionSchema = Joi.alternatives().try(
+  Joi.object({ all: Joi.array().items(Joi.link('#condition')).min(1).required() }),
+  Joi.object({ any: Joi.array().items(Joi.link('#condition')).min(1).required() }),
+  Joi.object(comparisonKeys).or('above', 'below', 'atLeast', 'atMost', 'outside')
+).id('condition');
+
+const difficultySchema = Joi.object().pattern(
+  Joi.string().valid(...DIFFICULTY_LEVELS),
+  Joi.object({
+    tolerance: Joi.number(),
+    penaltyScale: Joi.number().min(0)
+  })
+);
+
+const zoneSchema = Joi.object({
+  enter: Joi.number().required(),
+  exit: Joi.number().required()
+});
+
+const definitionSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z_]+$/).required(),
+  name: Joi.string().required(),
+  scoring: Joi.string().valid('reps', 'hold').default('reps'),
+  angles: Joi.array().items(Joi.string().valid(...Object.keys(ANGLE_CATALOGUE))).min(1).unique().required(),
+  sides: Joi.object({
+    joint: Joi.string().valid(...Object.keys(ANGLE_CATALOGUE)).required(),
+    front: Joi.string().valid('smaller', 'larger').required()
+  }),
+  errorTypes: Joi.object().pattern(/^[a-z_]+$/, Joi.string()).min(1).required(),
+  difficulty: difficultySchema,
+  phaseDetection: Joi.object({
+    metric: metricSchema,
+    phases: Joi.array().items(Joi.object({
+      phase: Joi.string().valid(...PHASES).required(),
+      ...comparisonKeys,
+      all: Joi.array().items(conditionSchema).min(1),
+      any: Joi.array().items(conditionSchema).min(1)
+    }).or('above', 'below', 'atLeast', 'atMost', 'outside', 'all', 'any')).min(1).required(),
+    default: Joi.string().valid(...PHASES).required()
+  }).required(),
+  repCounting: Joi.object({
+    metric: metricSchema.required(),
+    top: zoneSchema.required(),
+    bottom: zoneSchema.required(),
+    phaseLabels: Joi.object().pattern(Joi.string().valid(...REP_STATES), Joi.string().valid(...PHASES)).default({}),
+    // Whether the lowering (eccentric) half of a rep closes or opens the joint
+    eccentric: Joi.string().valid('closing', 'opening').default('closing')
+  }).when('scoring', { is: 'reps', then: Joi.required(), otherwise: Joi.forbidden() }),
+  hold: Joi.object({
+    phase: Joi.string().valid(...PHASES).required()
+  }).when('scoring', { is: 'hold', then: Joi.required(), otherwise: Joi.forbidden() }),
+  rules: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    when: conditionSchema.required(),
+    phases: Joi.array().items(Joi.string().valid(...PHASES)),
+    // Camera views that can judge the rule from 2D angles; other views skip it
+    views: Joi.array().items(Joi.string().valid(...VIEWS)).min(1).unique(),
+    message: Joi.string().required(),
+    correction: Joi.string().required(),
+    errorType: Joi.string().required(),
+    penalty: Joi.number().min(0).max(100).required(),
+    difficulty: difficultySchema
+  })).required(),
+  guidelines: Joi.object({
+    keyPoints: Joi.array().items(Joi.string()).required(),
+    commonMistakes: Joi.array().items(Joi.string()).required()
+  }).required(),
+  coaching: Joi.object({
+    commonIssues: Joi.array().items(Joi.string()).required(),
+    keyPoints: Joi.array().items(Joi.string()).required(),
+    phases: Joi.array().items(Joi.string().valid(...PHASES))
+  }).required()
+});
+
+// Collect every metric referenced by a definition so they can be checked
+// against the angles it computes
+const collectMetrics = (condition, metrics = []) => {
+  if (!condition) return metrics;
+  if (condition.metric) metrics.push(condition.metric);
+  (condition.all || []).forEach(child => collectMetrics(child, metrics));
+  (condition.any || []).forEach(child => collectMetrics(child, metrics));
+  return metrics;
+};
+
+// Whether any comparison in a condition has neither its own metric nor a
+// fallback to read
+const lacksMetric = (condition, defaultMetric) => {
+  if (condition.all || condition.any) {
+    return (condition.all || condition.any).some(child => lacksMetric(child, defaultMetric));
+  }
+  return !condition.metric && !defaultMetric;
+};
+
+// Checks that Joi cannot express on its own
+const checkReferences = (definition) => {
+  const problems = [];
+  const metrics = [];
+
+  if (definition.phaseDetection.metric) metrics.push(definition.phaseDetection.metric);
+  definition.phaseDetection.phases.forEach(entry => collectMetrics(entry, metrics));
+  if (definition.repCounting) metrics.push(definition.repCounting.metric);
+  definition.rules.forEach(rule => collectMetrics(rule.when, metrics));
+
+  metrics.forEach(metric => {
+    const joint = ANGLE_CATALOGUE[metric.joint];
+    if (!definition.angles.includes(metric.joint)) {
+      problems.push(`metric uses "${metric.joint}" which is not listed in angles`);
+    }
+    if (joint.bilateral && !metric.aggregate && !metric.side) {
+      problems.push(`metric on bilateral joint "${metric.joint}" needs an aggregate or side`);
+    }
+    if (!joint.bilateral && (metric.aggregate || metric.side)) {
+      problems.push(`metric on "${metric.joint}" cannot use an aggregate or side`);
+    }
+    if ((metric.side === 'front' || metric.side === 'back') && !definition.sides) {
+      problems.push(`metric uses side "${metric.side}" but the definition has no sides`);
+    }
+  });
+
+  definition.phaseDetection.phases.forEach(entry => {
+    if (lacksMetric(entry, definition.phaseDetection.metric)) {
+      problems.push(`phase "${entry.phase}" has no metric and phaseDetection has no default metric`);
+    }
+  });
+
+  // Rules have no definition-level metric to fall back on
+  definition.rules.forEach(rule => {
+    if (lacksMetric(rule.when, null)) {
+      problems.push(`rule "${rule.name}" has a condition without a metric`);
+    }
+    if (!definition.errorTypes[rule.errorType]) {
+      problems.push(`rule "${rule.name}" uses undeclared error type "${rule.errorType}"`);
+    }
+  });
+
+  if (definition.sides && !definition.angles.includes(definition.sides.joint)) {
+    problems.push(`sides uses "${definition.sides.joint}" which is not listed in angles`);
+  }
+
+  return problems;
+};
+
+const loadDefinitions = (directory = DEFINITIONS_DIR) => {
+  const definitions = {};
+  const files = fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+
+  files.forEach(file => {
+    const source = path.join(directory, file);
+    let raw;
+
+    try {
+      raw = JSON.parse(fs.readFileSync(source, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid exercise definition ${file}: ${error.message}`);
+    }
+
+    const { value, error } = definitionSchema.validate(raw, { abortEarly: false });
+    if (error) {
+      throw new Error(`Invalid exercise definition ${file}: ${error.details.map(d => d.message).join('; ')}`);
+    }
+
+    const problems = checkReferences(value);
+    if (problems.length > 0) {
+      throw new Error(`Invalid exercise definition ${file}: ${problems.join('; ')}`);
+    }
+
+    if (definitions[value.id]) {
+      throw new Error(`Duplicate exercise definition for "${value.id}" in ${file}`);
+    }
+
+    definitions[value.id] = Object.freeze(value);
+  });
+
+  if (files.length === 0) {
+    throw new Error(`No exercise definitions found in ${directory}`);
+  }
+
+  return definitions;
+};
+
+// Loaded once at require time so an invalid definition stops the server at startup
+const definitions = loadDefinitions();
+
+const getDefinition = (exercise) => definitions[exercise] || null;
+
+const getExerciseIds = () => Object.keys(definitions);
+
+const getErrorTypes = () => [
+  ...new Set(Object.values(definitions).flatMap(definition => Object.keys(definition.errorTypes)))
+];
+
+// Resolve which side is the front (working) side for single-leg movements
+const resolveSides = (definition, angles) => {
+  const { joint, front } = definition.sides;
+  const left = angles[`left_${joint}_angle`];
+  const right = angles[`right_${joint}_angle`];
+  const rightIsFront = front === 'smaller' ? right < left : right > left;
+
+  return rightIsFront ? { front: 'right', back: 'left' } : { front: 'left', back: 'right' };
+};
+
+const resolveMetric = (definition, metric, angles) => {
+  const { joint, aggregate, side } = metric;
+
+  if (!ANGLE_CATALOGUE[joint].bilateral) {
+    return angles[`${joint}_angle`];
+  }
+
+  if (side) {
+    const resolved = side === 'front' || side === 'back' ? resolveSides(definition, angles)[side] : side;
+    return angles[`${resolved}_${joint}_angle`];
+  }
+
+  const left = angles[`left_${joint}_angle`];
+  const right = angles[`right_${joint}_angle`];
+
+  // Differences need both sides; the other aggregates fall back to whichever
+  // side was measured when one is missing
+  const hasLeft = Number.isFinite(left);
+  const hasRight = Number.isFinite(right);
+  if (aggregate !== 'difference' && hasLeft !== hasRight) {
+    return hasLeft ? left : right;
+  }
+
+  switch (aggregate) {
+    case 'difference':
+      return Math.abs(left - right);
+    case 'min':
+      return Math.min(left, right);
+    case 'max':
+      return Math.max(left, right);
+    default:
+      return (left + right) / 2;
+  }
+};
+
+// Whether every metric a condition reads can be computed from these angles
+const isConditionAssessable = (definition, condition, angles, defaultMetric) => {
+  if (condition.all || condition.any) {
+    return (condition.all || condition.any)
+      .every(child => isConditionAssessable(definition, child, angles, defaultMetric));
+  }
+
+  return Number.isFinite(resolveMetric(definition, condition.metric || defaultMetric, angles));
+};
+
+// True when the condition holds. Missing angles resolve to NaN and every
+// comparison against NaN is false.
+const evaluateCondition = (definition, condition, angles, defaultMetric) => {
+  if (condition.all) {
+    return condition.all.every(child => evaluateCondition(definition, child, angles, defaultMetric));
+  }
+  if (condition.any) {
+    return condition.any.some(child => evaluateCondition(definition, child, angles, defaultMetric));
+  }
+
+  const value = resolveMetric(definition, condition.metric || defaultMetric, angles);
+
+  if (condition.above !== undefined && !(value > condition.above)) return false;
+  if (condition.below !== undefined && !(value < condition.below)) return false;
+  if (condition.atLeast !== undefined && !(value >= condition.atLeast)) return false;
+  if (condition.atMost !== undefined && !(value <= condition.atMost)) return false;
+  if (condition.outside !== undefined) {
+    const [low, high] = condition.outside;
+    if (!(value < low || value > high)) return false;
+  }
+  return true;
+};
+
+// Relax (positive tolerance) or tighten a failing condition's thresholds.
+// Conditions fail the rule when they hold, so relaxing pushes `above` and
+// `atLeast` up, `below` and `atMost` down, and widens `outside`.
+const adjustCondition = (condition, tolerance, limitFor) => {
+  if (condition.all) {
+    return { all: condition.all.map(child => adjustCondition(child, tolerance, limitFor)) };
+  }
+  if (condition.any) {
+    return { any: condition.any.map(child => adjustCondition(child, tolerance, limitFor)) };
+  }
+
+  const adjusted = { ...condition };
+  // Differences between sides are not joint angles, so mobility limits do not apply
+  const limit = condition.metric && condition.metric.aggregate !== 'difference'
+    ? limitFor(condition.metric.joint)
+    : null;
+
+  ['above', 'atLeast'].forEach(key => {
+    if (adjusted[key] === undefined) return;
+    adjusted[key] += tolerance;
+    // A user who cannot flex past minAngle is not penalised for stopping there
+    if (limit && limit.minAngle !== undefined) {
+      adjusted[key] = Math.max(adjusted[key], limit.minAngle);
+    }
+  });
+
+  ['below', 'atMost'].forEach(key => {
+    if (adjusted[key] === undefined) return;
+    adjusted[key] -= tolerance;
+    // Likewise for a user who cannot extend past maxAngle
+    if (limit && limit.maxAngle !== undefined) {
+      adjusted[key] = Math.min(adjusted[key], limit.maxAngle);
+    }
+  });
+
+  if (adjusted.outside) {
+    adjusted.outside = [adjusted.outside[0] - tolerance, adjusted.outside[1] + tolerance];
+  }
+
+  return adjusted;
+};
+
+// Move rep zones inside a user's range of motion so reps can still be counted
+const adjustRepCounting = (repCounting, limit) => {
+  if (!limit || repCounting.metric.aggregate === 'difference') return repCounting;
+
+  const shift = (zone, target) => ({ enter: zone.enter + target, exit: zone.exit + target });
+  let { top, bottom } = repCounting;
+
+  if (limit.minAngle !== undefined && bottom.enter < limit.minAngle + MOBILITY_ZONE_MARGIN) {
+    bottom = shift(bottom, limit.minAngle + MOBILITY_ZONE_MARGIN - bottom.enter);
+  }
+  if (limit.maxAngle !== undefined && top.enter > limit.maxAngle - MOBILITY_ZONE_MARGIN) {
+    top = shift(top, limit.maxAngle - MOBILITY_ZONE_MARGIN - top.enter);
+  }
+
+  return { ...repCounting, top, bottom };
+};
+
+// Definition with rule thresholds, penalties and rep zones adapted to a
+// difficulty level and to the user's mobility limits
+// (`[{ joint: 'knee', minAngle: 110 }]`). Returns the shared definition
+// untouched when there is nothing to adjust.
+const resolveDefinition = (exercise, { difficulty, mobilityLimits = [] } = {}) => {
+  const definition = getDefinition(exercise);
+  if (!definition) return null;
+
+  const level = DIFFICULTY_LEVELS.includes(difficulty) ? difficulty : null;
+  if (!level && mobilityLimits.length === 0) return definition;
+
+  const limitFor = (joint) => mobilityLimits.find(limit => limit.joint === joint) || null;
+
+  const rules = definition.rules.map(rule => {
+    const settings = {
+      ...DEFAULT_DIFFICULTY[level || 'intermediate'],
+      ...(definition.difficulty && definition.difficulty[level]),
+      ...(rule.difficulty && rule.difficulty[level])
+    };
+
+    return {
+      ...rule,
+      when: adjustCondition(rule.when, settings.tolerance, limitFor),
+      penalty: Math.round(rule.penalty * settings.penaltyScale)
+    };
+  });
+
+  return {
+    ...definition,
+    difficultyLevel: level,
+    rules,
+    repCounting: definition.repCounting
+      ? adjustRepCounting(definition.repCounting, limitFor(definition.repCounting.metric.joint))
+      : definition.repCounting
+  };
+};
+
+// Fill `{front}` and `{back}` placeholders in rule text
+const formatRuleText = (definition, text, angles) => {
+  if (!definition.sides) return text;
+  const sides = resolveSides(definition, angles);
+  return text.replace(/\{(front|back)\}/g, (match, key) => sides[key]);
+};
+
+module.exports = {
+  ANGLE_CATALOGUE,
+  DIFFICULTY_LEVELS,
+  loadDefinitions,
+  getDefinition,
+  resolveDefinition,
+  getExerciseIds,
+  getErrorTypes,
+  resolveSides,
+  resolveMetric,
+  evaluateCondition,
+  isConditionAssessable,
+  formatRuleText
+};
@@ -0,0 +1,262 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Language model providers behind one interface:
+//
+//   provider.name, provider.model
+//   provider.generate(prompt, { task, signal }) -> Promise<{ text, provider, model }>
+//   provider.stream(prompt, { task, onText, signal }) -> Promise<{ text, provider, model }>
+//
+// `stream` calls onText with each piece of the reply as it arrives and
+// resolves the whole reply like `generate`.
+// An optional AbortSignal cancels the request; the call then rejects.
+// `task` names the kind of prompt (coaching, recommendations,
+// session_analysis) for providers that answer without a model.
+//
+// Configured through the environment:
+//   LLM_PROVIDER     gemini | openai | mock (default: gemini when GEMINI_API_KEY is set)
+//   LLM_MODEL        model name (default depends on the provider)
+//   LLM_TEMPERATURE  sampling temperature (default 0.7)
+//   LLM_TIMEOUT_MS   request timeout (default 15000)
+//   LLM_MAX_TOKENS   response length limit (default 1024)
+//   LLM_BASE_URL     OpenAI-compatible server, e.g. http://localhost:11434/v1 for Ollama
+//   LLM_API_KEY      key for the OpenAI-compatible server, if it needs one
+//   GEMINI_API_KEY   key for Gemini
+
+const PROVIDER_NAMES = ['gemini', 'openai', 'mock'];
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-1.5-flash',
+  openai: 'llama3',
+  mock: 'mock-coach-1'
+};
+
+const numberOr = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+};
+
+// Provider settings from the environment. `provider` is null when nothing is
+// configured.
+const loadLLMConfig = (env = process.env) => {
+  const provider = env.LLM_PROVIDER || (env.GEMINI_API_KEY ? 'gemini' : null);
+
+  return {
+    provider,
+    model: env.LLM_MODEL || (provider ? DEFAULT_MODELS[provider] : null),
+    temperature: numberOr(env.LLM_TEMPERATURE, 0.7),
+    timeoutMs: numberOr(env.LLM_TIMEOUT_MS, 15000),
+    maxTokens: numberOr(env.LLM_MAX_TOKENS, 1024),
+    baseUrl: env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: provider === 'gemini' ? env.GEMINI_API_KEY : env.LLM_API_KEY
+  };
+};
+
+class GeminiProvider {
+  constructor(config) {
+    if (!config.apiKey) {
+      throw new Error('GEMINI_API_KEY is required for the gemini provider');
+    }
+
+    this.name = 'gemini';
+    this.model = config.model;
+    this.client = new GoogleGenerativeAI(config.apiKey).getGenerativeModel({
+      model: config.model,
+      generationConfig: {
+        temperature: config.temperature,
+        maxOutputTokens: config.maxTokens
+      }
+    }, { timeout: config.timeoutMs });
+  }
+
+  async generate(prompt, { signal } = {}) {
+    const result = await this.client.generateContent(prompt, { signal });
+    const response = await result.response;
+    return { text: response.text(), provider: this.name, model: this.model };
+  }
+
+  async stream(prompt, { onText, signal }) {
+    const result = await this.client.generateContentStream(prompt, { signal });
+    let text = '';
+
+    for await (const chunk of result.stream) {
+      const piece = chunk.text();
+      if (piece) {
+        text += piece;
+        onText(piece);
+      }
+    }
+
+    return { text, provider: this.name, model: this.model };
+  }
+}
+
+// Any server speaking the OpenAI chat completions API: llama.cpp's server,
+// Ollama, vLLM or OpenAI itself
+class OpenAICompatibleProvider {
+  constructor(config) {
+    this.name = 'openai';
+    this.model = config.model;
+    this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    this.apiKey = config.apiKey;
+    this.temperature = config.temperature;
+    this.maxTokens = config.maxTokens;
+    this.timeoutMs = config.timeoutMs;
+  }
+
+  async request(prompt, stream, signal) {
+    const timeout = AbortSignal.timeout(this.timeoutMs);
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: this.temperature,
+        max_tokens: this.maxTokens,
+        stream
+      }),
+      // Covers the whole reply, including a streamed body
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+
+    if (!response.ok) {
+      throw new Error(`LLM server responded ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    }
+    return response;
+  }
+
+  async generate(prompt, { signal } = {}) {
+    const response = await this.request(prompt, false, signal);
+    const body = await response.json();
+    const text = body.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('LLM server response has no message content');
+    }
+
+    return { text, provider: this.name, model: body.model || this.model };
+  }
+
+  // Streamed replies arrive as server-sent events, one `data:` line per
+  // chunk, ending with `data: [DONE]`
+  async stream(prompt, { onText, signal }) {
+    const response = await this.request(prompt, true, signal);
+    const decoder = new TextDecoder();
+    let buffered = '';
+    let text = '';
+    let model = this.model;
+
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return;
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') return;
+
+      const chunk = JSON.parse(data);
+      model = chunk.model || model;
+      const piece = chunk.choices?.[0]?.delta?.content;
+      if (piece) {
+        text += piece;
+        onText(piece);
+      }
+    };
+
+    for await (const bytes of response.body) {
+      buffered += decoder.decode(bytes, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(line => handleLine(line.trim()));
+    }
+    handleLine(buffered.trim());
+
+    return { text, provider: this.name, model };
+  }
+}
+
+// Canned answers for each task, so tests and offline development get the
+// same output for the same prompt
+const MOCK_RESPONSES = {
+  coaching: {
+    primaryFeedback: 'Keep your chest up and control the movement.',
+    technicalCues: ['Brace your core before each rep', 'Move through the full range'],
+    encouragement: 'Solid work, keep it up!',
+    nextSteps: 'Hold this form for your next set',
+    formRating: 'good',
+    priority: 'medium'
+  },
+  recommendations: {
+    exercises: [
+      { name: 'squat', reason: 'Builds lower body strength', sets: 3, reps: '8-12', difficulty: 'beginner', focusAreas: ['legs'] },
+      { name: 'pushup', reason: 'Builds upper body strength', sets: 3, reps: '6-10', difficulty: 'beginner', focusAreas: ['chest'] },
+      { name: 'plank', reason: 'Builds core stability', sets: 3, reps: '30s', difficulty: 'beginner', focusAreas: ['core'] }
+    ],
+    loadProgression: [],
+    overallStrategy: 'Alternate lower and upper body with core work',
+    progressionTips: 'Add reps before adding load'
+  },
+  session_analysis: {
+    performance: 'good',
+    keyStrengths: ['Consistent tempo'],
+    areasToImprove: ['Depth on later reps'],
+    progressIndicators: 'In line with steady progress',
+    nextSessionFocus: 'Keep depth consistent as you tire',
+    motivationalMessage: 'Nice session, keep building!'
+  }
+};
+
+// Size of the pieces the mock provider streams a reply in
+const MOCK_STREAM_CHUNK_LENGTH = 24;
+
+class MockProvider {
+  constructor(config = {}) {
+    this.name = 'mock';
+    this.model = config.model || DEFAULT_MODELS.mock;
+    this.responses = { ...MOCK_RESPONSES, ...config.responses };
+  }
+
+  async generate(prompt, { task, signal } = {}) {
+    signal?.throwIfAborted();
+    const response = this.responses[task];
+    return {
+      text: response ? JSON.stringify(response) : prompt,
+      provider: this.name,
+      model: this.model
+    };
+  }
+
+  async stream(prompt, { task, onText, signal }) {
+    const generated = await this.generate(prompt, { task, signal });
+    for (let i = 0; i < generated.text.length; i += MOCK_STREAM_CHUNK_LENGTH) {
+      signal?.throwIfAborted();
+      onText(generated.text.slice(i, i + MOCK_STREAM_CHUNK_LENGTH));
+    }
+    return generated;
+  }
+}
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+// Build the configured provider, or null when none is configured
+const createProvider = (config = loadLLMConfig()) => {
+  if (!config.provider) return null;
+
+  const Provider = PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${config.provider}". Use one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+  return new Provider(config);
+};
+
+module.exports = {
+  PROVIDER_NAMES,
+  loadLLMConfig,
+  createProvider,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  MockProvider
+};
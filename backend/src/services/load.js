@@ -0,0 +1,91 @@
+// External load helpers. Loads are entered in kilograms or pounds and kept
+// alongside their kilogram equivalent (`weightKg`), which every calculation
+// and comparison uses.
+
+const LOAD_UNITS = ['kg', 'lb'];
+
+const LB_PER_KG = 2.20462;
+
+// Smallest plate jump a suggestion rounds to, per unit
+const LOAD_INCREMENTS = { kg: 2.5, lb: 5 };
+
+// One-rep max estimates grow unreliable past this many reps
+const MAX_ESTIMATE_REPS = 12;
+
+const ONE_RM_FORMULAS = {
+  epley: (weight, reps) => weight * (1 + reps / 30),
+  brzycki: (weight, reps) => weight * 36 / (37 - reps)
+};
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+// The unit a user's preferences call for
+const unitForUser = (user) => (user?.preferences?.units === 'imperial' ? 'lb' : 'kg');
+
+const toKg = (weight, unit) => (unit === 'lb' ? weight / LB_PER_KG : weight);
+
+const fromKg = (weightKg, unit) => (unit === 'lb' ? weightKg * LB_PER_KG : weightKg);
+
+// Build a stored load from user input; `unit` defaults to the user's units.
+// Returns null when there is no weight.
+const normalizeLoad = ({ weight, unit } = {}, user) => {
+  if (weight === undefined || weight === null || weight === '') return null;
+
+  const loadUnit = unit || unitForUser(user);
+  return {
+    weight: Number(weight),
+    unit: loadUnit,
+    weightKg: round(toKg(Number(weight), loadUnit), 2)
+  };
+};
+
+// Reps in reserve from an RPE rating (RPE 10 = nothing left, RPE 8 = two reps left)
+const rirFromRpe = (rpe) => (rpe === undefined || rpe === null ? null : Math.max(10 - rpe, 0));
+
+// Estimated one-rep max (same unit as `weight`) from a set of `reps`. Reps in
+// reserve are counted as reps the lifter could have done. Null when the set
+// cannot give a sensible estimate.
+const estimateOneRepMax = (weight, reps, { formula = 'epley', rir = 0 } = {}) => {
+  const effectiveReps = reps + (rir || 0);
+  if (!weight || weight <= 0 || !reps || reps < 1 || effectiveReps > MAX_ESTIMATE_REPS) return null;
+  if (effectiveReps === 1) return round(weight);
+
+  const estimate = ONE_RM_FORMULAS[formula] || ONE_RM_FORMULAS.epley;
+  return round(estimate(weight, effectiveReps));
+};
+
+// Suggest the next load for an exercise from its latest session: add the
+// smallest increment when every rep passed comfortably (good form and
+// RPE 8 or lower, when rated), otherwise keep the load.
+const suggestNextLoad = ({ topWeightKg, formAccuracy, rpe }, unit = 'kg', minFormAccuracy = 85) => {
+  if (!topWeightKg) return null;
+
+  const current = fromKg(topWeightKg, unit);
+  const ready = formAccuracy >= minFormAccuracy && (rpe === undefined || rpe === null || rpe <= 8);
+  const increment = LOAD_INCREMENTS[unit];
+
+  return {
+    weight: ready ? Math.round((current + increment) / increment) * increment : round(current),
+    unit,
+    action: ready ? 'increase' : 'hold',
+    reason: ready
+      ? `Form held at ${formAccuracy}%${rpe ? ` with RPE ${rpe}` : ''}`
+      : formAccuracy < minFormAccuracy
+        ? `Form accuracy was ${formAccuracy}%, below ${minFormAccuracy}%`
+        : `Last session was rated RPE ${rpe}`
+  };
+};
+
+module.exports = {
+  LOAD_UNITS,
+  LB_PER_KG,
+  MAX_ESTIMATE_REPS,
+  ONE_RM_FORMULAS,
+  unitForUser,
+  toKg,
+  fromKg,
+  normalizeLoad,
+  rirFromRpe,
+  estimateOneRepMax,
+  suggestNextLoad
+};
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const WorkoutSession = require('../models/WorkoutSession');
+const load = require('./load');
+
+// Loaded sets of a user's ended sessions, one entry per session and
+// exercise in time order (kilograms): top set weight, total reps, volume
+// load, best estimated one-rep max, hardest RPE and form accuracy
+const getLoadHistory = async (userId, { exercise, since } = {}) => {
+  const match = {
+    userId: new mongoose.Types.ObjectId(userId.toString()),
+    endTime: { $exists: true },
+    'sets.load.weightKg': { $gt: 0 }
+  };
+  if (since) match.startTime = { $gte: since };
+
+  const setMatch = {
+    'sets.status': 'completed',
+    'sets.load.weightKg': { $gt: 0 }
+  };
+  if (exercise) setMatch['sets.exercise'] = exercise;
+
+  const rows = await WorkoutSession.aggregate([
+    { $match: match },
+    { $unwind: '$sets' },
+    { $match: setMatch },
+    {
+      $group: {
+        _id: { sessionId: '$_id', exercise: '$sets.exercise' },
+        date: { $first: '$startTime' },
+        sets: { $sum: 1 },
+        reps: { $sum: '$sets.totalReps' },
+        correctReps: { $sum: '$sets.correctReps' },
+        topWeightKg: { $max: '$sets.load.weightKg' },
+        volumeLoad: { $sum: { $ifNull: ['$sets.volumeLoad', 0] } },
+        estimatedOneRepMax: { $max: '$sets.estimatedOneRepMax' },
+        rpe: { $max: '$sets.rpe' }
+      }
+    },
+    { $sort: { date: 1 } }
+  ]);
+
+  return rows.map(row => ({
+    sessionId: row._id.sessionId,
+    exercise: row._id.exercise,
+    date: row.date,
+    sets: row.sets,
+    reps: row.reps,
+    topWeightKg: row.topWeightKg,
+    volumeLoad: Math.round(row.volumeLoad * 10) / 10,
+    estimatedOneRepMax: row.estimatedOneRepMax || null,
+    rpe: row.rpe || null,
+    formAccuracy: row.reps > 0 ? Math.round((row.correctReps / row.reps) * 100) : 0
+  }));
+};
+
+// Load history per exercise in `unit`, with each exercise's best estimated
+// one-rep max and a suggested next load
+const summarizeLoadHistory = (history, unit = 'kg') => {
+  const convert = (weightKg) => (weightKg ? Math.round(load.fromKg(weightKg, unit) * 10) / 10 : null);
+  const byExercise = {};
+
+  history.forEach(entry => {
+    byExercise[entry.exercise] = byExercise[entry.exercise] || [];
+    byExercise[entry.exercise].push(entry);
+  });
+
+  return Object.entries(byExercise).map(([exercise, entries]) => ({
+    exercise,
+    unit,
+    sessions: entries.map(entry => ({
+      sessionId: entry.sessionId,
+      date: entry.date,
+      sets: entry.sets,
+      reps: entry.reps,
+      topWeight: convert(entry.topWeightKg),
+      volumeLoad: convert(entry.volumeLoad),
+      estimatedOneRepMax: convert(entry.estimatedOneRepMax),
+      rpe: entry.rpe,
+      formAccuracy: entry.formAccuracy
+    })),
+    bestOneRepMax: convert(Math.max(...entries.map(entry => entry.estimatedOneRepMax || 0))),
+    totalVolumeLoad: convert(entries.reduce((sum, entry) => sum + entry.volumeLoad, 0)),
+    nextLoad: load.suggestNextLoad(entries[entries.length - 1], unit)
+  }));
+};
+
+module.exports = {
+  getLoadHistory,
+  summarizeLoadHistory
+};
@@ -0,0 +1,157 @@
+const PersonalRecord = require('../models/PersonalRecord');
+const WorkoutSession = require('../models/WorkoutSession');
+const exerciseDefinitions = require('./exerciseDefinitions');
+
+// Tracked records and which way is better
+const RECORD_METRICS = {
+  max_reps: { unit: 'reps', better: 'higher' },
+  best_form_accuracy: { unit: 'percent', better: 'higher' },
+  longest_hold: { unit: 'seconds', better: 'higher' },
+  heaviest_load: { unit: 'kg', better: 'higher' },
+  deepest_angle: { unit: 'degrees', better: 'lower' } // primary joint angle at the bottom of a rep
+};
+
+// Form accuracy only counts as a record over enough work to mean something
+const MIN_FORM_RECORD_REPS = 5;
+const MIN_FORM_RECORD_HOLD = 10; // seconds
+
+const isBetter = (metric, value, best) => (RECORD_METRICS[metric].better === 'higher' ? value > best : value < best);
+
+// The session's best value per exercise and metric
+const collectCandidates = (session) => {
+  const candidates = new Map();
+  const offer = (exercise, metric, value, setId) => {
+    if (!Number.isFinite(value) || value <= 0) return;
+    const key = `${exercise}:${metric}`;
+    const current = candidates.get(key);
+    if (!current || isBetter(metric, value, current.value)) {
+      candidates.set(key, { exercise, metric, value, setId });
+    }
+  };
+
+  // Sessions without sets are one set of their exercise
+  const summaries = session.exerciseSummaries || [];
+  const sets = session.sets && session.sets.length > 0
+    ? session.sets.filter(set => set.status === 'completed')
+    : [{
+      exercise: session.exercise,
+      totalReps: session.totalReps,
+      reps: session.reps || [],
+      holdTime: summaries[0]?.holdTime
+    }];
+
+  sets.forEach(set => {
+    const definition = exerciseDefinitions.getDefinition(set.exercise);
+    if (!definition) return;
+
+    if (definition.scoring === 'hold') {
+      offer(set.exercise, 'longest_hold', set.holdTime, set._id);
+      return;
+    }
+
+    offer(set.exercise, 'max_reps', set.totalReps, set._id);
+    if (set.totalReps > 0) {
+      offer(set.exercise, 'heaviest_load', set.load?.weightKg, set._id);
+    }
+
+    // Depth only counts on reps that passed, and only where lowering closes
+    // the joint (squat, push-up); for pulling movements a smaller angle is
+    // not deeper
+    if (definition.repCounting?.eccentric === 'closing') {
+      const depths = (set.reps || [])
+        .filter(rep => rep.passed && Number.isFinite(rep.depth))
+        .map(rep => rep.depth);
+      if (depths.length > 0) {
+        offer(set.exercise, 'deepest_angle', Math.min(...depths), set._id);
+      }
+    }
+  });
+
+  summaries.forEach(summary => {
+    const definition = exerciseDefinitions.getDefinition(summary.exercise);
+    const enough = definition?.scoring === 'hold'
+      ? summary.holdTime >= MIN_FORM_RECORD_HOLD
+      : summary.totalReps >= MIN_FORM_RECORD_REPS;
+    if (enough) offer(summary.exercise, 'best_form_accuracy', summary.formAccuracy);
+  });
+
+  return [...candidates.values()];
+};
+
+// The best value per exercise and metric over a list of sessions, keyed
+// `exercise:metric`, with the session it came from
+const bestsFromSessions = (sessions) => {
+  const bests = new Map();
+
+  sessions.forEach(session => {
+    collectCandidates(session).forEach(candidate => {
+      const key = `${candidate.exercise}:${candidate.metric}`;
+      const best = bests.get(key);
+      if (!best || isBetter(candidate.metric, candidate.value, best.value)) {
+        bests.set(key, { value: candidate.value, sessionId: session._id });
+      }
+    });
+  });
+
+  return bests;
+};
+
+// The user's bests from ended sessions other than `session`. Records only
+// exist for sessions ended since they were introduced, so earlier history
+// stands in where there is no record yet.
+const historyBests = async (session, exercises) => {
+  const sessions = await WorkoutSession.find({
+    userId: session.userId,
+    _id: { $ne: session._id },
+    endTime: { $exists: true },
+    $or: [{ exercise: { $in: exercises } }, { 'sets.exercise': { $in: exercises } }]
+  }).select('exercise totalReps reps sets exerciseSummaries').lean();
+
+  return bestsFromSessions(sessions);
+};
+
+// Compare an ended session with the user's records (or, without a record,
+// their earlier sessions) and save the ones it beats. Returns the new records.
+const checkSession = async (session) => {
+  const candidates = collectCandidates(session);
+  if (candidates.length === 0) return [];
+
+  const records = await Promise.all(candidates.map(candidate => PersonalRecord.findOne({
+    userId: session.userId,
+    exercise: candidate.exercise,
+    metric: candidate.metric
+  }).sort({ value: RECORD_METRICS[candidate.metric].better === 'higher' ? -1 : 1 }).lean()));
+
+  const unrecorded = candidates.filter((candidate, index) => !records[index]);
+  const history = unrecorded.length > 0
+    ? await historyBests(session, [...new Set(unrecorded.map(candidate => candidate.exercise))])
+    : new Map();
+  const bests = candidates.map((candidate, index) => records[index] ||
+    history.get(`${candidate.exercise}:${candidate.metric}`) || null);
+
+  const newRecords = candidates
+    .map((candidate, index) => ({ candidate, best: bests[index] }))
+    // Ending a session twice must not record its bests twice
+    .filter(({ candidate, best }) => !best ||
+      (!best.sessionId.equals(session._id) && isBetter(candidate.metric, candidate.value, best.value)))
+    .map(({ candidate, best }) => ({
+      userId: session.userId,
+      exercise: candidate.exercise,
+      metric: candidate.metric,
+      value: Math.round(candidate.value * 10) / 10,
+      unit: RECORD_METRICS[candidate.metric].unit,
+      previousValue: best ? Math.round(best.value * 10) / 10 : undefined,
+      sessionId: session._id,
+      setId: candidate.setId,
+      achievedAt: session.endTime || new Date()
+    }));
+
+  return newRecords.length > 0 ? PersonalRecord.insertMany(newRecords) : [];
+};
+
+module.exports = {
+  RECORD_METRICS,
+  collectCandidates,
+  bestsFromSessions,
+  checkSession
+};
@@ -0,0 +1,166 @@
+// Compact wire format for chunks of pose frames. Instead of an object per
+// landmark, each frame carries flat integer arrays:
+//
+//   {
+//     encoding: 'quantized',
+//     scale: 10000,               // coordinates are sent as round(value * scale)
+//     startTime: 1700000000000,   // epoch ms (or ISO string); frame `t` is relative to it
+//     landmarks: ['nose', ...],   // optional, defaults to LANDMARK_NAMES
+//     frames: [{ t: 33, k: [x, y, z, v, ...], w: [...], view, phase, repNumber }]
+//   }
+//
+// `k` holds image keypoints and `w` world keypoints, four values per landmark
+// in `landmarks` order. Visibility is sent as round(visibility * 100). Use
+// null for a missing value; a landmark whose x or y is null is dropped.
+
+const { LANDMARK_NAMES } = require('../models/poseFields');
+
+const DEFAULT_SCALE = 10000;
+const VISIBILITY_SCALE = 100;
+const VALUES_PER_LANDMARK = 4;
+
+// Largest chunk accepted in one request (30 seconds at 30 fps)
+const MAX_FRAMES_PER_CHUNK = 900;
+
+const FRAME_FIELDS = ['view', 'phase', 'repNumber', 'angles'];
+
+const toDate = (value) => {
+  if (value === undefined || value === null) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const decodeLandmarks = (values, names, scale) => {
+  if (!Array.isArray(values)) return undefined;
+
+  const landmarks = {};
+  names.forEach((name, index) => {
+    const [x, y, z, visibility] = values.slice(index * VALUES_PER_LANDMARK, (index + 1) * VALUES_PER_LANDMARK);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+
+    landmarks[name] = { x: x / scale, y: y / scale };
+    if (Number.isFinite(z)) landmarks[name].z = z / scale;
+    if (Number.isFinite(visibility)) landmarks[name].visibility = visibility / VISIBILITY_SCALE;
+  });
+
+  return landmarks;
+};
+
+const encodeLandmarks = (landmarks, names, scale) => {
+  if (!landmarks) return undefined;
+
+  const quantize = (value, factor) => (Number.isFinite(value) ? Math.round(value * factor) : null);
+  return names.flatMap(name => {
+    const point = landmarks[name];
+    if (!point) return [null, null, null, null];
+    return [
+      quantize(point.x, scale),
+      quantize(point.y, scale),
+      quantize(point.z, scale),
+      quantize(point.visibility, VISIBILITY_SCALE)
+    ];
+  });
+};
+
+const pickFrameFields = (frame) => FRAME_FIELDS.reduce((fields, field) => {
+  if (frame[field] !== undefined && frame[field] !== null) fields[field] = frame[field];
+  return fields;
+}, {});
+
+// Decode a chunk posted by a client, either quantized (see above) or as
+// `{ frames: [{ timestamp, keypoints, worldKeypoints, ... }] }`. Returns
+// `{ frames }` on success or `{ error }` describing what is wrong.
+const decodeChunk = (chunk) => {
+  if (!chunk || !Array.isArray(chunk.frames) || chunk.frames.length === 0) {
+    return { error: 'A non-empty frames array is required' };
+  }
+
+  if (chunk.frames.length > MAX_FRAMES_PER_CHUNK) {
+    return { error: `A chunk can hold at most ${MAX_FRAMES_PER_CHUNK} frames` };
+  }
+
+  if (chunk.encoding === undefined || chunk.encoding === 'json') {
+    const frames = [];
+    for (const frame of chunk.frames) {
+      const timestamp = toDate(frame && frame.timestamp);
+      if (!timestamp || !frame.keypoints) {
+        return { error: 'Every frame needs a timestamp and keypoints' };
+      }
+      frames.push({
+        timestamp,
+        keypoints: frame.keypoints,
+        worldKeypoints: frame.worldKeypoints,
+        ...pickFrameFields(frame)
+      });
+    }
+    return { frames };
+  }
+
+  if (chunk.encoding !== 'quantized') {
+    return { error: `Unknown frame encoding: ${chunk.encoding}` };
+  }
+
+  const scale = chunk.scale === undefined ? DEFAULT_SCALE : Number(chunk.scale);
+  const startTime = toDate(chunk.startTime);
+  const names = chunk.landmarks || LANDMARK_NAMES;
+
+  if (!Number.isFinite(scale) || scale <= 0) {
+    return { error: 'Scale must be a positive number' };
+  }
+  if (!startTime) {
+    return { error: 'Quantized chunks need a startTime' };
+  }
+  if (!Array.isArray(names) || names.some(name => !LANDMARK_NAMES.includes(name))) {
+    return { error: `Landmarks must be drawn from: ${LANDMARK_NAMES.join(', ')}` };
+  }
+
+  const frames = [];
+  for (const frame of chunk.frames) {
+    if (!frame || !Number.isFinite(frame.t) || !Array.isArray(frame.k)) {
+      return { error: 'Every quantized frame needs a time offset (t) and keypoint array (k)' };
+    }
+    if (frame.k.length !== names.length * VALUES_PER_LANDMARK ||
+      (frame.w && frame.w.length !== names.length * VALUES_PER_LANDMARK)) {
+      return { error: `Keypoint arrays must hold ${VALUES_PER_LANDMARK} values per landmark` };
+    }
+
+    frames.push({
+      timestamp: new Date(startTime.getTime() + frame.t),
+      keypoints: decodeLandmarks(frame.k, names, scale),
+      worldKeypoints: decodeLandmarks(frame.w, names, scale),
+      ...pickFrameFields(frame)
+    });
+  }
+
+  return { frames };
+};
+
+// Encode stored frames into the quantized format for compact responses.
+// Frame offsets are relative to `startTime`, by default the first frame.
+const encodeFrames = (frames, { scale = DEFAULT_SCALE, startTime: origin } = {}) => {
+  const startTime = origin !== undefined
+    ? new Date(origin).getTime()
+    : frames.length > 0 ? new Date(frames[0].timestamp).getTime() : Date.now();
+
+  return {
+    encoding: 'quantized',
+    scale,
+    startTime,
+    landmarks: LANDMARK_NAMES,
+    frames: frames.map(frame => ({
+      t: new Date(frame.timestamp).getTime() - startTime,
+      k: encodeLandmarks(frame.keypoints, LANDMARK_NAMES, scale),
+      w: frame.worldKeypoints && Object.keys(frame.worldKeypoints).length > 0
+        ? encodeLandmarks(frame.worldKeypoints, LANDMARK_NAMES, scale)
+        : undefined,
+      ...pickFrameFields(frame)
+    }))
+  };
+};
+
+module.exports = {
+  DEFAULT_SCALE,
+  MAX_FRAMES_PER_CHUNK,
+  decodeChunk,
+  encodeFrames
+};
@@ -0,0 +1,112 @@
+// Geometry helpers for pose landmarks. Angles use 3D vectors when every point
+// involved has a depth (z) value and fall back to the 2D image plane otherwise.
+
+const RADIANS_TO_DEGREES = 180 / Math.PI;
+
+// Shoulder-line yaw (degrees from facing the camera) that separates views
+const FRONT_VIEW_MAX_YAW = 25;
+const SIDE_VIEW_MIN_YAW = 60;
+
+// Without depth, shoulder width relative to torso length stands in for yaw:
+// shoulders look nearly as wide as the torso is long when facing the camera
+// and collapse to a point when side-on
+const FRONT_VIEW_MIN_RATIO = 0.55;
+const SIDE_VIEW_MAX_RATIO = 0.25;
+
+const hasDepth = (point) => Boolean(point) && Number.isFinite(point.z);
+
+const subtract = (a, b, use3d) => ({
+  x: a.x - b.x,
+  y: a.y - b.y,
+  z: use3d ? a.z - b.z : 0
+});
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+const magnitude = (v) => Math.sqrt(dot(v, v));
+
+const midpoint = (a, b) => ({
+  x: (a.x + b.x) / 2,
+  y: (a.y + b.y) / 2,
+  z: hasDepth(a) && hasDepth(b) ? (a.z + b.z) / 2 : undefined
+});
+
+// Angle at point2 formed by point1-point2-point3
+const calculateAngle = (point1, point2, point3, use3d = false) => {
+  const depth = use3d && [point1, point2, point3].every(hasDepth);
+  const vector1 = subtract(point1, point2, depth);
+  const vector2 = subtract(point3, point2, depth);
+
+  const angle = Math.acos(dot(vector1, vector2) / (magnitude(vector1) * magnitude(vector2))) * RADIANS_TO_DEGREES;
+  return isNaN(angle) ? 0 : angle;
+};
+
+// Lean of the hip-to-shoulder line from vertical (0 degrees = upright). The
+// y axis is vertical in both image and MediaPipe world coordinates.
+const torsoInclination = (landmarks, use3d = false) => {
+  const { left_shoulder, right_shoulder, left_hip, right_hip } = landmarks;
+  if (!left_shoulder || !right_shoulder || !left_hip || !right_hip) {
+    return null;
+  }
+
+  const shoulders = midpoint(left_shoulder, right_shoulder);
+  const hips = midpoint(left_hip, right_hip);
+  const depth = use3d && hasDepth(shoulders) && hasDepth(hips);
+  const torso = subtract(shoulders, hips, depth);
+  const horizontal = Math.sqrt(torso.x * torso.x + torso.z * torso.z);
+
+  return Math.atan2(horizontal, Math.abs(torso.y)) * RADIANS_TO_DEGREES;
+};
+
+// Pick the landmark set to measure angles from. MediaPipe world landmarks are
+// metric and camera-independent, so they give 3D angles when present. Image
+// keypoints always carry a z, but it is a rough depth relative to the hips on
+// the scale of x rather than a measured depth, so they give 2D angles.
+const selectLandmarks = (poseData) => {
+  const world = poseData.worldKeypoints;
+  if (world && Object.values(world).some(hasDepth)) {
+    return { landmarks: world, angleMode: '3d', source: 'world' };
+  }
+
+  return { landmarks: poseData.keypoints || {}, angleMode: '2d', source: 'image' };
+};
+
+// Classify the camera's view of the body as front, side or oblique. Returns
+// null when the shoulders or hips are missing.
+const detectView = (poseData) => {
+  const { landmarks, angleMode } = selectLandmarks(poseData);
+  const { left_shoulder, right_shoulder, left_hip, right_hip } = landmarks;
+
+  if (!left_shoulder || !right_shoulder) return null;
+
+  if (angleMode === '3d' && hasDepth(left_shoulder) && hasDepth(right_shoulder)) {
+    const shoulderLine = subtract(left_shoulder, right_shoulder, true);
+    const yaw = Math.atan2(Math.abs(shoulderLine.z), Math.abs(shoulderLine.x)) * RADIANS_TO_DEGREES;
+
+    if (yaw <= FRONT_VIEW_MAX_YAW) return 'front';
+    if (yaw >= SIDE_VIEW_MIN_YAW) return 'side';
+    return 'oblique';
+  }
+
+  if (!left_hip || !right_hip) return null;
+
+  const shoulderWidth = magnitude(subtract(left_shoulder, right_shoulder, false));
+  const torsoLength = magnitude(subtract(
+    midpoint(left_shoulder, right_shoulder),
+    midpoint(left_hip, right_hip),
+    false
+  ));
+  if (torsoLength === 0) return null;
+
+  const ratio = shoulderWidth / torsoLength;
+  if (ratio >= FRONT_VIEW_MIN_RATIO) return 'front';
+  if (ratio <= SIDE_VIEW_MAX_RATIO) return 'side';
+  return 'oblique';
+};
+
+module.exports = {
+  calculateAngle,
+  torsoInclination,
+  selectLandmarks,
+  detectView
+};
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Program = require('../models/Program');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const WorkoutSession = require('../models/WorkoutSession');
+const dates = require('../utils/dates');
+
+const PROGRESSION_FIELDS = {
+  reps: 'targetReps',
+  holdSeconds: 'targetHoldSeconds'
+};
+
+// A program's start date is a calendar day, stored as midnight UTC
+const startDayKey = (program) => dates.toDayKey(program.startDate);
+
+// The program week and day of week of a day key ('YYYY-MM-DD', see
+// utils/dates), and the template scheduled for it (null on rest days). Null
+// outside the program.
+const resolveProgramDay = (program, dayKey) => {
+  const dayIndex = dates.daysBetween(startDayKey(program), dayKey);
+  if (dayIndex < 0 || dayIndex >= program.weeks * 7) return null;
+
+  const week = Math.floor(dayIndex / 7) + 1;
+  const day = dates.dayKeyToDate(dayKey).getUTCDay();
+  const entry = program.schedule.find(scheduled => scheduled.day === day &&
+    (!scheduled.weeks || scheduled.weeks.length === 0 || scheduled.weeks.includes(week)));
+
+  return {
+    week,
+    day,
+    templateId: entry ? entry.templateId : null
+  };
+};
+
+// Form accuracy per program week and exercise, from the program's ended
+// sessions: { [week]: { [exercise]: accuracy } }
+const getWeeklyAccuracy = async (program) => {
+  const rows = await WorkoutSession.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(program.userId.toString()),
+        'program.programId': new mongoose.Types.ObjectId(program._id.toString()),
+        endTime: { $exists: true }
+      }
+    },
+    { $unwind: '$exerciseSummaries' },
+    {
+      $group: {
+        _id: { week: '$program.week', exercise: '$exerciseSummaries.exercise' },
+        totalReps: { $sum: '$exerciseSummaries.totalReps' },
+        correctReps: { $sum: '$exerciseSummaries.correctReps' },
+        formAccuracy: { $avg: '$exerciseSummaries.formAccuracy' }
+      }
+    }
+  ]);
+
+  return rows.reduce((weeks, row) => {
+    const { week, exercise } = row._id;
+    weeks[week] = weeks[week] || {};
+    // Rep exercises are scored on correct reps, holds on their average score
+    weeks[week][exercise] = row.totalReps > 0
+      ? Math.round((row.correctReps / row.totalReps) * 100)
+      : Math.round(row.formAccuracy || 0);
+    return weeks;
+  }, {});
+};
+
+// Raise the plan's targets for `week` by the program's progression rules:
+// each rule adds its increment once for every earlier week in which the
+// exercise's form accuracy reached the rule's threshold. Returns the new
+// plan and the adjustments made.
+const applyProgression = (plan, rules, weeklyAccuracy, week) => {
+  const progressed = JSON.parse(JSON.stringify(plan));
+  const adjustments = [];
+
+  progressed.blocks.forEach(block => {
+    block.exercises.forEach(entry => {
+      rules
+        .filter(rule => !rule.exercise || rule.exercise === entry.exercise)
+        .forEach(rule => {
+          const field = PROGRESSION_FIELDS[rule.metric || 'reps'];
+          if (!entry[field]) return;
+
+          let earned = 0;
+          for (let previous = 1; previous < week; previous++) {
+            const accuracy = weeklyAccuracy[previous]?.[entry.exercise];
+            if (accuracy !== undefined && accuracy >= rule.minFormAccuracy) earned += 1;
+          }
+          if (rule.maxIncrements) earned = Math.min(earned, rule.maxIncrements);
+          if (earned === 0) return;
+
+          entry[field] += earned * rule.increment;
+          adjustments.push({
+            exercise: entry.exercise,
+            metric: rule.metric || 'reps',
+            amount: earned * rule.increment
+          });
+        });
+    });
+  });
+
+  return { plan: progressed, adjustments };
+};
+
+// The workout a program schedules on a day key: the template with
+// progression applied, or a rest day. Null when the day is outside the
+// program. Sessions count towards the day in the user's time zone.
+const getProgramWorkout = async (program, dayKey, timeZone = 'UTC') => {
+  const programDay = resolveProgramDay(program, dayKey);
+  if (!programDay) return null;
+
+  const result = {
+    program: { _id: program._id, name: program.name, weeks: program.weeks },
+    week: programDay.week,
+    day: programDay.day,
+    restDay: !programDay.templateId,
+    template: null,
+    plan: null,
+    adjustments: [],
+    completed: false
+  };
+
+  if (!programDay.templateId) return result;
+
+  const [template, weeklyAccuracy, done] = await Promise.all([
+    WorkoutTemplate.findOne({ _id: programDay.templateId, userId: program.userId }).lean(),
+    getWeeklyAccuracy(program),
+    WorkoutSession.exists({
+      userId: program.userId,
+      'program.programId': program._id,
+      // The day in any time zone lies within a day either side of midnight UTC
+      startTime: {
+        $gte: dates.dayKeyToDate(dates.shiftDayKey(dayKey, -1)),
+        $lt: dates.dayKeyToDate(dates.shiftDayKey(dayKey, 2))
+      },
+      endTime: { $exists: true },
+      $expr: {
+        $eq: [{ $dateToString: { format: '%Y-%m-%d', date: '$startTime', timezone: timeZone } }, dayKey]
+      }
+    })
+  ]);
+
+  // The template was deleted after being scheduled
+  if (!template) {
+    result.restDay = true;
+    return result;
+  }
+
+  const { plan, adjustments } = applyProgression(template.plan, program.progression || [], weeklyAccuracy, programDay.week);
+  result.template = { _id: template._id, name: template.name, settings: template.settings };
+  result.plan = plan;
+  result.adjustments = adjustments;
+  result.completed = Boolean(done);
+  return result;
+};
+
+// The workout for a user on a day key (today in their time zone by
+// default): from their most recently started active program that covers
+// the day. Null when no program does.
+const getTodaysWorkout = async (userId, { timeZone = 'UTC', dayKey = dates.toDayKey(new Date(), timeZone) } = {}) => {
+  const programs = await Program.find({
+    userId,
+    active: true,
+    startDate: { $lte: dates.dayKeyToDate(dayKey) }
+  }).sort({ startDate: -1 });
+
+  const program = programs.find(candidate => resolveProgramDay(candidate, dayKey));
+  return program ? getProgramWorkout(program, dayKey, timeZone) : null;
+};
+
+module.exports = {
+  resolveProgramDay,
+  getWeeklyAccuracy,
+  applyProgression,
+  getProgramWorkout,
+  getTodaysWorkout
+};
@@ -0,0 +1,182 @@
+const WorkoutSession = require('../models/WorkoutSession');
+const { completedSessionsMatch } = require('./userStats');
+
+// Earlier sessions of the same exercise compared with the analysed one
+const DEFAULT_HISTORY_SIZE = 5;
+const MAX_HISTORY_SIZE = 20;
+
+const HISTORY_FIELDS = 'exercise startTime duration totalReps correctReps formAccuracy exerciseSummaries ' +
+  'sets.exercise sets.status sets.reps.errorTypes reps.errorTypes';
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// One session's figures for an exercise: totals from its exercise summary
+// when it has one, and how often each error appeared, as a percentage of reps
+const snapshotSession = (session, exercise) => {
+  const summary = (session.exerciseSummaries || []).find(entry => entry.exercise === exercise);
+  const reps = session.sets && session.sets.length > 0
+    ? session.sets
+      .filter(set => set.status === 'completed' && set.exercise === exercise)
+      .flatMap(set => set.reps || [])
+    : session.reps || [];
+
+  const errorCounts = {};
+  reps.forEach(rep => {
+    new Set(rep.errorTypes || []).forEach(errorType => {
+      errorCounts[errorType] = (errorCounts[errorType] || 0) + 1;
+    });
+  });
+
+  return {
+    sessionId: session._id,
+    date: session.startTime,
+    duration: session.duration || 0,
+    totalReps: summary ? summary.totalReps : session.totalReps || 0,
+    correctReps: summary ? summary.correctReps : session.correctReps || 0,
+    formAccuracy: summary ? summary.formAccuracy : session.formAccuracy || 0,
+    errorFrequency: Object.fromEntries(Object.entries(errorCounts)
+      .map(([errorType, count]) => [errorType, Math.round((count / reps.length) * 100)]))
+  };
+};
+
+// The user's completed sessions of the exercise before this one, newest first
+const getHistory = (session, exercise, historySize) => WorkoutSession.find({
+  ...completedSessionsMatch(session.userId),
+  _id: { $ne: session._id },
+  startTime: { $lt: session.startTime },
+  $and: [{ $or: [{ exercise }, { 'exerciseSummaries.exercise': exercise }] }]
+})
+  .sort({ startTime: -1 })
+  .limit(historySize)
+  .select(HISTORY_FIELDS)
+  .lean();
+
+// A metric's change against the previous session and the history's average
+const compareMetric = (current, previousValues) => {
+  const previous = previousValues.length > 0 ? previousValues[0] : null;
+  const mean = average(previousValues);
+  return {
+    current,
+    previous,
+    average: mean === null ? null : round(mean),
+    deltaFromPrevious: previous === null ? null : round(current - previous),
+    deltaFromAverage: mean === null ? null : round(current - mean)
+  };
+};
+
+// Changes in form accuracy, reps and error frequency between the session and
+// its history (newest first). Errors are listed largest change first.
+const buildTrend = (current, history) => {
+  const errorTypes = new Set([
+    ...Object.keys(current.errorFrequency),
+    ...history.flatMap(snapshot => Object.keys(snapshot.errorFrequency))
+  ]);
+
+  return {
+    sessions: history.length,
+    formAccuracy: compareMetric(current.formAccuracy, history.map(snapshot => snapshot.formAccuracy)),
+    totalReps: compareMetric(current.totalReps, history.map(snapshot => snapshot.totalReps)),
+    errorFrequency: [...errorTypes]
+      .map(errorType => ({
+        errorType,
+        ...compareMetric(
+          current.errorFrequency[errorType] || 0,
+          history.map(snapshot => snapshot.errorFrequency[errorType] || 0)
+        )
+      }))
+      .sort((a, b) => Math.abs(b.deltaFromAverage ?? b.current) - Math.abs(a.deltaFromAverage ?? a.current))
+  };
+};
+
+// Everything the AI coach needs to analyse a stored session against the
+// user's last `historySize` sessions of the same exercise
+const loadAnalysisContext = async (session, { historySize = DEFAULT_HISTORY_SIZE } = {}) => {
+  const exercise = session.exercise;
+  const current = snapshotSession(session, exercise);
+  const history = (await getHistory(session, exercise, Math.min(historySize, MAX_HISTORY_SIZE)))
+    .map(entry => snapshotSession(entry, exercise));
+
+  return {
+    sessionData: {
+      _id: session._id,
+      exercise,
+      totalReps: current.totalReps,
+      correctReps: current.correctReps,
+      formAccuracy: current.formAccuracy,
+      duration: session.duration || 0,
+      commonErrors: Object.entries(current.errorFrequency)
+        .sort(([, a], [, b]) => b - a)
+        .map(([errorType, percentage]) => `${errorType} (${percentage}% of reps)`)
+    },
+    history,
+    trend: buildTrend(current, history)
+  };
+};
+
+// The analysis saved on a session, in the shape AICoach returns
+const storedAnalysis = (session) => {
+  const { generatedAt, ...analysis } = session.aiAnalysis.toObject ? session.aiAnalysis.toObject() : session.aiAnalysis;
+  return {
+    ...analysis,
+    sessionId: session._id,
+    aiGenerated: true,
+    stored: true,
+    timestamp: generatedAt.toISOString()
+  };
+};
+
+/**
+ * Analyse a completed session against the user's history of the exercise,
+ * saving AI-generated analyses on the session so they are generated once.
+ * Fallback analyses are not saved.
+ * @param {AICoach} aiCoach - Coach to generate the analysis with
+ * @param {Object} session - Completed WorkoutSession document
+ * @param {Object} user - Owner of the session
+ * @param {Object} [options]
+ * @param {number} [options.historySize] - Earlier sessions to compare with (max MAX_HISTORY_SIZE)
+ * @param {boolean} [options.regenerate] - Replace a saved analysis
+ * @param {Function} [options.onText] - Streaming callbacks, see AICoach.generateValidated
+ * @param {Function} [options.onRepair]
+ * @param {AbortSignal} [options.signal] - Cancels generation, e.g. when a streaming client disconnects
+ * @returns {Promise<Object>} The analysis, with the trend it was based on
+ */
+const getSessionAnalysis = async (aiCoach, session, user, { historySize, regenerate = false, onText, onRepair, signal } = {}) => {
+  if (session.aiAnalysis?.generatedAt && !regenerate) {
+    return storedAnalysis(session);
+  }
+
+  const { sessionData, history, trend } = await loadAnalysisContext(session, { historySize });
+  const userProfile = {
+    id: user._id,
+    fitnessLevel: user.profile?.fitnessLevel || 'beginner',
+    totalWorkouts: user.stats?.totalWorkouts || 0
+  };
+
+  const analysis = await aiCoach.analyzeWorkoutSession(sessionData, userProfile, { history, trend, onText, onRepair, signal });
+
+  if (analysis.aiGenerated) {
+    const aiAnalysis = {
+      performance: analysis.performance,
+      keyStrengths: analysis.keyStrengths,
+      areasToImprove: analysis.areasToImprove,
+      progressIndicators: analysis.progressIndicators,
+      nextSessionFocus: analysis.nextSessionFocus,
+      motivationalMessage: analysis.motivationalMessage,
+      provider: analysis.provider,
+      trend,
+      generatedAt: new Date()
+    };
+    await WorkoutSession.updateOne({ _id: session._id }, { $set: { aiAnalysis } });
+  }
+
+  return { ...analysis, trend };
+};
+
+module.exports = {
+  DEFAULT_HISTORY_SIZE,
+  MAX_HISTORY_SIZE,
+  loadAnalysisContext,
+  getSessionAnalysis
+};
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const PoseFrame = require('../models/PoseFrame');
+const logger = require('../utils/logger');
+
+const DEFAULT_PAGE_SIZE = 300;
+const MAX_PAGE_SIZE = 1000;
+
+// Frame writes in progress per session, so reads for analysis can wait for
+// frames the pose stream has just flushed
+const pendingWrites = new Map();
+
+const trackWrite = (sessionId, write) => {
+  const key = sessionId.toString();
+  if (!pendingWrites.has(key)) pendingWrites.set(key, new Set());
+  pendingWrites.get(key).add(write);
+
+  const settle = () => {
+    const writes = pendingWrites.get(key);
+    writes.delete(write);
+    if (writes.size === 0) pendingWrites.delete(key);
+  };
+  write.then(settle, settle);
+  return write;
+};
+
+// Resolves once the session's frame writes in progress have finished
+const waitForPendingFrames = async (sessionId) => {
+  const writes = pendingWrites.get(sessionId.toString());
+  if (writes) await Promise.allSettled([...writes]);
+};
+
+// Sessions recorded before the PoseFrame collection existed keep their frames
+// in the embedded poseData array
+const legacyFrames = (session) => (session.poseData || [])
+  .map(frame => (frame.toObject ? frame.toObject() : frame))
+  .map(({ _id, ...frame }) => frame)
+  .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+// Keep the first frame of every 1/fps interval
+const downsample = (frames, fps) => {
+  const interval = 1000 / fps;
+  let lastBucket = null;
+
+  return frames.filter(frame => {
+    const bucket = Math.floor(new Date(frame.timestamp).getTime() / interval);
+    if (bucket === lastBucket) return false;
+    lastBucket = bucket;
+    return true;
+  });
+};
+
+// Every frame of a session in time order, for analysis, optionally limited
+// to the time range [from, to] (e.g. one set)
+const getAllSessionFrames = async (session, { from, to } = {}) => {
+  await waitForPendingFrames(session._id);
+  const stored = await PoseFrame.findForSession(session._id, { from, to });
+  if (stored.length > 0) return stored;
+
+  return legacyFrames(session).filter(frame => {
+    const time = new Date(frame.timestamp).getTime();
+    return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+  });
+};
+
+// One page of a session's frames, optionally downsampled to `fps` frames per
+// second before paging. `page` is 1-based.
+const getSessionFrames = async (session, { page = 1, limit = DEFAULT_PAGE_SIZE, fps } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const rate = fps === undefined || fps === null ? null : Number(fps);
+  const skip = (pageNumber - 1) * pageSize;
+  const sessionId = new mongoose.Types.ObjectId(session._id.toString());
+
+  let frames;
+  let total;
+
+  if (await PoseFrame.exists({ sessionId })) {
+    if (rate > 0) {
+      const [result] = await PoseFrame.aggregate([
+        { $match: { sessionId } },
+        { $sort: { timestamp: 1 } },
+        {
+          $group: {
+            _id: { $floor: { $divide: [{ $toLong: '$timestamp' }, 1000 / rate] } },
+            frame: { $first: '$$ROOT' }
+          }
+        },
+        { $replaceRoot: { newRoot: '$frame' } },
+        { $sort: { timestamp: 1 } },
+        { $project: { _id: 0, sessionId: 0 } },
+        {
+          $facet: {
+            items: [{ $skip: skip }, { $limit: pageSize }],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+      frames = result.items;
+      total = result.total.length > 0 ? result.total[0].count : 0;
+    } else {
+      [frames, total] = await Promise.all([
+        PoseFrame.find({ sessionId })
+          .sort({ timestamp: 1 })
+          .skip(skip)
+          .limit(pageSize)
+          .select('-_id -sessionId')
+          .lean(),
+        PoseFrame.countDocuments({ sessionId })
+      ]);
+    }
+  } else {
+    const all = rate > 0 ? downsample(legacyFrames(session), rate) : legacyFrames(session);
+    frames = all.slice(skip, skip + pageSize);
+    total = all.length;
+  }
+
+  return {
+    frames,
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize),
+      fps: rate > 0 ? rate : null
+    }
+  };
+};
+
+// Frames that fail validation are dropped and logged rather than failing the
+// whole chunk
+const insertFrames = async (sessionId, frames) => {
+  const documents = frames.map(frame => new PoseFrame({ ...frame, sessionId }));
+  const errors = documents.map(document => document.validateSync());
+  const valid = documents.filter((document, index) => !errors[index]);
+  const dropped = documents.length - valid.length;
+
+  if (dropped > 0) {
+    logger.warn(`Dropped ${dropped} of ${documents.length} pose frames for session ${sessionId}: ${errors.find(Boolean).message}`);
+  }
+
+  if (valid.length > 0) {
+    await PoseFrame.insertMany(valid, { ordered: false });
+  }
+  return { stored: valid.length, dropped };
+};
+
+// Store decoded frames for a session. Resolves { stored, dropped }.
+const recordFrames = (sessionId, frames) => trackWrite(sessionId, insertFrames(sessionId, frames));
+
+// Remove the stored frames of the given sessions
+const deleteSessionFrames = (sessionIds) => PoseFrame.deleteMany({ sessionId: { $in: sessionIds } });
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  getAllSessionFrames,
+  getSessionFrames,
+  recordFrames,
+  waitForPendingFrames,
+  deleteSessionFrames
+};
@@ -0,0 +1,186 @@
+const FormAnalyzer = require('./FormAnalyzer');
+const poseEncoding = require('./poseEncoding');
+const { LANDMARK_NAMES } = require('../models/poseFields');
+
+// Landmark pairs a client draws as bones
+const SKELETON_CONNECTIONS = [
+  ['nose', 'left_eye'], ['nose', 'right_eye'],
+  ['left_eye', 'left_ear'], ['right_eye', 'right_ear'],
+  ['left_shoulder', 'right_shoulder'],
+  ['left_shoulder', 'left_elbow'], ['left_elbow', 'left_wrist'],
+  ['right_shoulder', 'right_elbow'], ['right_elbow', 'right_wrist'],
+  ['left_shoulder', 'left_hip'], ['right_shoulder', 'right_hip'],
+  ['left_hip', 'right_hip'],
+  ['left_hip', 'left_knee'], ['left_knee', 'left_ankle'],
+  ['right_hip', 'right_knee'], ['right_knee', 'right_ankle']
+];
+
+// Time shown either side of a rep when seeking to it
+const SEEK_PADDING_MS = 500;
+
+const MAX_REPLAY_FPS = 60;
+
+const toTime = (value) => new Date(value).getTime();
+
+// Quantized skeletons with the per-frame scores and errors alongside
+const encodeTrack = (track, origin) => {
+  const encoded = poseEncoding.encodeFrames(track, { startTime: origin });
+  encoded.frames.forEach((frame, index) => {
+    frame.formScore = track[index].formScore;
+    frame.errors = track[index].errors;
+  });
+  return encoded;
+};
+
+// Stretches of the session analysed with one exercise, as indexes into
+// `frames`: each started set of a planned workout with the set's exercise
+// (frames between sets belong to none), or the whole session
+const analysisWindows = (session, frames) => {
+  if (!session.sets || session.sets.length === 0) {
+    return [{ set: null, exercise: session.exercise, indexes: frames.map((frame, index) => index) }];
+  }
+
+  return session.sets.filter(set => set.startTime).map(set => {
+    const from = toTime(set.startTime);
+    const to = set.endTime ? toTime(set.endTime) : Infinity;
+    return {
+      set,
+      exercise: set.exercise,
+      indexes: frames.map((frame, index) => index).filter(index => {
+        const time = toTime(frames[index].timestamp);
+        return time >= from && time <= to;
+      })
+    };
+  });
+};
+
+// Analyse each window with its own analyzer, so every set gets its
+// exercise's rules and fresh rep counting, and the user's mobility limits and
+// difficulty, as at the end of a set
+const analyzeWindows = (session, user, frames, windows) => {
+  const frameAnalyses = new Array(frames.length).fill(null);
+  const reps = [];
+
+  windows.forEach(({ set, exercise, indexes }) => {
+    if (indexes.length === 0) return;
+
+    const analyzer = new FormAnalyzer(exercise, FormAnalyzer.resolveOptions({ user, session }));
+    const analysis = analyzer.analyzeBatch(indexes.map(index => frames[index]));
+
+    indexes.forEach((frameIndex, position) => {
+      frameAnalyses[frameIndex] = analysis.frameAnalyses[position];
+    });
+    analysis.reps.forEach(record => reps.push({ ...record, setId: set ? set._id : undefined, exercise }));
+  });
+
+  return { frameAnalyses, reps };
+};
+
+// Build a replay of a recorded session: a skeleton track with the angles,
+// phase, rep number and form score of each frame, rep boundaries, and the
+// session's feedback events, all on one timeline of milliseconds since the
+// first frame. Planned workouts are analysed set by set, each with its own
+// exercise; rep numbers restart with each set. `fps` downsamples the track;
+// `rep` narrows everything to one rep, within the set `set` when given.
+// Frames are analysed at their full rate, with the session owner's settings
+// (`user`), so phases and reps match the stored analysis.
+const buildReplay = (session, frames, { user, fps, rep, set: setId, encoding } = {}) => {
+  const origin = frames.length > 0 ? toTime(frames[0].timestamp) : toTime(session.startTime);
+  const windows = analysisWindows(session, frames);
+  const { frameAnalyses, reps } = analyzeWindows(session, user, frames, windows);
+
+  const repBoundaries = reps.map(record => ({
+    setId: record.setId,
+    exercise: record.exercise,
+    repNumber: record.repNumber,
+    side: record.side,
+    start: toTime(record.startTime) - origin,
+    bottom: toTime(record.bottomTime) - origin,
+    end: toTime(record.endTime) - origin,
+    formScore: record.formScore,
+    errorTypes: record.errorTypes,
+    passed: record.passed
+  }));
+
+  let window = null;
+  if (rep !== undefined && rep !== null) {
+    const target = repBoundaries.find(boundary => boundary.repNumber === Number(rep) &&
+      (!setId || (boundary.setId && boundary.setId.toString() === setId.toString())));
+    if (!target) return null;
+    window = { start: target.start - SEEK_PADDING_MS, end: target.end + SEEK_PADDING_MS };
+  }
+  const inWindow = (t) => !window || (t >= window.start && t <= window.end);
+
+  const replayFps = fps ? Math.min(Number(fps), MAX_REPLAY_FPS) : null;
+  const interval = replayFps ? 1000 / replayFps : 0;
+  let lastBucket = null;
+  const track = [];
+
+  frames.forEach((frame, index) => {
+    const t = toTime(frame.timestamp) - origin;
+    if (!inWindow(t)) return;
+
+    if (interval > 0) {
+      const bucket = Math.floor(t / interval);
+      if (bucket === lastBucket) return;
+      lastBucket = bucket;
+    }
+
+    // Frames between the sets of a planned workout are not analysed
+    const analysis = frameAnalyses[index] || {};
+    track.push({
+      timestamp: frame.timestamp,
+      keypoints: frame.keypoints,
+      worldKeypoints: frame.worldKeypoints,
+      angles: analysis.angles,
+      view: analysis.view || undefined,
+      phase: analysis.phase,
+      repNumber: analysis.repNumber,
+      formScore: analysis.formScore,
+      errors: analysis.errors
+    });
+  });
+
+  const events = (session.feedbackLog || [])
+    .map(entry => ({
+      t: toTime(entry.timestamp) - origin,
+      repNumber: entry.repNumber,
+      errorType: entry.errorType,
+      severity: entry.severity,
+      message: entry.message,
+      correction: entry.correctionGiven
+    }))
+    .filter(event => inWindow(event.t))
+    .sort((a, b) => a.t - b.t);
+
+  return {
+    sessionId: session._id,
+    exercise: session.exercise,
+    startTime: new Date(origin),
+    duration: frames.length > 0 ? toTime(frames[frames.length - 1].timestamp) - origin : 0,
+    fps: replayFps,
+    seek: window ? { rep: Number(rep), set: setId || undefined, ...window } : null,
+    sets: windows.filter(entry => entry.set).map(({ set }) => ({
+      setId: set._id,
+      exercise: set.exercise,
+      setNumber: set.setNumber,
+      start: toTime(set.startTime) - origin,
+      end: set.endTime ? toTime(set.endTime) - origin : null
+    })),
+    skeleton: {
+      landmarks: LANDMARK_NAMES,
+      connections: SKELETON_CONNECTIONS
+    },
+    track: encoding === 'quantized'
+      ? encodeTrack(track, origin)
+      : track.map(({ timestamp, ...entry }) => ({ t: toTime(timestamp) - origin, ...entry })),
+    reps: repBoundaries.filter(boundary => !window || (boundary.end >= window.start && boundary.start <= window.end)),
+    events
+  };
+};
+
+module.exports = {
+  MAX_REPLAY_FPS,
+  SKELETON_CONNECTIONS,
+  buildReplay
+};
@@ -0,0 +1,40 @@
+const dates = require('../utils/dates');
+
+// Streaks count workout days. A day without a workout does not break the
+// streak while no seven consecutive days of it have missed more than
+// `restDaysPerWeek` days; today only counts as missed once it is over.
+const computeStreaks = (workoutDays, todayKey, restDaysPerWeek = 0) => {
+  const days = [...new Set(workoutDays)].sort();
+  if (days.length === 0) {
+    return { current: 0, longest: 0 };
+  }
+
+  const active = new Set(days);
+  let current = 0;
+  let longest = 0;
+  // Days missed by the current streak within the last seven days
+  let missed = [];
+
+  const lastDay = days[days.length - 1] > todayKey ? days[days.length - 1] : todayKey;
+  for (let day = days[0]; day <= lastDay; day = dates.shiftDayKey(day, 1)) {
+    if (active.has(day)) {
+      // Days missed before a streak started do not count against it
+      if (current === 0) missed = [];
+      current += 1;
+      longest = Math.max(longest, current);
+    } else if (day !== todayKey && current > 0) {
+      missed = missed.filter(missedDay => dates.daysBetween(missedDay, day) < 7);
+      missed.push(day);
+      if (missed.length > restDaysPerWeek) {
+        current = 0;
+        missed = [];
+      }
+    }
+  }
+
+  return { current, longest };
+};
+
+module.exports = {
+  computeStreaks
+};
@@ -0,0 +1,92 @@
+// Rep tempo helpers. A tempo is written eccentric-pause-concentric in seconds
+// ("3-1-1": three seconds lowering, one second paused at the turnaround, one
+// second lifting) and stored as { eccentric, pause, concentric }.
+
+const TEMPO_PHASES = ['eccentric', 'pause', 'concentric'];
+
+// How far (seconds) a phase may miss its target before it is flagged
+const DEFAULT_TEMPO_TOLERANCE = 0.5;
+
+const PHASE_NAMES = {
+  eccentric: 'lowering',
+  pause: 'pause',
+  concentric: 'lifting'
+};
+
+const CORRECTIONS = {
+  eccentric: {
+    fast: (goal) => `Control the lowering for about ${goal}s`,
+    slow: (goal) => `Lower a little quicker, in about ${goal}s`
+  },
+  pause: {
+    fast: (goal) => `Pause at the turnaround for about ${goal}s`,
+    slow: (goal) => `Shorten the pause at the turnaround to about ${goal}s`
+  },
+  concentric: {
+    fast: (goal) => `Lift more steadily, over about ${goal}s`,
+    slow: (goal) => `Drive up faster, in about ${goal}s`
+  }
+};
+
+// Parse "3-1-1" or { eccentric, pause, concentric } into a tempo object.
+// Returns null when the value is missing or malformed.
+const parseTempo = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  let parts;
+  if (typeof value === 'string') {
+    parts = value.split('-').map(part => (part.trim() === '' ? NaN : Number(part)));
+  } else if (typeof value === 'object') {
+    parts = TEMPO_PHASES.map(phase => Number(value[phase]));
+  } else {
+    return null;
+  }
+
+  if (parts.length !== TEMPO_PHASES.length || !parts.every(part => Number.isFinite(part) && part >= 0)) {
+    return null;
+  }
+
+  return TEMPO_PHASES.reduce((tempo, phase, index) => {
+    tempo[phase] = parts[index];
+    return tempo;
+  }, {});
+};
+
+const formatTempo = (tempo) => TEMPO_PHASES.map(phase => tempo[phase]).join('-');
+
+// Compare a rep's measured tempo with the target. Returns one entry per
+// phase that was too fast or too slow.
+const evaluateTempo = (tempo, target, tolerance = DEFAULT_TEMPO_TOLERANCE) => {
+  if (!tempo || !target) return [];
+
+  return TEMPO_PHASES.reduce((deviations, phase) => {
+    const actual = tempo[phase];
+    const goal = target[phase];
+    if (!Number.isFinite(actual) || !Number.isFinite(goal)) return deviations;
+
+    const difference = actual - goal;
+    if (Math.abs(difference) <= tolerance) return deviations;
+
+    const tooFast = difference < 0;
+    const name = PHASE_NAMES[phase];
+    deviations.push({
+      phase,
+      actual,
+      target: goal,
+      errorType: tooFast ? 'tempo_too_fast' : 'tempo_too_slow',
+      message: tooFast
+        ? `The ${name} took ${actual}s, faster than your ${goal}s target`
+        : `The ${name} took ${actual}s, slower than your ${goal}s target`,
+      correction: CORRECTIONS[phase][tooFast ? 'fast' : 'slow'](goal)
+    });
+    return deviations;
+  }, []);
+};
+
+module.exports = {
+  TEMPO_PHASES,
+  DEFAULT_TEMPO_TOLERANCE,
+  parseTempo,
+  formatTempo,
+  evaluateTempo
+};
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WorkoutSession = require('../models/WorkoutSession');
+const { computeStreaks } = require('./streaks');
+const dates = require('../utils/dates');
+
+// Sessions that count as workouts: ended, with reps or time held
+const completedSessionsMatch = (userId) => ({
+  userId: new mongoose.Types.ObjectId(userId.toString()),
+  endTime: { $exists: true },
+  $or: [{ totalReps: { $gt: 0 } }, { timeUnderTension: { $gt: 0 } }]
+});
+
+// Derive a user's aggregate stats from their sessions. Workout days are
+// calendar days in the user's time zone.
+const computeUserStats = async (user, now = new Date()) => {
+  const timeZone = user.preferences?.timeZone || 'UTC';
+  const todayKey = dates.toDayKey(now, timeZone);
+
+  const [totals] = await WorkoutSession.aggregate([
+    { $match: completedSessionsMatch(user._id) },
+    {
+      $group: {
+        _id: null,
+        totalWorkouts: { $sum: 1 },
+        totalReps: { $sum: '$totalReps' },
+        averageFormAccuracy: {
+          $avg: { $cond: [{ $gt: ['$formAccuracy', 0] }, '$formAccuracy', null] }
+        },
+        lastWorkout: { $max: '$startTime' },
+        workoutDays: {
+          $addToSet: { $dateToString: { format: '%Y-%m-%d', date: '$startTime', timezone: timeZone } }
+        }
+      }
+    }
+  ]);
+
+  const { current, longest } = computeStreaks(
+    totals ? totals.workoutDays : [],
+    todayKey,
+    user.preferences?.restDaysPerWeek || 0
+  );
+
+  return {
+    totalWorkouts: totals ? totals.totalWorkouts : 0,
+    totalReps: totals ? totals.totalReps : 0,
+    averageFormAccuracy: totals && totals.averageFormAccuracy
+      ? Math.round(totals.averageFormAccuracy * 10) / 10
+      : 0,
+    streakDays: current,
+    longestStreak: longest,
+    lastWorkout: totals ? totals.lastWorkout : undefined,
+    computedFor: todayKey
+  };
+};
+
+// Recompute and save a user's stats. Call after any change to their
+// sessions; accepts a user document or ID.
+const recomputeUserStats = async (userOrId, now = new Date()) => {
+  const user = userOrId instanceof User ? userOrId : await User.findById(userOrId);
+  if (!user) return null;
+
+  const stats = await computeUserStats(user, now);
+  Object.assign(user.stats, stats);
+
+  if (user.isModified()) {
+    await user.save();
+  }
+  return user.stats;
+};
+
+// Stats change with the user's sessions, which recompute them, and with the
+// date, as a streak lapses. Recompute only when the stats were computed for
+// an earlier day than today.
+const refreshUserStats = async (user, now = new Date()) => {
+  const todayKey = dates.toDayKey(now, user.preferences?.timeZone || 'UTC');
+
+  if (user.stats.computedFor === todayKey) {
+    return user.stats;
+  }
+  return recomputeUserStats(user, now);
+};
+
+// Recompute every user's stats, in batches. Returns the number of users.
+const backfillAllUserStats = async ({ batchSize = 100, onProgress } = {}) => {
+  let processed = 0;
+  const cursor = User.find().cursor({ batchSize });
+
+  for (let user = await cursor.next(); user; user = await cursor.next()) {
+    await recomputeUserStats(user);
+    processed += 1;
+    if (onProgress && processed % batchSize === 0) onProgress(processed);
+  }
+
+  return processed;
+};
+
+module.exports = {
+  completedSessionsMatch,
+  computeUserStats,
+  recomputeUserStats,
+  refreshUserStats,
+  backfillAllUserStats
+};
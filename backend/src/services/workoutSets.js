@@ -0,0 +1,196 @@
+const FormAnalyzer = require('./FormAnalyzer');
+const load = require('./load');
+
+// Expand a workout plan into its ordered sets. Blocks run in order; within a
+// block each round goes through the block's exercises once, so a two-exercise
+// superset with three rounds gives A1 B1 A2 B2 A3 B3.
+const buildSets = (plan) => {
+  const sets = [];
+  const setCounts = {};
+
+  (plan?.blocks || []).forEach((block, blockIndex) => {
+    for (let round = 1; round <= block.rounds; round++) {
+      block.exercises.forEach((entry, index) => {
+        setCounts[entry.exercise] = (setCounts[entry.exercise] || 0) + 1;
+        const lastInRound = index === block.exercises.length - 1;
+
+        sets.push({
+          block: blockIndex,
+          round,
+          exercise: entry.exercise,
+          setNumber: setCounts[entry.exercise],
+          targetReps: entry.targetReps,
+          targetHoldSeconds: entry.targetHoldSeconds,
+          restAfter: lastInRound ? block.restBetweenRounds : block.restBetweenExercises
+        });
+      });
+    }
+  });
+
+  // Nothing to rest for after the final set
+  if (sets.length > 0) {
+    sets[sets.length - 1].restAfter = 0;
+  }
+
+  return sets;
+};
+
+const countErrors = (errorLists) => {
+  const counts = {};
+  errorLists.forEach(errors => {
+    new Set(errors).forEach(errorType => {
+      counts[errorType] = (counts[errorType] || 0) + 1;
+    });
+  });
+
+  return Object.entries(counts)
+    .sort(([, a], [, b]) => b - a)
+    .map(([errorType, count]) => ({ errorType, count }));
+};
+
+// Volume load and estimated one-rep max (kg) from a set's load and reps
+const updateLoadMetrics = (set, user) => {
+  const weightKg = set.load?.weightKg;
+  if (!weightKg || !set.totalReps) {
+    set.volumeLoad = undefined;
+    set.estimatedOneRepMax = undefined;
+    return set;
+  }
+
+  const rir = set.rir ?? load.rirFromRpe(set.rpe) ?? 0;
+  set.volumeLoad = Math.round(weightKg * set.totalReps * 10) / 10;
+  set.estimatedOneRepMax = load.estimateOneRepMax(weightKg, set.totalReps, {
+    formula: user?.preferences?.oneRepMaxFormula,
+    rir
+  }) ?? undefined;
+  return set;
+};
+
+// Record the load and effort entered for a set; fields left out are kept
+const setLoad = (set, { load: entered, rpe, rir }, user) => {
+  if (entered !== undefined) set.load = load.normalizeLoad(entered || {}, user) || undefined;
+  if (rpe !== undefined) set.rpe = rpe === null ? undefined : rpe;
+  if (rir !== undefined) set.rir = rir === null ? undefined : rir;
+  return updateLoadMetrics(set, user);
+};
+
+// Reps recorded live by the pose stream
+const applyLiveReps = (set, user) => {
+  const reps = set.reps.map(rep => (rep.toObject ? rep.toObject() : rep));
+  set.totalReps = reps.length;
+  set.correctReps = reps.filter(rep => rep.passed).length;
+  set.formAccuracy = reps.length > 0 ? Math.round((set.correctReps / reps.length) * 100) : 0;
+  set.timeUnderTension = Math.round(reps.reduce((sum, rep) => sum + (rep.timeUnderTension || 0), 0) * 10) / 10;
+  set.commonErrors = countErrors(reps.map(rep => rep.errorTypes || []));
+  return updateLoadMetrics(set, user);
+};
+
+// Analyse the frames recorded during a set with FormAnalyzer and store the
+// results on the set. Without frames, or when the stored frames yield fewer
+// reps than the pose stream recorded live (frames not yet written), the live
+// reps are kept.
+const applySetAnalysis = (session, set, frames, user) => {
+  if (frames.length === 0) {
+    return applyLiveReps(set, user);
+  }
+
+  const analyzer = new FormAnalyzer(set.exercise, FormAnalyzer.resolveOptions({ user, session }));
+  const analysis = analyzer.analyzeBatch(frames);
+
+  if (analysis.hold) {
+    set.reps = [];
+    set.totalReps = 0;
+    set.correctReps = 0;
+    set.holdTime = analysis.hold.holdTime;
+    set.timeUnderTension = analysis.hold.timeUnderTension;
+    set.formAccuracy = analysis.hold.tensionScore;
+    set.commonErrors = countErrors(analysis.frameAnalyses.map(frame => frame.errors));
+    return updateLoadMetrics(set, user);
+  }
+
+  if (analysis.reps.length < set.reps.length) {
+    return applyLiveReps(set, user);
+  }
+
+  set.reps = analysis.reps;
+  set.totalReps = analysis.reps.length;
+  set.correctReps = analysis.reps.filter(rep => rep.passed).length;
+  set.formAccuracy = set.totalReps > 0 ? Math.round((set.correctReps / set.totalReps) * 100) : 0;
+  set.timeUnderTension = analysis.timeUnderTension || 0;
+  set.commonErrors = countErrors(analysis.reps.map(rep => rep.errorTypes));
+  return updateLoadMetrics(set, user);
+};
+
+// Per-exercise totals over the completed sets
+const summarizeExercises = (sets) => {
+  const summaries = new Map();
+
+  sets.filter(set => set.status === 'completed').forEach(set => {
+    const summary = summaries.get(set.exercise) || {
+      exercise: set.exercise,
+      sets: 0,
+      totalReps: 0,
+      correctReps: 0,
+      timeUnderTension: 0,
+      holdTime: 0,
+      volumeLoad: 0,
+      estimatedOneRepMax: 0,
+      accuracyTotal: 0
+    };
+
+    summary.sets += 1;
+    summary.totalReps += set.totalReps || 0;
+    summary.correctReps += set.correctReps || 0;
+    summary.timeUnderTension += set.timeUnderTension || 0;
+    summary.accuracyTotal += set.formAccuracy || 0;
+    summary.holdTime = Math.max(summary.holdTime, set.holdTime || 0);
+    summary.volumeLoad += set.volumeLoad || 0;
+    summary.estimatedOneRepMax = Math.max(summary.estimatedOneRepMax, set.estimatedOneRepMax || 0);
+    summaries.set(set.exercise, summary);
+  });
+
+  // Rep exercises are scored on correct reps; hold exercises on the average
+  // of their sets' scores
+  return [...summaries.values()].map(({ accuracyTotal, ...summary }) => ({
+    ...summary,
+    timeUnderTension: Math.round(summary.timeUnderTension * 10) / 10,
+    holdTime: summary.holdTime || undefined,
+    volumeLoad: summary.volumeLoad > 0 ? Math.round(summary.volumeLoad * 10) / 10 : undefined,
+    estimatedOneRepMax: summary.estimatedOneRepMax || undefined,
+    formAccuracy: summary.totalReps > 0
+      ? Math.round((summary.correctReps / summary.totalReps) * 100)
+      : Math.round(accuracyTotal / summary.sets)
+  }));
+};
+
+// Roll completed sets up into the session's totals and exercise summaries
+const rollUpSets = (session) => {
+  const summaries = summarizeExercises(session.sets);
+
+  session.exerciseSummaries = summaries;
+  session.totalReps = summaries.reduce((sum, summary) => sum + summary.totalReps, 0);
+  session.completedReps = session.totalReps;
+  session.correctReps = summaries.reduce((sum, summary) => sum + summary.correctReps, 0);
+  session.timeUnderTension = Math.round(summaries.reduce((sum, summary) => sum + summary.timeUnderTension, 0) * 10) / 10;
+
+  if (session.totalReps === 0 && summaries.length > 0) {
+    session.formAccuracy = Math.round(summaries.reduce((sum, summary) => sum + summary.formAccuracy, 0) / summaries.length);
+  }
+
+  return session;
+};
+
+// Rest owed after a set ends
+const getRest = (set) => ({
+  seconds: set.restAfter || 0,
+  endsAt: new Date(set.endTime.getTime() + (set.restAfter || 0) * 1000)
+});
+
+module.exports = {
+  buildSets,
+  applySetAnalysis,
+  setLoad,
+  summarizeExercises,
+  rollUpSets,
+  getRest
+};
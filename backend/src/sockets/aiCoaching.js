@@ -0,0 +1,111 @@
+const AICoach = require('../services/AICoach');
+const sessionAnalysis = require('../services/sessionAnalysis');
+const WorkoutSession = require('../models/WorkoutSession');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+// Streamed AI coaching over the socket. A request carries a client-chosen
+// requestId, echoed on every event it produces:
+//
+//   ai-delta   { requestId, text }      partial reply text
+//   ai-retry   { requestId, reason }    text so far failed validation; discard it
+//   ai-result  { requestId, ... }       the structured reply, always last
+//   ai-error   { requestId, message }
+
+const profileFor = (user) => ({
+  id: user._id,
+  fitnessLevel: user.profile?.fitnessLevel || 'beginner',
+  age: user.profile?.age,
+  goals: user.profile?.goals || [],
+  totalWorkouts: user.stats?.totalWorkouts || 0
+});
+
+const streamHandlers = (emit) => ({
+  onText: text => emit('ai-delta', { text }),
+  onRepair: reason => emit('ai-retry', { reason })
+});
+
+const registerCoachingSocket = (io) => {
+  io.on('connection', (socket) => {
+    const aiCoach = new AICoach();
+    // Session analyses in flight, aborted when the socket disconnects so the
+    // provider requests are cancelled
+    const analyses = new Set();
+
+    // Analyse a completed session against the user's history, as
+    // POST /api/analysis/ai-session-analysis; the result is { analysis }
+    socket.on('ai-session-analysis', async (data = {}) => {
+      const { requestId = null, sessionId, history, regenerate = false } = data;
+      const emit = (event, payload) => socket.emit(event, { requestId, ...payload });
+      const controller = new AbortController();
+      analyses.add(controller);
+
+      try {
+        // Same bounds as the HTTP route
+        if (history !== undefined &&
+            !(Number.isInteger(history) && history >= 1 && history <= sessionAnalysis.MAX_HISTORY_SIZE)) {
+          throw new Error(`History must be between 1 and ${sessionAnalysis.MAX_HISTORY_SIZE} sessions`);
+        }
+
+        const session = sessionId ? await WorkoutSession.findById(sessionId) : null;
+
+        if (!session) {
+          throw new Error('Workout session not found');
+        }
+
+        if (session.userId.toString() !== socket.user.id) {
+          throw new Error('Not authorized to analyze this session');
+        }
+
+        if (!session.endTime) {
+          throw new Error('Workout session has not ended yet');
+        }
+
+        // Reload the user: socket.user was loaded when the socket connected,
+        // so its stats may be out of date
+        const user = await User.findById(socket.user.id);
+        const analysis = await sessionAnalysis.getSessionAnalysis(aiCoach, session, user, {
+          historySize: history,
+          regenerate: regenerate === true,
+          ...streamHandlers(emit),
+          signal: controller.signal
+        });
+        emit('ai-result', { analysis });
+
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        logger.warn(`AI session analysis stream error for ${socket.id}: ${error.message}`);
+        emit('ai-error', { message: error.message });
+      } finally {
+        analyses.delete(controller);
+      }
+    });
+
+    // Coaching for a pose analysis (as sent in pose-feedback); the result is
+    // { coaching }
+    socket.on('ai-coaching', async (data = {}) => {
+      const { requestId = null, exercise, analysis } = data;
+      const emit = (event, payload) => socket.emit(event, { requestId, ...payload });
+
+      try {
+        if (!exercise || !analysis) {
+          throw new Error('Exercise and pose analysis are required');
+        }
+
+        const coaching = await aiCoach.generateCoachingFeedback(analysis, profileFor(socket.user), exercise, streamHandlers(emit));
+        emit('ai-result', { coaching });
+
+      } catch (error) {
+        logger.warn(`AI coaching stream error for ${socket.id}: ${error.message}`);
+        emit('ai-error', { message: error.message });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      analyses.forEach(controller => controller.abort());
+      analyses.clear();
+    });
+  });
+};
+
+module.exports = registerCoachingSocket;
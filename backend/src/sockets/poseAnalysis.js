@@ -0,0 +1,228 @@
+const FormAnalyzer = require('../services/FormAnalyzer');
+const WorkoutSession = require('../models/WorkoutSession');
+const sessionFrames = require('../services/sessionFrames');
+const { validatePoseFilter } = require('../middleware/poseFilterValidators');
+const logger = require('../utils/logger');
+
+// Frames streamed to a session are written in chunks of this size
+const FRAME_FLUSH_SIZE = 30;
+
+// How often a planned workout's stream checks which set is in progress
+const ACTIVE_SET_CHECK_MS = 1000;
+
+// Resolve the exercise for a stream and check that the user owns the session
+const loadStreamState = async (socket, { sessionId, exercise, difficulty, filter, targetTempo }) => {
+  let session = null;
+  let setId = null;
+
+  // Same bounds as the HTTP analysis routes
+  const checked = await validatePoseFilter(filter);
+  if (checked.errors.length > 0) {
+    throw new Error(checked.errors[0].msg);
+  }
+
+  if (sessionId) {
+    session = await WorkoutSession.findById(sessionId).select('userId exercise settings sets');
+
+    if (!session) {
+      throw new Error('Workout session not found');
+    }
+
+    if (session.userId.toString() !== socket.user.id) {
+      throw new Error('Not authorized to stream to this session');
+    }
+
+    // Planned workouts stream into the set in progress
+    if (session.sets.length > 0) {
+      const activeSet = session.getActiveSet();
+      if (!activeSet) {
+        throw new Error('Start a set before streaming to this session');
+      }
+      setId = activeSet._id;
+      exercise = activeSet.exercise;
+    } else {
+      exercise = session.exercise;
+    }
+  }
+
+  if (!exercise) {
+    throw new Error('Session ID or exercise type is required');
+  }
+
+  return {
+    sessionId: sessionId || null,
+    setId,
+    checkedAt: Date.now(),
+    exercise,
+    pendingFrames: [],
+    analyzer: new FormAnalyzer(exercise, FormAnalyzer.resolveOptions({
+      user: socket.user,
+      session,
+      difficulty,
+      filter: checked.filter,
+      targetTempo
+    }))
+  };
+};
+
+// Write buffered frames of a session stream to the PoseFrame collection
+const flushFrames = (state) => {
+  if (!state.sessionId || state.pendingFrames.length === 0) return;
+
+  const frames = state.pendingFrames;
+  state.pendingFrames = [];
+  sessionFrames.recordFrames(state.sessionId, frames)
+    .catch(error => logger.error('Record streamed frames error:', error));
+};
+
+// Buffer a streamed frame, with the analysis results worth replaying. The
+// buffer is written every FRAME_FLUSH_SIZE frames and whenever a rep
+// completes, so ending a set right after its last rep finds the rep's frames
+// stored.
+const bufferFrame = (state, poseData, feedback) => {
+  if (!state.sessionId) return;
+
+  state.pendingFrames.push({
+    timestamp: poseData.timestamp ? new Date(poseData.timestamp) : new Date(),
+    keypoints: poseData.keypoints,
+    worldKeypoints: poseData.worldKeypoints,
+    angles: feedback.angles,
+    view: feedback.view || undefined,
+    phase: feedback.phase,
+    repNumber: feedback.repNumber
+  });
+
+  if (state.pendingFrames.length >= FRAME_FLUSH_SIZE || feedback.completedRep) {
+    flushFrames(state);
+  }
+};
+
+// Flush and drop streams; failed lookups are skipped
+const closeStreams = (streams, keys) => {
+  keys.forEach(key => {
+    streams.get(key).then(flushFrames, () => {});
+    streams.delete(key);
+  });
+};
+
+const processPoseData = (state, poseData) => {
+  const analysis = state.analyzer.analyzeFrame(poseData);
+
+  return {
+    timestamp: analysis.timestamp,
+    sessionId: state.sessionId,
+    exercise: state.exercise,
+    angles: analysis.angles,
+    view: analysis.view,
+    angleMode: analysis.angleMode,
+    phase: analysis.phase,
+    difficulty: analysis.difficulty,
+    repNumber: analysis.repNumber,
+    repCount: analysis.repCount || 0,
+    completedRep: analysis.completedRep || null,
+    side: analysis.side,
+    repsBySide: analysis.repsBySide,
+    hold: analysis.hold,
+    tempoDeviations: analysis.tempoDeviations,
+    formScore: analysis.formScore,
+    isGoodForm: analysis.isGoodForm,
+    feedback: analysis.feedback,
+    corrections: analysis.corrections,
+    errors: analysis.errors,
+    notAssessed: analysis.notAssessed,
+    unreliableAngles: analysis.unreliableAngles,
+    rejectedKeypoints: analysis.rejectedKeypoints,
+    frameQuality: analysis.frameQuality
+  };
+};
+
+const streamKey = ({ sessionId, exercise }) => sessionId || exercise;
+
+// Sets of a planned workout are started and ended through the HTTP routes,
+// so the stream re-resolves the set in progress at most every
+// ACTIVE_SET_CHECK_MS. When it has changed the stream starts over for the new
+// set, with fresh rep counting and the new set's exercise.
+const currentState = async (socket, streams, key, data) => {
+  let state = await streams.get(key);
+  const otherSet = (setId) => Boolean(data.setId && setId) && data.setId.toString() !== setId.toString();
+
+  if (state.setId && (Date.now() - state.checkedAt >= ACTIVE_SET_CHECK_MS || otherSet(state.setId))) {
+    state.checkedAt = Date.now();
+    const session = await WorkoutSession.findById(state.sessionId).select('sets._id sets.status');
+    const activeSet = session && session.getActiveSet();
+
+    if (!activeSet || !activeSet._id.equals(state.setId)) {
+      flushFrames(state);
+      streams.set(key, loadStreamState(socket, data));
+      state = await streams.get(key);
+    }
+  }
+
+  // Clients that send setId must be streaming the set in progress
+  if (otherSet(state.setId)) {
+    throw new Error('Pose data is for a set that is not in progress');
+  }
+
+  return state;
+};
+
+const registerPoseSocket = (io) => {
+  io.on('connection', (socket) => {
+    logger.info(`Client connected: ${socket.id} (user ${socket.user.id})`);
+
+    // One analyzer per workout session (or per exercise for ad-hoc streams),
+    // replaced when a planned workout moves to its next set. Entries hold the
+    // loading promise so frames that arrive before the session lookup
+    // finishes share the same state.
+    const streams = new Map();
+
+    socket.on('pose-data', async (data = {}) => {
+      const key = streamKey(data);
+
+      try {
+        if (!streams.has(key)) {
+          streams.set(key, loadStreamState(socket, data));
+        }
+
+        const state = await currentState(socket, streams, key, data);
+        const poseData = data.poseData || data;
+
+        if (!poseData.keypoints) {
+          throw new Error('Pose keypoints are required');
+        }
+
+        const feedback = processPoseData(state, poseData);
+        socket.emit('pose-feedback', feedback);
+        bufferFrame(state, poseData, feedback);
+
+        if (state.sessionId && feedback.completedRep) {
+          WorkoutSession.recordRep(state.sessionId, feedback.completedRep, state.setId)
+            .catch(error => logger.error('Record rep error:', error));
+        }
+
+      } catch (error) {
+        // Drop failed lookups so the client can retry with corrected data
+        if (key && streams.has(key)) {
+          streams.get(key).catch(() => streams.delete(key));
+        }
+        logger.warn(`Pose stream error for ${socket.id}: ${error.message}`);
+        socket.emit('pose-error', {
+          sessionId: data.sessionId || null,
+          message: error.message
+        });
+      }
+    });
+
+    socket.on('end-stream', (data = {}) => {
+      const key = streamKey(data);
+      if (streams.has(key)) closeStreams(streams, [key]);
+    });
+
+    socket.on('disconnect', () => {
+      closeStreams(streams, [...streams.keys()]);
+      logger.info(`Client disconnected: ${socket.id}`);
+    });
+  });
+};
+
+module.exports = registerPoseSocket;
@@ -0,0 +1,51 @@
+// Calendar-day helpers. Days are handled as 'YYYY-MM-DD' keys in a user's
+// IANA time zone (e.g. 'Europe/Berlin'), so a workout at 23:30 local time
+// counts for that day wherever the server runs.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The calendar day `date` falls on in `timeZone`, as 'YYYY-MM-DD'
+const toDayKey = (date, timeZone = 'UTC') => {
+  if (!formatters.has(timeZone)) {
+    // en-CA formats dates as YYYY-MM-DD
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone).format(new Date(date));
+};
+
+// Midnight UTC of a day key; its getUTCDay() is the key's day of the week
+const dayKeyToDate = (dayKey) => new Date(`${dayKey}T00:00:00Z`);
+
+// The day key `days` days after (or, negative, before) a day key
+const shiftDayKey = (dayKey, days) => new Date(dayKeyToDate(dayKey).getTime() + days * DAY_MS)
+  .toISOString()
+  .slice(0, 10);
+
+// Whole days from one day key to another
+const daysBetween = (fromKey, toKey) => Math.round((dayKeyToDate(toKey) - dayKeyToDate(fromKey)) / DAY_MS);
+
+module.exports = {
+  DAY_MS,
+  isValidTimeZone,
+  toDayKey,
+  dayKeyToDate,
+  shiftDayKey,
+  daysBetween
+};
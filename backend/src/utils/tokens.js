@@ -0,0 +1,29 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// Used when JWT_SECRET is not set; set JWT_SECRET in production
+const DEVELOPMENT_JWT_SECRET = 'your-super-secret-jwt-key-change-this-in-production';
+
+const getJwtSecret = () => process.env.JWT_SECRET || DEVELOPMENT_JWT_SECRET;
+
+// Verify a token and load its user. Resolves to null when the user no longer
+// exists; invalid and expired tokens reject with jsonwebtoken's errors (see
+// tokenErrorMessage).
+const verifyToken = async (token) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+  return User.findById(decoded.id);
+};
+
+// Client-facing message for a token that failed verification, or null when
+// the error is not about the token
+const tokenErrorMessage = (error) => {
+  if (error.name === 'TokenExpiredError') return 'Token has expired';
+  if (error.name === 'JsonWebTokenError') return 'Token is not valid';
+  return null;
+};
+
+module.exports = {
+  getJwtSecret,
+  verifyToken,
+  tokenErrorMessage
+};
@@ -0,0 +1,148 @@
+const AICoach = require('../src/services/AICoach');
+const aiUsage = require('../src/services/aiUsage');
+const { MockProvider } = require('../src/services/llmProviders');
+
+const analysisData = {
+  phase: 'bottom',
+  errors: ['shallow_depth'],
+  feedback: ['Go deeper in your squat'],
+  angles: { left_knee_angle: 103.2, right_knee_angle: 106.9 },
+  formScore: 72
+};
+const profile = (id) => ({ id, fitnessLevel: 'beginner' });
+const sessionData = { exercise: 'squat', totalReps: 10, formAccuracy: 85 };
+
+// Mock provider whose replies come from a list, one per call
+class ScriptedProvider extends MockProvider {
+  constructor(replies) {
+    super();
+    this.replies = replies;
+    this.prompts = [];
+  }
+
+  async generate(prompt) {
+    this.prompts.push(prompt);
+    return { text: this.replies.shift(), provider: this.name, model: this.model };
+  }
+}
+
+describe('AICoach', () => {
+  const capacity = aiUsage.config.capacity;
+
+  beforeEach(() => {
+    aiUsage.reset();
+    aiUsage.config.capacity = capacity;
+  });
+
+  afterAll(() => {
+    aiUsage.config.capacity = capacity;
+  });
+
+  test('generates validated coaching feedback', async () => {
+    const coach = new AICoach({ provider: new MockProvider() });
+    const feedback = await coach.generateCoachingFeedback(analysisData, profile('user-1'), 'squat');
+
+    expect(feedback).toMatchObject({
+      feedback: ['Keep your chest up and control the movement.'],
+      formRating: 'good',
+      priority: 'medium',
+      aiGenerated: true,
+      provider: { name: 'mock', model: 'mock-coach-1' }
+    });
+  });
+
+  test('shares cached coaching between users with the same context', async () => {
+    const coach = new AICoach({ provider: new MockProvider() });
+    await coach.generateCoachingFeedback(analysisData, profile('user-1'), 'squat');
+    const cached = await coach.generateCoachingFeedback({ ...analysisData, formScore: 71 }, profile('user-2'), 'squat');
+
+    expect(cached.cached).toBe(true);
+    expect(aiUsage.getUsage('user-2')).toMatchObject({ requests: 1, cacheHits: 1, providerCalls: 0 });
+  });
+
+  test('does not share coaching between frames with different measurements', async () => {
+    const coach = new AICoach({ provider: new MockProvider() });
+    await coach.generateCoachingFeedback(analysisData, profile('user-1'), 'squat');
+    const fresh = await coach.generateCoachingFeedback({ ...analysisData, formScore: 45 }, profile('user-2'), 'squat');
+
+    expect(fresh.cached).toBeFalsy();
+    expect(aiUsage.getUsage('user-2')).toMatchObject({ requests: 1, cacheHits: 0, providerCalls: 1 });
+  });
+
+  test('builds the coaching prompt only from the cached context', () => {
+    const coach = new AICoach({ provider: new MockProvider() });
+    const context = aiUsage.coachingContext('squat', analysisData, { ...profile('user-1'), age: 34, goals: ['strength'] });
+    const prompt = coach.buildCoachingPrompt(context);
+
+    expect(prompt).toContain('Fitness Level: beginner');
+    expect(prompt).toContain('Form Score: 70/100');
+    expect(prompt).toContain('{"left_knee_angle":105,"right_knee_angle":105}');
+    expect(prompt).toContain('Current Feedback: Go deeper in your squat');
+    expect(prompt).toContain('Form Errors: shallow_depth');
+    expect(prompt).not.toContain('34');
+    expect(prompt).not.toContain('strength');
+  });
+
+  test('streams the reply it validates', async () => {
+    const coach = new AICoach({ provider: new MockProvider() });
+    const pieces = [];
+    const result = await coach.generateValidated('prompt', 'session_analysis', { onText: piece => pieces.push(piece) });
+
+    expect(pieces.length).toBeGreaterThan(1);
+    expect(pieces.join('')).toBe(result.generated.text);
+    expect(result.value.performance).toBe('good');
+  });
+
+  test('asks for a repair when a reply fails validation', async () => {
+    const provider = new ScriptedProvider([
+      '{"performance": "stellar"}',
+      '{"performance": "great", "keyStrengths": ["Steady tempo"]}'
+    ]);
+    const coach = new AICoach({ provider });
+    const repairs = [];
+    const result = await coach.generateValidated('prompt', 'session_analysis', { onRepair: error => repairs.push(error) });
+
+    expect(result.repaired).toBe(true);
+    expect(result.value).toMatchObject({ performance: 'excellent', keyStrengths: ['Steady tempo'] });
+    expect(repairs).toHaveLength(1);
+    expect(provider.prompts[1]).toContain('{"performance": "stellar"}');
+  });
+
+  test('falls back when replies stay invalid after a repair', async () => {
+    const coach = new AICoach({ provider: new ScriptedProvider(['no json', 'still no json']) });
+    const analysis = await coach.analyzeWorkoutSession(sessionData, profile('user-1'));
+
+    expect(analysis).toMatchObject({
+      aiGenerated: false,
+      provider: { name: 'fallback', model: null },
+      fallbackReason: 'invalid_output',
+      validationError: 'Response contains no JSON object'
+    });
+  });
+
+  test('falls back without a provider', async () => {
+    const coach = new AICoach({ provider: null });
+    const feedback = await coach.generateCoachingFeedback(analysisData, profile('user-1'), 'squat');
+
+    expect(feedback).toMatchObject({ aiGenerated: false, fallbackReason: 'not_configured', formRating: 'needs_improvement' });
+  });
+
+  test('falls back when the user is out of AI budget', async () => {
+    aiUsage.config.capacity = 1;
+    const coach = new AICoach({ provider: new MockProvider() });
+    await coach.analyzeWorkoutSession(sessionData, profile('user-1'));
+    const analysis = await coach.analyzeWorkoutSession(sessionData, profile('user-1'));
+
+    expect(analysis.fallbackReason).toBe('rate_limited');
+    expect(analysis.retryAfterMs).toBeGreaterThan(0);
+  });
+
+  test('falls back when the request is aborted', async () => {
+    const coach = new AICoach({ provider: new MockProvider() });
+    const controller = new AbortController();
+    controller.abort();
+    const analysis = await coach.analyzeWorkoutSession(sessionData, profile('user-1'), { signal: controller.signal });
+
+    expect(analysis).toMatchObject({ aiGenerated: false, fallbackReason: 'provider_error' });
+  });
+});
@@ -0,0 +1,61 @@
+const FormAnalyzer = require('../src/services/FormAnalyzer');
+
+// Side-on squat keypoints with both knees at the given angle
+const squatKeypoints = (kneeAngle) => {
+  const shin = (180 - kneeAngle) * Math.PI / 180;
+  const keypoints = {};
+
+  ['left', 'right'].forEach((side, i) => {
+    const x = 0.5 + i * 0.01;
+    keypoints[`${side}_shoulder`] = { x, y: 0.2, visibility: 0.9 };
+    keypoints[`${side}_hip`] = { x, y: 0.5, visibility: 0.9 };
+    keypoints[`${side}_knee`] = { x, y: 0.7, visibility: 0.9 };
+    keypoints[`${side}_ankle`] = { x: x + 0.2 * Math.sin(shin), y: 0.7 + 0.2 * Math.cos(shin), visibility: 0.9 };
+  });
+
+  return keypoints;
+};
+
+describe('FormAnalyzer visibility gating', () => {
+  test('keeps angles from occluded landmarks out of the analysis', () => {
+    const keypoints = squatKeypoints(95);
+    keypoints.left_ankle.visibility = 0.2;
+    const measurement = new FormAnalyzer('squat').measurePose({ keypoints });
+
+    expect(measurement.angles.left_knee_angle).toBeUndefined();
+    expect(measurement.allAngles.left_knee_angle).toBeCloseTo(95);
+    expect(measurement.unreliableAngles).toContain('left_knee_angle');
+    expect(measurement.angleConfidence.left_knee_angle).toBe(0.2);
+    expect(measurement.frameQuality).toMatchObject({ inFrame: false, occludedLandmarks: ['left_ankle'] });
+  });
+
+  test('reports a rule on unreliable angles as not assessed instead of scoring it', () => {
+    const analyzer = new FormAnalyzer('squat');
+    const allAngles = { left_knee_angle: 95, right_knee_angle: 130, back_angle: 10 };
+    const angles = { right_knee_angle: 130, back_angle: 10 };
+
+    const feedback = analyzer.evaluateForm(angles, 'bottom', { allAngles });
+
+    expect(feedback.notAssessed).toContainEqual({ rule: 'knee_alignment', reason: 'low_confidence' });
+    expect(feedback.errors).not.toContain('knees_inward');
+    expect(Number.isFinite(feedback.score)).toBe(true);
+  });
+
+  test('tells missing landmarks apart from low confidence', () => {
+    const analyzer = new FormAnalyzer('squat');
+    const angles = { right_knee_angle: 130, back_angle: 10 };
+
+    const feedback = analyzer.evaluateForm(angles, 'bottom', { allAngles: angles });
+
+    expect(feedback.notAssessed).toContainEqual({ rule: 'knee_alignment', reason: 'missing_landmarks' });
+  });
+
+  test('honours a custom visibility threshold', () => {
+    const keypoints = squatKeypoints(95);
+    keypoints.left_ankle.visibility = 0.2;
+    const measurement = new FormAnalyzer('squat', { visibilityThreshold: 0.1 }).measurePose({ keypoints });
+
+    expect(measurement.angles.left_knee_angle).toBeCloseTo(95);
+    expect(measurement.unreliableAngles).toEqual([]);
+  });
+});
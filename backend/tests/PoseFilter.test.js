@@ -0,0 +1,82 @@
+const PoseFilter = require('../src/services/PoseFilter');
+
+const FRAME_MS = 33;
+
+// Left leg with the ankle at the given position; hip to knee and knee to
+// ankle are both 0.2 long when the ankle is at (0.5, 0.9)
+const leg = (ankle = { x: 0.5, y: 0.9 }) => ({
+  left_hip: { x: 0.5, y: 0.5, visibility: 0.9 },
+  left_knee: { x: 0.5, y: 0.7, visibility: 0.9 },
+  left_ankle: { ...ankle, visibility: 0.9 }
+});
+
+const frame = (index, ankle) => ({ keypoints: leg(ankle), timestamp: index * FRAME_MS });
+
+describe('PoseFilter', () => {
+  test('holds a keypoint that would stretch its bone as a spike', () => {
+    const filter = new PoseFilter({ method: 'none' });
+    filter.filter(frame(0));
+
+    const spiked = filter.filter(frame(1, { x: 0.5, y: 1.3 }));
+
+    expect(spiked.rejectedKeypoints).toEqual(['left_ankle']);
+    expect(spiked.keypoints.left_ankle).toMatchObject({ x: 0.5, y: 0.9, visibility: 0.9 });
+  });
+
+  test('accepts a new bone length after maxRejectedFrames', () => {
+    const filter = new PoseFilter({ method: 'none', maxRejectedFrames: 2 });
+    filter.filter(frame(0));
+
+    const results = [1, 2, 3].map(index => filter.filter(frame(index, { x: 0.5, y: 1.3 })));
+
+    expect(results.map(result => result.rejectedKeypoints)).toEqual([['left_ankle'], ['left_ankle'], []]);
+    expect(results[2].keypoints.left_ankle.y).toBeCloseTo(1.3);
+  });
+
+  test('smooths keypoints with an exponential moving average', () => {
+    const filter = new PoseFilter({ method: 'ema', alpha: 0.25 });
+    filter.filter(frame(0));
+
+    const smoothed = filter.filter(frame(1, { x: 0.6, y: 0.9 }));
+
+    expect(smoothed.rejectedKeypoints).toEqual([]);
+    expect(smoothed.keypoints.left_ankle.x).toBeCloseTo(0.525);
+  });
+
+  test('damps jitter at rest with the One Euro filter', () => {
+    const filter = new PoseFilter();
+    const xs = [0.5, 0.51, 0.49, 0.51, 0.49, 0.51];
+    const filtered = xs.map((x, index) => filter.filter(frame(index, { x, y: 0.9 })).keypoints.left_ankle.x);
+
+    filtered.slice(1).forEach(x => {
+      expect(Math.abs(x - 0.5)).toBeLessThan(0.005);
+    });
+  });
+
+  test('keeps default options for unset fields', () => {
+    const filter = new PoseFilter({ method: undefined, beta: null, alpha: 0.3 });
+
+    expect(filter.options).toMatchObject({ method: 'one_euro', beta: PoseFilter.DEFAULT_OPTIONS.beta, alpha: 0.3 });
+  });
+
+  test('rejects an unknown method', () => {
+    expect(() => new PoseFilter({ method: 'kalman' })).toThrow('Unknown pose filter method: kalman');
+  });
+});
+
+describe('validatePoseFilter', () => {
+  const { validatePoseFilter } = require('../src/middleware/poseFilterValidators');
+
+  test('sanitizes valid parameters', async () => {
+    const { errors, filter } = await validatePoseFilter({ method: 'ema', alpha: '0.4' });
+
+    expect(errors).toEqual([]);
+    expect(filter).toEqual({ method: 'ema', alpha: 0.4 });
+  });
+
+  test('rejects parameters outside their bounds', async () => {
+    const { errors } = await validatePoseFilter({ minCutoff: 0, alpha: 2, maxRejectedFrames: 1000 });
+
+    expect(errors.map(error => error.path).sort()).toEqual(['filter.alpha', 'filter.maxRejectedFrames', 'filter.minCutoff']);
+  });
+});
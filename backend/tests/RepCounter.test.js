@@ -0,0 +1,119 @@
+const RepCounter = require('../src/services/RepCounter');
+
+const FRAME_MS = 33;
+
+// Squat reps are counted on the average knee angle
+const knees = (angle) => ({ left_knee_angle: angle, right_knee_angle: angle });
+
+// Frames for one rep: stand, lower to `depth` over a second, hold, stand up
+const repAngles = (depth, { standFrames = 15, pauseFrames = 15 } = {}) => [
+  ...new Array(standFrames).fill(170),
+  ...Array.from({ length: 31 }, (_, i) => 170 - (170 - depth) * i / 30),
+  ...new Array(pauseFrames).fill(depth),
+  ...Array.from({ length: 31 }, (_, i) => depth + (170 - depth) * i / 30)
+];
+
+const run = (counter, angles) => angles.map((angle, i) => counter.update(knees(angle), i * FRAME_MS));
+
+describe('RepCounter', () => {
+  test('counts a full squat and records its depth and tempo', () => {
+    const counter = new RepCounter('squat');
+    const statuses = run(counter, [...repAngles(80), ...new Array(15).fill(170)]);
+    const completed = statuses.filter(status => status.completedRep).map(status => status.completedRep);
+
+    expect(counter.repCount).toBe(1);
+    expect(completed).toHaveLength(1);
+    expect(completed[0]).toMatchObject({ repNumber: 1, depth: 80, rangeOfMotion: 90 });
+    expect(completed[0].tempo.eccentric).toBeCloseTo(1, 0);
+    expect(completed[0].tempo.pause).toBeCloseTo(0.5, 0);
+    expect(completed[0].tempo.concentric).toBeCloseTo(1, 0);
+  });
+
+  test('reports the exercise phase names', () => {
+    const counter = new RepCounter('squat');
+    const phases = new Set(run(counter, repAngles(80)).map(status => status.phase));
+
+    expect([...phases]).toEqual(['starting', 'descending', 'bottom', 'ascending']);
+  });
+
+  test('counts a rep that never reaches the bottom zone as partial', () => {
+    const counter = new RepCounter('squat');
+    run(counter, [...repAngles(80), ...repAngles(120), ...repAngles(80), ...new Array(15).fill(170)]);
+
+    expect(counter.repCount).toBe(2);
+    expect(counter.partialReps).toBe(1);
+    expect(counter.reps.map(rep => rep.repNumber)).toEqual([1, 2]);
+  });
+
+  test('does not change phase on brief jitter across a threshold', () => {
+    const counter = new RepCounter('squat');
+    const jitter = Array.from({ length: 30 }, (_, i) => (i % 2 === 0 ? 172 : 145));
+    const statuses = run(counter, [...new Array(15).fill(170), ...jitter]);
+
+    expect(statuses.every(status => status.phase === 'starting')).toBe(true);
+    expect(counter.repCount).toBe(0);
+  });
+
+  test('ignores frames without the counted angle', () => {
+    const counter = new RepCounter('squat');
+    run(counter, new Array(10).fill(170));
+    const status = counter.update({}, 10 * FRAME_MS);
+
+    expect(status.phase).toBe('starting');
+    expect(status.primaryAngle).toBe(170);
+  });
+
+  test('starts over after reset', () => {
+    const counter = new RepCounter('squat');
+    run(counter, [...repAngles(80), ...new Array(15).fill(170)]);
+    counter.reset();
+
+    expect(counter.repCount).toBe(0);
+    expect(counter.reps).toEqual([]);
+    expect(counter.getPhase()).toBe('unknown');
+  });
+
+  test('only supports exercises scored in reps', () => {
+    expect(RepCounter.supports('squat')).toBe(true);
+    expect(RepCounter.supports('plank')).toBe(false);
+    expect(() => new RepCounter('plank')).toThrow('No rep profile for exercise: plank');
+  });
+});
+
+describe('FormAnalyzer single-frame phase', () => {
+  const FormAnalyzer = require('../src/services/FormAnalyzer');
+
+  // Side-on squat keypoints with the given knee angle
+  const squatPose = (kneeAngle, timestamp) => {
+    const shin = (180 - kneeAngle) * Math.PI / 180;
+    const side = (x) => ({
+      shoulder: { x, y: 0.2, visibility: 1 },
+      hip: { x, y: 0.5, visibility: 1 },
+      knee: { x, y: 0.7, visibility: 1 },
+      ankle: { x: x + 0.2 * Math.sin(shin), y: 0.7 + 0.2 * Math.cos(shin), visibility: 1 }
+    });
+    const keypoints = {};
+    ['left', 'right'].forEach((name, i) => {
+      Object.entries(side(0.5 + i * 0.01)).forEach(([joint, point]) => {
+        keypoints[`${name}_${joint}`] = point;
+      });
+    });
+    return { keypoints, timestamp };
+  };
+
+  test('cannot tell the way up from the way down without earlier frames', () => {
+    const analyzer = new FormAnalyzer('squat');
+
+    expect(analyzer.analyzePose(squatPose(140, 0)).phase).toBe('descending');
+  });
+
+  test('reports ascending once primed with the frames before it', () => {
+    const analyzer = new FormAnalyzer('squat');
+    const angles = repAngles(80).slice(0, -8);
+    const frames = angles.map((angle, i) => squatPose(angle, i * FRAME_MS));
+    analyzer.primeFilter(frames.slice(0, -1));
+
+    const { phase } = analyzer.analyzePose(frames[frames.length - 1]);
+    expect(phase).toBe('ascending');
+  });
+});
@@ -0,0 +1,149 @@
+const EventEmitter = require('events');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const WorkoutSession = require('../src/models/WorkoutSession');
+const sessionAnalysis = require('../src/services/sessionAnalysis');
+const analysisRoutes = require('../src/routes/analysis');
+const registerCoachingSocket = require('../src/sockets/aiCoaching');
+const { getJwtSecret } = require('../src/utils/tokens');
+
+const userId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+
+// Stand-in for a provider that streams until it is cancelled: sends one
+// piece of text, then settles only when the signal aborts
+const streamUntilAborted = () => {
+  let resolveAborted;
+  const aborted = new Promise(resolve => { resolveAborted = resolve; });
+
+  jest.spyOn(sessionAnalysis, 'getSessionAnalysis').mockImplementation((aiCoach, session, user, { onText, signal }) => {
+    onText('Solid ');
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        resolveAborted(signal.reason);
+        reject(signal.reason);
+      });
+    });
+  });
+
+  return aborted;
+};
+
+beforeEach(() => {
+  jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, id: userId.toString(), profile: {}, stats: {} });
+  jest.spyOn(WorkoutSession, 'findById').mockResolvedValue({
+    _id: sessionId,
+    userId,
+    endTime: new Date('2026-10-19T08:30:00Z')
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /api/analysis/ai-session-analysis/stream', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/analysis', analysisRoutes);
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    // Drop the client's idle keep-alive connections so close returns at once
+    server.closeAllConnections();
+    server.close(done);
+  });
+
+  const stream = (signal) => fetch(`${baseUrl}/api/analysis/ai-session-analysis/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${jwt.sign({ id: userId.toString() }, getJwtSecret())}`
+    },
+    body: JSON.stringify({ sessionId: sessionId.toString() }),
+    signal
+  });
+
+  test('streams deltas and ends with the result', async () => {
+    jest.spyOn(sessionAnalysis, 'getSessionAnalysis').mockImplementation(async (aiCoach, session, user, { onText }) => {
+      onText('Solid ');
+      onText('session.');
+      return { performance: 'good' };
+    });
+
+    const res = await stream();
+    const body = await res.text();
+
+    expect(res.headers.get('content-type')).toMatch('text/event-stream');
+    expect(body).toBe([
+      'event: delta\ndata: {"text":"Solid "}\n\n',
+      'event: delta\ndata: {"text":"session."}\n\n',
+      'event: result\ndata: {"success":true,"analysis":{"performance":"good"}}\n\n'
+    ].join(''));
+  });
+
+  test('cancels the analysis when the client disconnects', async () => {
+    const aborted = streamUntilAborted();
+    const client = new AbortController();
+
+    const res = await stream(client.signal);
+    const reader = res.body.getReader();
+    const { value } = await reader.read();
+    expect(Buffer.from(value).toString()).toContain('event: delta');
+
+    client.abort();
+    await expect(aborted).resolves.toBeDefined();
+  });
+});
+
+describe('ai-session-analysis socket event', () => {
+  const connect = () => {
+    const io = new EventEmitter();
+    registerCoachingSocket(io);
+
+    const socket = new EventEmitter();
+    socket.id = 'socket-1';
+    socket.user = { id: userId.toString() };
+    socket.sent = [];
+    socket.emit = (event, payload) => socket.sent.push([event, payload]);
+    io.emit('connection', socket);
+    return socket;
+  };
+
+  test('cancels the analysis when the socket disconnects', async () => {
+    const aborted = streamUntilAborted();
+    const socket = connect();
+
+    const handled = socket.listeners('ai-session-analysis')[0]({ requestId: 'r1', sessionId: sessionId.toString() });
+    await new Promise(resolve => setImmediate(resolve));
+    socket.listeners('disconnect')[0]();
+
+    await expect(aborted).resolves.toBeDefined();
+    await handled;
+    // Nothing is sent to a socket that has gone
+    expect(socket.sent).toEqual([['ai-delta', { requestId: 'r1', text: 'Solid ' }]]);
+  });
+
+  test('rejects a history size the HTTP route would reject', async () => {
+    const analyse = jest.spyOn(sessionAnalysis, 'getSessionAnalysis');
+    const socket = connect();
+
+    await socket.listeners('ai-session-analysis')[0]({ requestId: 'r2', sessionId: sessionId.toString(), history: 0 });
+    await socket.listeners('ai-session-analysis')[0]({
+      requestId: 'r3',
+      sessionId: sessionId.toString(),
+      history: sessionAnalysis.MAX_HISTORY_SIZE + 1
+    });
+
+    expect(analyse).not.toHaveBeenCalled();
+    expect(socket.sent.map(([event, payload]) => [event, payload.requestId])).toEqual([['ai-error', 'r2'], ['ai-error', 'r3']]);
+  });
+});
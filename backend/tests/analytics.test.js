@@ -0,0 +1,159 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../src/models/User');
+const WorkoutSession = require('../src/models/WorkoutSession');
+const analyticsSummary = require('../src/services/analyticsSummary');
+const workoutRoutes = require('../src/routes/workouts');
+const { getJwtSecret } = require('../src/utils/tokens');
+
+const userId = new mongoose.Types.ObjectId();
+const token = jwt.sign({ id: userId.toString() }, getJwtSecret());
+
+const app = express();
+app.use(express.json());
+app.use('/api/workouts', workoutRoutes);
+
+// The stages of one facet of the summary aggregation
+const facet = (pipeline, name) => pipeline.find(stage => stage.$facet).$facet[name];
+
+describe('buildSummary', () => {
+  let aggregate;
+
+  beforeEach(() => {
+    aggregate = jest.spyOn(WorkoutSession, 'aggregate').mockResolvedValue([{ totals: {}, exercises: [] }]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const from = new Date('2026-09-01T00:00:00Z');
+  const to = new Date('2026-10-01T00:00:00Z');
+
+  test('compares with the period of equal length just before', async () => {
+    const summary = await analyticsSummary.buildSummary(userId, { from, to });
+    const [match] = aggregate.mock.calls[0][0];
+
+    expect(summary.previousRange).toEqual({ from: new Date('2026-08-02T00:00:00Z'), to: from });
+    expect(match.$match.startTime).toEqual({ $gte: new Date('2026-08-02T00:00:00Z'), $lt: to });
+  });
+
+  test('buckets weeks from Monday in the user time zone', async () => {
+    const summary = await analyticsSummary.buildSummary(userId, { from, to, bucket: 'week', timeZone: 'Europe/Berlin' });
+    const pipeline = aggregate.mock.calls[0][0];
+    const group = facet(pipeline, 'trend').find(stage => stage.$group).$group;
+
+    expect(group._id).toEqual({
+      $dateTrunc: { date: '$startTime', unit: 'week', timezone: 'Europe/Berlin', startOfWeek: 'monday' }
+    });
+    expect(summary.range).toMatchObject({ bucket: 'week', timeZone: 'Europe/Berlin' });
+  });
+
+  test('buckets error counts like the trend', async () => {
+    await analyticsSummary.buildSummary(userId, { from, to, bucket: 'month', timeZone: 'Asia/Tokyo' });
+    const pipeline = aggregate.mock.calls[0][0];
+    const group = facet(pipeline, 'errors').find(stage => stage.$group).$group;
+
+    expect(group._id.start).toEqual({ $dateTrunc: { date: '$startTime', unit: 'month', timezone: 'Asia/Tokyo' } });
+  });
+});
+
+describe('GET /api/workouts/analytics/summary', () => {
+  let buildSummary;
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockResolvedValue({
+      _id: userId,
+      id: userId.toString(),
+      preferences: { timeZone: 'Europe/Berlin' }
+    });
+    buildSummary = jest.spyOn(analyticsSummary, 'buildSummary').mockResolvedValue({ totals: {}, exercises: [] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const summary = (query) => request(app)
+    .get('/api/workouts/analytics/summary')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  test('uses a custom range in the user time zone', async () => {
+    const res = await summary({ from: '2026-09-01', to: '2026-10-01' });
+
+    expect(res.status).toBe(200);
+    expect(buildSummary).toHaveBeenCalledWith(userId.toString(), {
+      from: new Date('2026-09-01T00:00:00Z'),
+      to: new Date('2026-10-01T00:00:00Z'),
+      bucket: 'week',
+      timeZone: 'Europe/Berlin'
+    });
+  });
+
+  test('buckets long ranges by month unless a bucket is given', async () => {
+    await summary({ period: '365d' });
+    await summary({ period: '365d', bucket: 'week' });
+
+    expect(buildSummary.mock.calls.map(([, options]) => options.bucket)).toEqual(['month', 'week']);
+  });
+
+  test('rejects a range that runs backwards', async () => {
+    const res = await summary({ from: '2026-10-01', to: '2026-09-01' });
+
+    expect(res.status).toBe(400);
+    expect(buildSummary).not.toHaveBeenCalled();
+  });
+
+  test('rejects an unknown bucket', async () => {
+    const res = await summary({ bucket: 'day' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Bucket must be week or month');
+  });
+});
+
+describe('getActivity', () => {
+  const activity = require('../src/services/activity');
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('fills every day of the range in the user time zone', async () => {
+    const aggregate = jest.spyOn(WorkoutSession, 'aggregate').mockResolvedValue([
+      { _id: '2026-10-17', workouts: 1, totalReps: 20, correctReps: 18, duration: 600, avgFormAccuracy: 90, exercises: ['squat'] }
+    ]);
+    // Already Monday 2026-10-19 in Auckland
+    const now = new Date('2026-10-18T12:00:00Z');
+
+    const result = await activity.getActivity(userId, { days: 3, timeZone: 'Pacific/Auckland', now });
+
+    expect(result).toMatchObject({ from: '2026-10-17', to: '2026-10-19', timeZone: 'Pacific/Auckland' });
+    expect(result.activity.map(day => [day.date, day.workouts])).toEqual([
+      ['2026-10-17', 1], ['2026-10-18', 0], ['2026-10-19', 0]
+    ]);
+    const group = aggregate.mock.calls[0][0].find(stage => stage.$group).$group;
+    expect(group._id.$dateToString.timezone).toBe('Pacific/Auckland');
+  });
+});
+
+describe('scoreDays', () => {
+  const { scoreDays, INTENSITY_LEVELS } = require('../src/services/activity');
+
+  const day = (fields) => ({ workouts: 1, totalReps: 0, duration: 0, avgFormAccuracy: 0, ...fields });
+  const days = [
+    day({ totalReps: 100, duration: 1800, avgFormAccuracy: 90 }),
+    day({ totalReps: 25, duration: 450, avgFormAccuracy: 60 }),
+    day({ workouts: 0 })
+  ];
+
+  test('combines volume, time and form relative to the busiest day', () => {
+    const scored = scoreDays(days);
+
+    expect(scored.map(entry => entry.score)).toEqual([0.97, 0.37, 0]);
+    expect(scored.map(entry => entry.intensity)).toEqual([INTENSITY_LEVELS, 2, 0]);
+  });
+
+  test('scores one metric at a time', () => {
+    expect(scoreDays(days, 'reps').map(entry => entry.intensity)).toEqual([4, 1, 0]);
+    // Form is absolute: 90% reaches the top level, 60% the second
+    expect(scoreDays(days, 'form').map(entry => entry.intensity)).toEqual([4, 2, 0]);
+  });
+});
@@ -0,0 +1,64 @@
+const { validateResponse } = require('../src/services/coachResponses');
+
+describe('validateResponse', () => {
+  test('accepts a coaching reply wrapped in prose and a code fence', () => {
+    const reply = 'Here is my feedback:\n```json\n{"primaryFeedback": "Sit back into your hips.", "technicalCues": ["Knees out"]}\n```';
+
+    expect(validateResponse('coaching', reply)).toEqual({
+      value: {
+        primaryFeedback: 'Sit back into your hips.',
+        technicalCues: ['Knees out'],
+        formRating: 'good',
+        priority: 'medium'
+      }
+    });
+  });
+
+  test('coerces enum variants and drops unknown keys', () => {
+    const { value } = validateResponse('coaching', JSON.stringify({
+      primaryFeedback: 'Good depth',
+      formRating: 'Needs Improvement',
+      priority: 'urgent',
+      confidence: 0.9
+    }));
+
+    expect(value.formRating).toBe('needs_improvement');
+    expect(value.priority).toBe('high');
+    expect(value).not.toHaveProperty('confidence');
+  });
+
+  test('ignores braces inside strings when finding the object', () => {
+    const { value } = validateResponse('session_analysis', '{"performance": "ok", "nextSessionFocus": "Use {tempo} 3-1-1"} trailing }');
+
+    expect(value.performance).toBe('average');
+    expect(value.nextSessionFocus).toBe('Use {tempo} 3-1-1');
+  });
+
+  test('converts numbers given as strings', () => {
+    const { value } = validateResponse('recommendations', JSON.stringify({
+      exercises: [{ name: 'squat', sets: '3', reps: 10 }],
+      loadProgression: [{ exercise: 'squat', weight: '62.5', unit: 'kgs' }]
+    }));
+
+    expect(value.exercises[0].sets).toBe(3);
+    expect(value.loadProgression[0]).toEqual({ exercise: 'squat', weight: 62.5, unit: 'kg' });
+  });
+
+  test('reports every problem in an invalid reply', () => {
+    const { error } = validateResponse('coaching', '{"formRating": "stellar", "priority": "whenever"}');
+
+    expect(error).toMatch(/primaryFeedback/);
+    expect(error).toMatch(/formRating/);
+    expect(error).toMatch(/priority/);
+  });
+
+  test('reports replies without a complete JSON object', () => {
+    expect(validateResponse('coaching', 'No feedback today').error).toBe('Response contains no JSON object');
+    expect(validateResponse('coaching', '{"primaryFeedback": "Cut off').error).toBe('Response JSON object is incomplete');
+    expect(validateResponse('coaching', '{primaryFeedback: 1}').error).toMatch(/malformed/);
+  });
+
+  test('throws for a task without a schema', () => {
+    expect(() => validateResponse('unknown', '{}')).toThrow('No response schema for task "unknown"');
+  });
+});
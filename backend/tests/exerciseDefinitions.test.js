@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const exerciseDefinitions = require('../src/services/exerciseDefinitions');
+
+const squat = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'src', 'exercises', 'squat.json'), 'utf8'));
+
+describe('loadDefinitions', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'exercises-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const write = (file, content) => {
+    fs.writeFileSync(path.join(directory, file), typeof content === 'string' ? content : JSON.stringify(content));
+  };
+
+  test('loads every definition in the directory by id', () => {
+    write('squat.json', squat);
+    write('notes.txt', 'not a definition');
+
+    const definitions = exerciseDefinitions.loadDefinitions(directory);
+
+    expect(Object.keys(definitions)).toEqual(['squat']);
+    expect(definitions.squat.phaseDetection.phases[0]).toEqual({ phase: 'starting', above: 160 });
+    expect(Object.isFrozen(definitions.squat)).toBe(true);
+  });
+
+  test('rejects a file that is not JSON', () => {
+    write('squat.json', '{ "id": "squat",');
+
+    expect(() => exerciseDefinitions.loadDefinitions(directory)).toThrow('Invalid exercise definition squat.json');
+  });
+
+  test('rejects a definition that does not match the schema', () => {
+    write('squat.json', { ...squat, rules: [{ ...squat.rules[0], penalty: 'high' }] });
+
+    expect(() => exerciseDefinitions.loadDefinitions(directory)).toThrow(/Invalid exercise definition squat\.json: .*penalty/);
+  });
+
+  test('rejects a rule with an undeclared error type', () => {
+    write('squat.json', { ...squat, rules: [{ ...squat.rules[0], errorType: 'wobbly_knees' }] });
+
+    expect(() => exerciseDefinitions.loadDefinitions(directory)).toThrow(/wobbly_knees/);
+  });
+
+  test('rejects two definitions with the same id', () => {
+    write('squat.json', squat);
+    write('squat-copy.json', squat);
+
+    expect(() => exerciseDefinitions.loadDefinitions(directory)).toThrow('Duplicate exercise definition for "squat"');
+  });
+
+  test('rejects an empty directory', () => {
+    expect(() => exerciseDefinitions.loadDefinitions(directory)).toThrow('No exercise definitions found');
+  });
+});
+
+describe('resolveDefinition', () => {
+  const rule = (definition, name) => definition.rules.find(entry => entry.name === name);
+
+  test('returns the shared definition when there is nothing to adjust', () => {
+    expect(exerciseDefinitions.resolveDefinition('squat')).toBe(exerciseDefinitions.getDefinition('squat'));
+  });
+
+  test('relaxes thresholds and penalties for beginners and tightens them for advanced users', () => {
+    const beginner = exerciseDefinitions.resolveDefinition('squat', { difficulty: 'beginner' });
+    const advanced = exerciseDefinitions.resolveDefinition('squat', { difficulty: 'advanced' });
+
+    expect(beginner.difficultyLevel).toBe('beginner');
+    expect(rule(beginner, 'knee_depth')).toMatchObject({ when: { above: 110 }, penalty: 15 });
+    expect(rule(advanced, 'knee_depth')).toMatchObject({ when: { above: 95 }, penalty: 25 });
+  });
+
+  test('does not penalise depth a user cannot reach because of a mobility limit', () => {
+    const definition = exerciseDefinitions.resolveDefinition('squat', {
+      difficulty: 'intermediate',
+      mobilityLimits: [{ joint: 'knee', minAngle: 120 }]
+    });
+
+    expect(rule(definition, 'knee_depth').when.above).toBe(120);
+    // Side-to-side differences are not limited by mobility
+    expect(rule(definition, 'knee_alignment').when.above).toBe(15);
+    // The bottom zone moves inside the user's range so reps still count
+    expect(definition.repCounting.bottom).toEqual({ enter: 125, exit: 135 });
+  });
+
+  test('ignores an unknown difficulty level', () => {
+    const definition = exerciseDefinitions.resolveDefinition('squat', { difficulty: 'heroic', mobilityLimits: [] });
+
+    expect(definition).toBe(exerciseDefinitions.getDefinition('squat'));
+  });
+});
+
+describe('FormAnalyzer.resolveOptions', () => {
+  const FormAnalyzer = require('../src/services/FormAnalyzer');
+
+  const user = { profile: { fitnessLevel: 'advanced', mobilityLimits: [{ joint: 'knee', minAngle: 110 }] } };
+
+  test('prefers the request, then the session, then the user profile', () => {
+    const session = { settings: { difficulty: 'intermediate' } };
+
+    expect(FormAnalyzer.resolveOptions({ user, session, difficulty: 'beginner' }).difficulty).toBe('beginner');
+    expect(FormAnalyzer.resolveOptions({ user, session }).difficulty).toBe('intermediate');
+    expect(FormAnalyzer.resolveOptions({ user }).difficulty).toBe('advanced');
+    expect(FormAnalyzer.resolveOptions({}).difficulty).toBe('beginner');
+  });
+
+  test('carries the user mobility limits', () => {
+    expect(FormAnalyzer.resolveOptions({ user }).mobilityLimits).toEqual([{ joint: 'knee', minAngle: 110 }]);
+  });
+});
@@ -0,0 +1,35 @@
+const { estimateOneRepMax, MAX_ESTIMATE_REPS } = require('../src/services/load');
+
+describe('estimateOneRepMax', () => {
+  test('uses the Epley formula by default', () => {
+    expect(estimateOneRepMax(100, 5)).toBe(116.7);
+  });
+
+  test('supports the Brzycki formula', () => {
+    expect(estimateOneRepMax(100, 5, { formula: 'brzycki' })).toBe(112.5);
+  });
+
+  test('falls back to Epley for an unknown formula', () => {
+    expect(estimateOneRepMax(100, 5, { formula: 'unknown' })).toBe(116.7);
+  });
+
+  test('returns the weight itself for a single rep', () => {
+    expect(estimateOneRepMax(140, 1)).toBe(140);
+  });
+
+  test('counts reps in reserve as reps the lifter could have done', () => {
+    expect(estimateOneRepMax(100, 5, { rir: 2 })).toBe(estimateOneRepMax(100, 7));
+  });
+
+  test('gives no estimate past the reliable rep range', () => {
+    expect(estimateOneRepMax(60, MAX_ESTIMATE_REPS)).not.toBeNull();
+    expect(estimateOneRepMax(60, MAX_ESTIMATE_REPS + 1)).toBeNull();
+    expect(estimateOneRepMax(60, MAX_ESTIMATE_REPS, { rir: 1 })).toBeNull();
+  });
+
+  test('gives no estimate without a weight or reps', () => {
+    expect(estimateOneRepMax(0, 5)).toBeNull();
+    expect(estimateOneRepMax(-20, 5)).toBeNull();
+    expect(estimateOneRepMax(100, 0)).toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const PersonalRecord = require('../src/models/PersonalRecord');
+const WorkoutSession = require('../src/models/WorkoutSession');
+const { bestsFromSessions, checkSession } = require('../src/services/personalRecords');
+
+const userId = new mongoose.Types.ObjectId();
+
+const squatSession = (totalReps, depth, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId,
+  exercise: 'squat',
+  totalReps,
+  reps: [{ passed: true, depth }],
+  exerciseSummaries: [],
+  endTime: new Date('2026-10-19T08:00:00Z'),
+  ...fields
+});
+
+const query = (result) => ({ sort: () => ({ lean: async () => result }) });
+
+describe('bestsFromSessions', () => {
+  test('keeps the best value of each exercise and metric', () => {
+    const shallow = squatSession(12, 95);
+    const deep = squatSession(8, 70);
+    const bests = bestsFromSessions([shallow, deep]);
+
+    expect(bests.get('squat:max_reps')).toEqual({ value: 12, sessionId: shallow._id });
+    // Lower is better for depth
+    expect(bests.get('squat:deepest_angle')).toEqual({ value: 70, sessionId: deep._id });
+  });
+});
+
+describe('checkSession', () => {
+  let inserted;
+
+  beforeEach(() => {
+    inserted = null;
+    jest.spyOn(PersonalRecord, 'insertMany').mockImplementation(async records => {
+      inserted = records;
+      return records;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('compares the first session after deploy with earlier sessions', async () => {
+    jest.spyOn(PersonalRecord, 'findOne').mockReturnValue(query(null));
+    const find = jest.spyOn(WorkoutSession, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [squatSession(15, 85)] })
+    });
+
+    const records = await checkSession(squatSession(10, 80));
+
+    expect(find).toHaveBeenCalledTimes(1);
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ metric: 'deepest_angle', value: 80, previousValue: 85 });
+  });
+
+  test('reports every best when there is no history at all', async () => {
+    jest.spyOn(PersonalRecord, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(WorkoutSession, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+
+    const records = await checkSession(squatSession(10, 80));
+
+    expect(records.map(record => record.metric).sort()).toEqual(['deepest_angle', 'max_reps']);
+    expect(records.every(record => record.previousValue === undefined)).toBe(true);
+  });
+
+  test('uses existing records without loading history', async () => {
+    jest.spyOn(PersonalRecord, 'findOne').mockImplementation(({ metric }) => query({
+      value: metric === 'max_reps' ? 9 : 75,
+      sessionId: new mongoose.Types.ObjectId()
+    }));
+    const find = jest.spyOn(WorkoutSession, 'find');
+
+    const records = await checkSession(squatSession(10, 80));
+
+    expect(find).not.toHaveBeenCalled();
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ metric: 'max_reps', value: 10, previousValue: 9 });
+    expect(inserted).toBe(records);
+  });
+});
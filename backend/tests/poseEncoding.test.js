@@ -0,0 +1,91 @@
+const { decodeChunk, encodeFrames, MAX_FRAMES_PER_CHUNK } = require('../src/services/poseEncoding');
+
+describe('decodeChunk', () => {
+  const startTime = Date.UTC(2026, 9, 19, 8, 0, 0);
+
+  test('decodes JSON frames and keeps only known frame fields', () => {
+    const { frames, error } = decodeChunk({
+      frames: [{
+        timestamp: startTime,
+        keypoints: { nose: { x: 0.5, y: 0.2 } },
+        phase: 'top',
+        repNumber: 0,
+        extra: 'dropped'
+      }]
+    });
+
+    expect(error).toBeUndefined();
+    expect(frames).toEqual([{
+      timestamp: new Date(startTime),
+      keypoints: { nose: { x: 0.5, y: 0.2 } },
+      worldKeypoints: undefined,
+      phase: 'top',
+      repNumber: 0
+    }]);
+  });
+
+  test('decodes quantized frames relative to the start time', () => {
+    const { frames } = decodeChunk({
+      encoding: 'quantized',
+      scale: 1000,
+      startTime,
+      landmarks: ['left_knee', 'right_knee'],
+      frames: [{ t: 33, k: [500, 250, -100, 90, null, null, null, null], view: 'side' }]
+    });
+
+    expect(frames).toHaveLength(1);
+    expect(frames[0].timestamp).toEqual(new Date(startTime + 33));
+    // A landmark without x and y is dropped
+    expect(frames[0].keypoints).toEqual({ left_knee: { x: 0.5, y: 0.25, z: -0.1, visibility: 0.9 } });
+    expect(frames[0].worldKeypoints).toBeUndefined();
+    expect(frames[0].view).toBe('side');
+  });
+
+  test('round-trips frames encoded with encodeFrames', () => {
+    const stored = [{
+      timestamp: new Date(startTime),
+      keypoints: { left_hip: { x: 0.4, y: 0.6, z: 0.01, visibility: 0.95 } },
+      worldKeypoints: { left_hip: { x: 0.1, y: 0.02, z: -0.03 } },
+      repNumber: 2
+    }];
+
+    const { frames } = decodeChunk(encodeFrames(stored));
+    expect(frames[0].timestamp).toEqual(stored[0].timestamp);
+    expect(frames[0].keypoints).toEqual(stored[0].keypoints);
+    expect(frames[0].worldKeypoints).toEqual(stored[0].worldKeypoints);
+    expect(frames[0].repNumber).toBe(2);
+  });
+
+  test('rejects empty and oversized chunks', () => {
+    expect(decodeChunk({ frames: [] }).error).toMatch(/non-empty frames/);
+    expect(decodeChunk(null).error).toMatch(/non-empty frames/);
+
+    const frames = new Array(MAX_FRAMES_PER_CHUNK + 1).fill({ timestamp: startTime, keypoints: {} });
+    expect(decodeChunk({ frames }).error).toMatch(/at most/);
+  });
+
+  test('rejects JSON frames without a timestamp or keypoints', () => {
+    expect(decodeChunk({ frames: [{ keypoints: {} }] }).error).toMatch(/timestamp and keypoints/);
+    expect(decodeChunk({ frames: [{ timestamp: 'not a date', keypoints: {} }] }).error).toMatch(/timestamp and keypoints/);
+    expect(decodeChunk({ frames: [{ timestamp: startTime }] }).error).toMatch(/timestamp and keypoints/);
+  });
+
+  test('rejects malformed quantized chunks', () => {
+    const chunk = (fields) => ({
+      encoding: 'quantized',
+      startTime,
+      landmarks: ['nose'],
+      frames: [{ t: 0, k: [1, 2, 3, 4] }],
+      ...fields
+    });
+
+    expect(decodeChunk(chunk()).error).toBeUndefined();
+    expect(decodeChunk(chunk({ encoding: 'protobuf' })).error).toMatch(/Unknown frame encoding/);
+    expect(decodeChunk(chunk({ scale: 0 })).error).toMatch(/Scale/);
+    expect(decodeChunk(chunk({ startTime: undefined })).error).toMatch(/startTime/);
+    expect(decodeChunk(chunk({ landmarks: ['tail'] })).error).toMatch(/Landmarks/);
+    expect(decodeChunk(chunk({ frames: [{ k: [1, 2, 3, 4] }] })).error).toMatch(/time offset/);
+    expect(decodeChunk(chunk({ frames: [{ t: 0, k: [1, 2, 3] }] })).error).toMatch(/4 values per landmark/);
+    expect(decodeChunk(chunk({ frames: [{ t: 0, k: [1, 2, 3, 4], w: [1] }] })).error).toMatch(/4 values per landmark/);
+  });
+});
@@ -0,0 +1,100 @@
+const poseGeometry = require('../src/services/poseGeometry');
+
+// A right angle at the origin whose second arm points away from the camera,
+// so it collapses to a straight line when depth is dropped
+const hip = { x: 0, y: -1, z: 0 };
+const knee = { x: 0, y: 0, z: 0 };
+const ankle = { x: 0, y: 1, z: 1 };
+
+// Shoulders and hips of a body turned `yaw` degrees from the camera
+const turnedBody = (yaw) => {
+  const radians = yaw * Math.PI / 180;
+  const point = (side, y) => ({
+    x: side * 0.2 * Math.cos(radians),
+    y,
+    z: side * 0.2 * Math.sin(radians)
+  });
+
+  return {
+    left_shoulder: point(1, -0.5),
+    right_shoulder: point(-1, -0.5),
+    left_hip: point(1, 0),
+    right_hip: point(-1, 0)
+  };
+};
+
+describe('calculateAngle', () => {
+  test('measures in 3D when every point has depth', () => {
+    expect(poseGeometry.calculateAngle(hip, knee, ankle, true)).toBeCloseTo(135);
+  });
+
+  test('measures in the image plane in 2D mode', () => {
+    expect(poseGeometry.calculateAngle(hip, knee, ankle, false)).toBeCloseTo(180);
+  });
+
+  test('falls back to 2D when a point has no depth', () => {
+    expect(poseGeometry.calculateAngle(hip, knee, { x: 0, y: 1 }, true)).toBeCloseTo(180);
+  });
+});
+
+describe('torsoInclination', () => {
+  test('reads an upright torso as zero and a forward lean in depth only in 3D', () => {
+    const leaning = {
+      ...turnedBody(0),
+      left_shoulder: { x: 0.2, y: -0.5, z: 0.5 },
+      right_shoulder: { x: -0.2, y: -0.5, z: 0.5 }
+    };
+
+    expect(poseGeometry.torsoInclination(turnedBody(0), true)).toBeCloseTo(0);
+    expect(poseGeometry.torsoInclination(leaning, true)).toBeCloseTo(45);
+    expect(poseGeometry.torsoInclination(leaning, false)).toBeCloseTo(0);
+  });
+
+  test('needs both shoulders and hips', () => {
+    const { left_hip, ...landmarks } = turnedBody(0);
+    expect(poseGeometry.torsoInclination(landmarks)).toBeNull();
+  });
+});
+
+describe('selectLandmarks', () => {
+  test('prefers world landmarks, which give 3D angles', () => {
+    const poseData = { keypoints: turnedBody(0), worldKeypoints: turnedBody(0) };
+
+    expect(poseGeometry.selectLandmarks(poseData)).toMatchObject({ angleMode: '3d', source: 'world' });
+  });
+
+  test('uses the image keypoints in 2D otherwise', () => {
+    const poseData = { keypoints: turnedBody(0) };
+
+    expect(poseGeometry.selectLandmarks(poseData)).toMatchObject({ angleMode: '2d', source: 'image' });
+  });
+});
+
+describe('detectView', () => {
+  test('classifies the view from shoulder yaw with world landmarks', () => {
+    const view = (yaw) => poseGeometry.detectView({ worldKeypoints: turnedBody(yaw) });
+
+    expect(view(10)).toBe('front');
+    expect(view(45)).toBe('oblique');
+    expect(view(80)).toBe('side');
+  });
+
+  test('classifies the view from shoulder width without depth', () => {
+    const image = (width) => ({
+      keypoints: {
+        left_shoulder: { x: 0.5 + width / 2, y: 0.3 },
+        right_shoulder: { x: 0.5 - width / 2, y: 0.3 },
+        left_hip: { x: 0.5 + width / 2, y: 0.7 },
+        right_hip: { x: 0.5 - width / 2, y: 0.7 }
+      }
+    });
+
+    expect(poseGeometry.detectView(image(0.3))).toBe('front');
+    expect(poseGeometry.detectView(image(0.15))).toBe('oblique');
+    expect(poseGeometry.detectView(image(0.05))).toBe('side');
+  });
+
+  test('returns null without shoulders', () => {
+    expect(poseGeometry.detectView({ keypoints: {} })).toBeNull();
+  });
+});
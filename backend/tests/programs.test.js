@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Program = require('../src/models/Program');
+const WorkoutTemplate = require('../src/models/WorkoutTemplate');
+const WorkoutSession = require('../src/models/WorkoutSession');
+const programs = require('../src/services/programs');
+const dates = require('../src/utils/dates');
+
+const plan = {
+  blocks: [{
+    exercises: [
+      { exercise: 'squat', targetReps: 8 },
+      { exercise: 'plank', targetHoldSeconds: 30 }
+    ]
+  }]
+};
+
+const mondayTemplate = new mongoose.Types.ObjectId();
+const wednesdayTemplate = new mongoose.Types.ObjectId();
+
+// Two weeks from Monday 2026-10-05: Mondays every week, Wednesdays in week 2
+const program = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  name: 'Base',
+  weeks: 2,
+  startDate: new Date('2026-10-05T00:00:00Z'),
+  schedule: [
+    { day: 1, templateId: mondayTemplate },
+    { day: 3, templateId: wednesdayTemplate, weeks: [2] }
+  ],
+  progression: [{ exercise: 'squat', metric: 'reps', increment: 2, minFormAccuracy: 85 }]
+};
+
+describe('applyProgression', () => {
+  const rule = { exercise: 'squat', metric: 'reps', increment: 2, minFormAccuracy: 85 };
+  const accuracy = { 1: { squat: 90 }, 2: { squat: 80 }, 3: { squat: 88 } };
+
+  test('adds an increment for each earlier week that reached the threshold', () => {
+    const { plan: progressed, adjustments } = programs.applyProgression(plan, [rule], accuracy, 4);
+
+    expect(progressed.blocks[0].exercises[0].targetReps).toBe(12);
+    expect(adjustments).toEqual([{ exercise: 'squat', metric: 'reps', amount: 4 }]);
+    expect(plan.blocks[0].exercises[0].targetReps).toBe(8);
+  });
+
+  test('only counts weeks before the current one', () => {
+    expect(programs.applyProgression(plan, [rule], accuracy, 1).adjustments).toEqual([]);
+    expect(programs.applyProgression(plan, [rule], accuracy, 2).plan.blocks[0].exercises[0].targetReps).toBe(10);
+  });
+
+  test('caps the increments and applies hold rules to hold targets', () => {
+    const rules = [
+      { ...rule, maxIncrements: 1 },
+      { exercise: 'plank', metric: 'holdSeconds', increment: 5, minFormAccuracy: 70 }
+    ];
+    const { plan: progressed } = programs.applyProgression(plan, rules, { ...accuracy, 1: { squat: 90, plank: 75 } }, 4);
+
+    expect(progressed.blocks[0].exercises[0].targetReps).toBe(10);
+    expect(progressed.blocks[0].exercises[1].targetHoldSeconds).toBe(35);
+  });
+});
+
+describe('resolveProgramDay', () => {
+  test('finds the week, weekday and scheduled template', () => {
+    expect(programs.resolveProgramDay(program, '2026-10-05')).toEqual({ week: 1, day: 1, templateId: mondayTemplate });
+    expect(programs.resolveProgramDay(program, '2026-10-07')).toEqual({ week: 1, day: 3, templateId: null });
+    expect(programs.resolveProgramDay(program, '2026-10-14')).toEqual({ week: 2, day: 3, templateId: wednesdayTemplate });
+  });
+
+  test('returns null outside the program', () => {
+    expect(programs.resolveProgramDay(program, '2026-10-04')).toBeNull();
+    expect(programs.resolveProgramDay(program, '2026-10-19')).toBeNull();
+  });
+
+  test('resolves the day the user is on, whatever the UTC date', () => {
+    // Late on Monday in Los Angeles is already Tuesday in Auckland
+    const moment = new Date('2026-10-13T05:30:00Z');
+
+    expect(programs.resolveProgramDay(program, dates.toDayKey(moment, 'America/Los_Angeles')))
+      .toMatchObject({ week: 2, day: 1, templateId: mondayTemplate });
+    expect(programs.resolveProgramDay(program, dates.toDayKey(moment, 'Pacific/Auckland')))
+      .toMatchObject({ week: 2, day: 2, templateId: null });
+  });
+});
+
+describe('getTodaysWorkout', () => {
+  let exists;
+
+  beforeEach(() => {
+    jest.spyOn(Program, 'find').mockReturnValue({ sort: async () => [program] });
+    jest.spyOn(WorkoutTemplate, 'findOne').mockReturnValue({
+      lean: async () => ({ _id: mondayTemplate, name: 'Legs', plan })
+    });
+    jest.spyOn(WorkoutSession, 'aggregate').mockResolvedValue([
+      { _id: { week: 1, exercise: 'squat' }, totalReps: 10, correctReps: 9, formAccuracy: 88 }
+    ]);
+    exists = jest.spyOn(WorkoutSession, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('returns the progressed workout for the day in the user time zone', async () => {
+    const workout = await programs.getTodaysWorkout(program.userId, { timeZone: 'America/Los_Angeles', dayKey: '2026-10-12' });
+
+    expect(workout).toMatchObject({ week: 2, day: 1, restDay: false, completed: false });
+    expect(workout.plan.blocks[0].exercises[0].targetReps).toBe(10);
+    expect(exists.mock.calls[0][0].$expr.$eq[0].$dateToString.timezone).toBe('America/Los_Angeles');
+  });
+
+  test('reports a rest day without loading the template', async () => {
+    const workout = await programs.getTodaysWorkout(program.userId, { timeZone: 'Pacific/Auckland', dayKey: '2026-10-13' });
+
+    expect(workout).toMatchObject({ week: 2, day: 2, restDay: true, plan: null });
+    expect(WorkoutTemplate.findOne).not.toHaveBeenCalled();
+  });
+});
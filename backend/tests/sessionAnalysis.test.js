@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const WorkoutSession = require('../src/models/WorkoutSession');
+const sessionAnalysis = require('../src/services/sessionAnalysis');
+
+const userId = new mongoose.Types.ObjectId();
+
+const rep = (...errorTypes) => ({ errorTypes });
+
+const squatSession = (day, fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId,
+  exercise: 'squat',
+  startTime: new Date(`2026-10-${day}T08:00:00Z`),
+  endTime: new Date(`2026-10-${day}T08:20:00Z`),
+  duration: 1200,
+  sets: [],
+  exerciseSummaries: [],
+  ...fields
+});
+
+// Newest first, as the history query returns them
+const history = [
+  squatSession(17, { totalReps: 4, correctReps: 2, formAccuracy: 70, reps: [rep('shallow_depth'), rep('shallow_depth'), rep(), rep()] }),
+  squatSession(15, { totalReps: 4, correctReps: 1, formAccuracy: 60, reps: [rep('shallow_depth'), rep('shallow_depth', 'back_rounded'), rep('shallow_depth'), rep()] })
+];
+
+const current = squatSession(19, {
+  totalReps: 5,
+  correctReps: 4,
+  formAccuracy: 80,
+  reps: [rep('back_rounded'), rep(), rep(), rep(), rep()]
+});
+
+describe('loadAnalysisContext', () => {
+  let find;
+  let query;
+
+  beforeEach(() => {
+    query = {
+      sort: jest.fn(() => query),
+      limit: jest.fn(() => query),
+      select: jest.fn(() => query),
+      lean: jest.fn(async () => history)
+    };
+    find = jest.spyOn(WorkoutSession, 'find').mockReturnValue(query);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('compares form accuracy and reps with the previous session and the average', async () => {
+    const { trend } = await sessionAnalysis.loadAnalysisContext(current);
+
+    expect(trend.sessions).toBe(2);
+    expect(trend.formAccuracy).toEqual({ current: 80, previous: 70, average: 65, deltaFromPrevious: 10, deltaFromAverage: 15 });
+    expect(trend.totalReps).toEqual({ current: 5, previous: 4, average: 4, deltaFromPrevious: 1, deltaFromAverage: 1 });
+  });
+
+  test('compares error frequency per error type, largest change first', async () => {
+    const { trend, sessionData } = await sessionAnalysis.loadAnalysisContext(current);
+
+    expect(trend.errorFrequency).toEqual([
+      { errorType: 'shallow_depth', current: 0, previous: 50, average: 62.5, deltaFromPrevious: -50, deltaFromAverage: -62.5 },
+      { errorType: 'back_rounded', current: 20, previous: 0, average: 12.5, deltaFromPrevious: 20, deltaFromAverage: 7.5 }
+    ]);
+    expect(sessionData.commonErrors).toEqual(['back_rounded (20% of reps)']);
+  });
+
+  test('loads earlier completed sessions of the exercise, capped at the maximum', async () => {
+    await sessionAnalysis.loadAnalysisContext(current, { historySize: 50 });
+
+    const filter = find.mock.calls[0][0];
+    expect(filter._id).toEqual({ $ne: current._id });
+    expect(filter.startTime).toEqual({ $lt: current.startTime });
+    expect(query.sort).toHaveBeenCalledWith({ startTime: -1 });
+    expect(query.limit).toHaveBeenCalledWith(sessionAnalysis.MAX_HISTORY_SIZE);
+  });
+
+  test('has no deltas without history', async () => {
+    query.lean.mockResolvedValue([]);
+
+    const { trend } = await sessionAnalysis.loadAnalysisContext(current);
+
+    expect(trend.formAccuracy).toEqual({ current: 80, previous: null, average: null, deltaFromPrevious: null, deltaFromAverage: null });
+  });
+});
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const sessionReplay = require('../src/services/sessionReplay');
+
+const FRAME_MS = 33;
+const START = new Date('2026-10-19T08:00:00Z').getTime();
+
+// Side-on squat keypoints with both knees at the given angle
+const squatKeypoints = (kneeAngle) => {
+  const shin = (180 - kneeAngle) * Math.PI / 180;
+  const keypoints = {};
+
+  ['left', 'right'].forEach((side, i) => {
+    const x = 0.5 + i * 0.01;
+    keypoints[`${side}_shoulder`] = { x, y: 0.2, visibility: 0.9 };
+    keypoints[`${side}_hip`] = { x, y: 0.5, visibility: 0.9 };
+    keypoints[`${side}_knee`] = { x, y: 0.7, visibility: 0.9 };
+    keypoints[`${side}_ankle`] = { x: x + 0.2 * Math.sin(shin), y: 0.7 + 0.2 * Math.cos(shin), visibility: 0.9 };
+  });
+
+  return keypoints;
+};
+
+// Knee angles for one rep: stand, lower to 80 degrees over a second, hold, stand up
+const repAngles = () => [
+  ...new Array(30).fill(170),
+  ...Array.from({ length: 31 }, (_, i) => 170 - 90 * i / 30),
+  ...new Array(15).fill(80),
+  ...Array.from({ length: 31 }, (_, i) => 80 + 90 * i / 30)
+];
+
+const framesFor = (angles, offset = 0) => angles.map((angle, i) => ({
+  timestamp: new Date(START + offset + i * FRAME_MS),
+  keypoints: squatKeypoints(angle)
+}));
+
+const twoReps = framesFor([...repAngles(), ...repAngles(), ...new Array(30).fill(170)]);
+
+const squatSession = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  exercise: 'squat',
+  startTime: new Date(START),
+  sets: [],
+  feedbackLog: [
+    { timestamp: new Date(START + 1500), repNumber: 1, errorType: 'shallow_depth', severity: 'low', message: 'Go deeper' },
+    { timestamp: new Date(START + 5000), repNumber: 2, errorType: 'back_rounded', severity: 'medium', message: 'Chest up' }
+  ],
+  ...fields
+});
+
+const user = { profile: { fitnessLevel: 'intermediate' } };
+
+describe('buildReplay', () => {
+  test('puts every frame, rep and feedback event on one timeline', () => {
+    const replay = sessionReplay.buildReplay(squatSession(), twoReps, { user });
+
+    expect(replay.track).toHaveLength(twoReps.length);
+    expect(replay.track[0]).toMatchObject({ t: 0, phase: 'starting' });
+    expect(replay.duration).toBe((twoReps.length - 1) * FRAME_MS);
+    expect(replay.reps.map(rep => rep.repNumber)).toEqual([1, 2]);
+    expect(replay.reps[0].start).toBeLessThan(replay.reps[0].bottom);
+    expect(replay.reps[0].end).toBeLessThanOrEqual(replay.reps[1].start);
+    expect(replay.events.map(event => event.t)).toEqual([1500, 5000]);
+  });
+
+  test('downsamples the track to the requested frame rate', () => {
+    const replay = sessionReplay.buildReplay(squatSession(), twoReps, { user, fps: 10 });
+
+    expect(replay.fps).toBe(10);
+    const gaps = replay.track.slice(1).map((frame, i) => frame.t - replay.track[i].t);
+    gaps.forEach(gap => expect(gap).toBeGreaterThanOrEqual(66));
+    expect(replay.track.length).toBeLessThan(twoReps.length / 2);
+  });
+
+  test('caps the frame rate', () => {
+    expect(sessionReplay.buildReplay(squatSession(), twoReps, { user, fps: 240 }).fps).toBe(sessionReplay.MAX_REPLAY_FPS);
+  });
+
+  test('seeks to one rep with padding either side', () => {
+    const full = sessionReplay.buildReplay(squatSession(), twoReps, { user });
+    const second = full.reps[1];
+
+    const replay = sessionReplay.buildReplay(squatSession(), twoReps, { user, rep: 2 });
+
+    expect(replay.seek).toMatchObject({ rep: 2, start: second.start - 500, end: second.end + 500 });
+    expect(replay.track.every(frame => frame.t >= second.start - 500 && frame.t <= second.end + 500)).toBe(true);
+    expect(replay.reps.map(rep => rep.repNumber)).toEqual([2]);
+    expect(replay.events.map(event => event.repNumber)).toEqual([2]);
+  });
+
+  test('returns null when seeking to a rep that does not exist', () => {
+    expect(sessionReplay.buildReplay(squatSession(), twoReps, { user, rep: 5 })).toBeNull();
+  });
+});
+
+describe('buildReplay with sets', () => {
+  const oneRep = repAngles().length * FRAME_MS;
+  const restMs = 2000;
+  // One squat set, a rest with no set running, then a second squat set
+  const frames = [
+    ...framesFor([...repAngles(), ...new Array(30).fill(170)]),
+    ...framesFor(new Array(30).fill(170), oneRep + 1000),
+    ...framesFor([...repAngles(), ...new Array(30).fill(170)], oneRep + 1000 + restMs)
+  ];
+  const sets = [
+    { _id: new mongoose.Types.ObjectId(), exercise: 'squat', setNumber: 1, startTime: new Date(START), endTime: new Date(START + oneRep + 990) },
+    { _id: new mongoose.Types.ObjectId(), exercise: 'squat', setNumber: 2, startTime: new Date(START + oneRep + 1000 + restMs) }
+  ];
+
+  test('analyses each set on its own and leaves rest frames unanalysed', () => {
+    const replay = sessionReplay.buildReplay(squatSession({ sets, feedbackLog: [] }), frames, { user });
+
+    expect(replay.sets.map(set => ({ setNumber: set.setNumber, end: set.end }))).toEqual([
+      { setNumber: 1, end: oneRep + 990 },
+      { setNumber: 2, end: null }
+    ]);
+    expect(replay.reps.map(rep => [rep.setId, rep.repNumber])).toEqual([[sets[0]._id, 1], [sets[1]._id, 1]]);
+
+    const rest = replay.track.filter(frame => frame.t > oneRep + 990 && frame.t < oneRep + 1000 + restMs);
+    expect(rest.length).toBeGreaterThan(0);
+    expect(rest.every(frame => frame.phase === undefined)).toBe(true);
+  });
+
+  test('seeks to a rep within the given set', () => {
+    const replay = sessionReplay.buildReplay(squatSession({ sets, feedbackLog: [] }), frames, {
+      user,
+      rep: 1,
+      set: sets[1]._id.toString()
+    });
+
+    expect(replay.seek).toMatchObject({ rep: 1, set: sets[1]._id.toString() });
+    expect(replay.reps.map(rep => rep.setId)).toEqual([sets[1]._id]);
+    expect(replay.track[0].t).toBeGreaterThan(oneRep + 1000);
+  });
+});
@@ -0,0 +1,42 @@
+const { computeStreaks } = require('../src/services/streaks');
+
+describe('computeStreaks', () => {
+  test('counts consecutive workout days up to today', () => {
+    expect(computeStreaks(['2026-10-09', '2026-10-10', '2026-10-11'], '2026-10-11')).toEqual({ current: 3, longest: 3 });
+  });
+
+  test('does not count today as missed before it is over', () => {
+    expect(computeStreaks(['2026-10-09', '2026-10-10'], '2026-10-11')).toEqual({ current: 2, longest: 2 });
+  });
+
+  test('breaks the streak on a missed day without rest days', () => {
+    expect(computeStreaks(['2026-10-07', '2026-10-09'], '2026-10-09')).toEqual({ current: 1, longest: 1 });
+  });
+
+  test('allows rest days within seven days', () => {
+    expect(computeStreaks(['2026-10-06', '2026-10-08', '2026-10-10'], '2026-10-10', 2)).toEqual({ current: 3, longest: 3 });
+  });
+
+  test('limits rest days over any seven days, not per calendar week', () => {
+    // Sunday 2026-10-11 and Monday 2026-10-12 fall in different calendar weeks
+    expect(computeStreaks(['2026-10-10', '2026-10-13'], '2026-10-13', 1)).toEqual({ current: 1, longest: 1 });
+  });
+
+  test('frees a rest day once it is seven days old', () => {
+    const days = ['2026-10-05', '2026-10-07', '2026-10-08', '2026-10-09', '2026-10-10',
+      '2026-10-11', '2026-10-12', '2026-10-14'];
+    // 2026-10-06 and 2026-10-13 are missed exactly seven days apart
+    expect(computeStreaks(days, '2026-10-14', 1)).toEqual({ current: 8, longest: 8 });
+    expect(computeStreaks(days.filter(day => day !== '2026-10-12'), '2026-10-14', 1)).toEqual({ current: 1, longest: 6 });
+  });
+
+  test('does not charge days missed before a break to the next streak', () => {
+    const days = ['2026-10-08', '2026-10-09'];
+    expect(computeStreaks(days, '2026-10-11', 1)).toEqual({ current: 2, longest: 2 });
+    expect(computeStreaks(['2026-10-05', ...days], '2026-10-11', 1)).toEqual({ current: 2, longest: 2 });
+  });
+
+  test('returns zeros without workouts', () => {
+    expect(computeStreaks([], '2026-10-11', 1)).toEqual({ current: 0, longest: 0 });
+  });
+});
@@ -0,0 +1,32 @@
+const { parseTempo } = require('../src/services/tempo');
+
+describe('parseTempo', () => {
+  test('parses an eccentric-pause-concentric string', () => {
+    expect(parseTempo('3-1-1')).toEqual({ eccentric: 3, pause: 1, concentric: 1 });
+  });
+
+  test('accepts fractional seconds and spaces', () => {
+    expect(parseTempo('2.5 - 0 - 1')).toEqual({ eccentric: 2.5, pause: 0, concentric: 1 });
+  });
+
+  test('parses a tempo object', () => {
+    expect(parseTempo({ eccentric: '4', pause: 0, concentric: 2 })).toEqual({ eccentric: 4, pause: 0, concentric: 2 });
+  });
+
+  test('returns null for missing values', () => {
+    expect(parseTempo(undefined)).toBeNull();
+    expect(parseTempo(null)).toBeNull();
+    expect(parseTempo('')).toBeNull();
+  });
+
+  test('returns null for malformed tempos', () => {
+    expect(parseTempo('3-1')).toBeNull();
+    expect(parseTempo('3-1-1-1')).toBeNull();
+    expect(parseTempo('3--1')).toBeNull();
+    expect(parseTempo('3-x-1')).toBeNull();
+    expect(parseTempo('3-1--1')).toBeNull();
+    expect(parseTempo({ eccentric: 3, pause: 1 })).toBeNull();
+    expect(parseTempo({ eccentric: -1, pause: 1, concentric: 1 })).toBeNull();
+    expect(parseTempo(311)).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+const User = require('../src/models/User');
+const WorkoutSession = require('../src/models/WorkoutSession');
+const userStats = require('../src/services/userStats');
+
+describe('refreshUserStats', () => {
+  let aggregate;
+  let save;
+
+  beforeEach(() => {
+    aggregate = jest.spyOn(WorkoutSession, 'aggregate').mockResolvedValue([{
+      totalWorkouts: 2,
+      totalReps: 20,
+      averageFormAccuracy: 80,
+      lastWorkout: new Date('2026-10-18T09:00:00Z'),
+      workoutDays: ['2026-10-17', '2026-10-18']
+    }]);
+    save = jest.spyOn(User.prototype, 'save').mockImplementation(async function () { return this; });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const newUser = (stats = {}) => new User({
+    email: 'lifter@example.com',
+    password: 'secret123',
+    preferences: { timeZone: 'Europe/Berlin' },
+    stats
+  });
+
+  test('keeps stats computed for today without reading sessions', async () => {
+    const user = newUser({ streakDays: 2, computedFor: '2026-10-19' });
+
+    const stats = await userStats.refreshUserStats(user, new Date('2026-10-19T12:00:00Z'));
+
+    expect(stats.streakDays).toBe(2);
+    expect(aggregate).not.toHaveBeenCalled();
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('recomputes stale stats so a lapsed streak shows as broken', async () => {
+    const user = newUser({ streakDays: 2, computedFor: '2026-10-18' });
+
+    const stats = await userStats.refreshUserStats(user, new Date('2026-10-20T12:00:00Z'));
+
+    expect(aggregate).toHaveBeenCalledTimes(1);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(stats).toMatchObject({ streakDays: 0, longestStreak: 2, computedFor: '2026-10-20' });
+  });
+});
@@ -0,0 +1,82 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../src/models/User');
+const WorkoutSession = require('../src/models/WorkoutSession');
+const workoutRoutes = require('../src/routes/workouts');
+const { getJwtSecret } = require('../src/utils/tokens');
+
+const userId = new mongoose.Types.ObjectId();
+const token = jwt.sign({ id: userId.toString() }, getJwtSecret());
+
+const app = express();
+app.use(express.json());
+app.use('/api/workouts', workoutRoutes);
+
+const session = (fields = {}) => new WorkoutSession({
+  userId,
+  exercise: 'squat',
+  startTime: new Date('2026-10-19T08:00:00Z'),
+  ...fields
+});
+
+describe('PUT /api/workouts/:sessionId/end', () => {
+  let save;
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, id: userId.toString() });
+    save = jest.spyOn(WorkoutSession.prototype, 'save').mockImplementation(async function () { return this; });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const end = (sessionId) => request(app)
+    .put(`/api/workouts/${sessionId}/end`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({});
+
+  test('refuses to end a session twice', async () => {
+    const ended = session({ endTime: new Date('2026-10-19T08:30:00Z') });
+    jest.spyOn(WorkoutSession, 'findById').mockResolvedValue(ended);
+
+    const res = await end(ended._id);
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ success: false, message: 'Session has already ended' });
+    expect(ended.endTime).toEqual(new Date('2026-10-19T08:30:00Z'));
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test("refuses to end another user's session", async () => {
+    const other = session({ userId: new mongoose.Types.ObjectId() });
+    jest.spyOn(WorkoutSession, 'findById').mockResolvedValue(other);
+
+    const res = await end(other._id);
+
+    expect(res.status).toBe(403);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('returns 404 for an unknown session', async () => {
+    jest.spyOn(WorkoutSession, 'findById').mockResolvedValue(null);
+
+    const res = await end(new mongoose.Types.ObjectId());
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('WorkoutSession.setReps', () => {
+  test('derives the rep counters from the rep records', () => {
+    const workout = session();
+    workout.setReps([
+      { repNumber: 1, passed: true, timeUnderTension: 2.14 },
+      { repNumber: 2, passed: false, timeUnderTension: 1.9 },
+      { repNumber: 3, passed: true, timeUnderTension: 2.0 }
+    ]);
+
+    expect(workout.reps).toHaveLength(3);
+    expect(workout).toMatchObject({ totalReps: 3, completedReps: 3, correctReps: 2, timeUnderTension: 6 });
+  });
+});
@@ -334,8 +334,10 @@ const WorkoutScreen: React.FC = () => {
     }
 
     try {
+      const { definition } = await analysisAPI.getExerciseDefinition("squat");
+
       console.log("Creating PoseDetector instance...");
-      const detector = new PoseDetector();
+      const detector = new PoseDetector(definition);
 
       // Wait for video to be ready
       console.log("Waiting for video to be ready...");
@@ -68,6 +68,53 @@ export interface SquatAnalysis {
   formScore: number;
 }
 
+interface DefinitionCondition {
+  metric?: { joint: string; aggregate?: string; side?: string };
+  above?: number;
+  below?: number;
+  atLeast?: number;
+  atMost?: number;
+}
+
+// The parts of a backend exercise definition (GET /analysis/exercises/:exercise)
+// the squat detector reads its thresholds from
+export interface ExerciseDefinition {
+  phaseDetection: {
+    phases: Array<DefinitionCondition & { phase: string }>;
+  };
+  rules: Array<{ errorType: string; when: DefinitionCondition }>;
+}
+
+interface SquatThresholds {
+  KNEE_ANGLE_STANDING: number;
+  KNEE_ANGLE_DESCENDING: number;
+  KNEE_ANGLE_BOTTOM: number;
+  BACK_ANGLE_MAX: number;
+}
+
+const thresholdOf = (condition: DefinitionCondition | undefined, label: string): number => {
+  const value = condition && [condition.above, condition.atLeast, condition.below, condition.atMost]
+    .find(bound => bound !== undefined);
+  if (value === undefined) {
+    throw new Error(`Squat definition has no threshold for ${label}`);
+  }
+  return value;
+};
+
+// Phase and posture thresholds come from the server's squat definition so
+// the live feedback agrees with the backend analysis
+const squatThresholds = (definition: ExerciseDefinition): SquatThresholds => {
+  const phase = (name: string) => definition.phaseDetection.phases.find(entry => entry.phase === name);
+  const rule = (errorType: string) => definition.rules.find(entry => entry.errorType === errorType)?.when;
+
+  return {
+    KNEE_ANGLE_STANDING: thresholdOf(phase('starting'), 'the starting phase'),
+    KNEE_ANGLE_DESCENDING: thresholdOf(phase('descending'), 'the descending phase'),
+    KNEE_ANGLE_BOTTOM: thresholdOf(phase('bottom'), 'the bottom phase'),
+    BACK_ANGLE_MAX: thresholdOf(rule('back_rounded'), 'back posture')
+  };
+};
+
 export class PoseDetector {
   private pose: Pose;
   private camera: Camera | null = null;
@@ -87,17 +134,13 @@ export class PoseDetector {
   private isInitialized = false;
   private isDisposed = false;
   
-  // Angle thresholds for squat detection (matching typical squat detection repos)
-  private readonly SQUAT_THRESHOLDS = {
-    KNEE_ANGLE_STANDING: 160,     // Standing position
-    KNEE_ANGLE_DESCENDING: 120,   // Descending phase
-    KNEE_ANGLE_BOTTOM: 90,        // Bottom position
-    HIP_ANGLE_MIN: 45,            // Minimum hip angle for proper squat
-    BACK_ANGLE_MAX: 45,           // Maximum forward lean
-    MIN_PHASE_FRAMES: 5           // Minimum frames to confirm phase change
-  };
+  private readonly SQUAT_THRESHOLDS: SquatThresholds;
+  private readonly HIP_ANGLE_MIN = 45;      // Minimum hip angle for proper squat
+  private readonly MIN_PHASE_FRAMES = 5;    // Minimum frames to confirm phase change
+
+  constructor(definition: ExerciseDefinition) {
+    this.SQUAT_THRESHOLDS = squatThresholds(definition);
 
-  constructor() {
     this.pose = new Pose({
       locateFile: (file) => {
         return `https://cdn.jsdelivr.net/npm/@mediapipe/pose@0.5.1675469404/${file}`;
@@ -281,7 +324,7 @@ export class PoseDetector {
         }
         
         // Hip positioning
-        if (avgHipAngle < this.SQUAT_THRESHOLDS.HIP_ANGLE_MIN) {
+        if (avgHipAngle < this.HIP_ANGLE_MIN) {
           feedback.push("HIPS: Push hips back more");
           formScore -= 15;
         }
@@ -372,7 +415,7 @@ export class PoseDetector {
     if (newPhase !== this.currentPhase) {
       this.phaseFrameCount++;
       
-      if (this.phaseFrameCount >= this.SQUAT_THRESHOLDS.MIN_PHASE_FRAMES) {
+      if (this.phaseFrameCount >= this.MIN_PHASE_FRAMES) {
         this.previousPhase = this.currentPhase;
         this.currentPhase = newPhase;
         this.phaseFrameCount = 0;
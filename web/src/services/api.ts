@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { mockAuthAPI, mockWorkoutAPI, mockAnalysisAPI, mockUserAPI } from './mockApi';
+import { ExerciseDefinition } from './PoseDetector';
 
 // API Response Types
 interface AuthResponse {
@@ -34,6 +35,12 @@ interface AnalyticsResponse {
   message?: string;
 }
 
+interface ExerciseDefinitionResponse {
+  success: boolean;
+  definition: ExerciseDefinition;
+  message?: string;
+}
+
 // Base API URL - Dynamic configuration for better connectivity
 const getBaseURL = () => {
   if (process.env.NODE_ENV === 'development') {
@@ -320,7 +327,7 @@ export const workoutAPI = {
   },
 
   // Get activity data for calendar/grid view
-  getActivity: async (days: number = 365) => {
+  getActivity: async (days: number = 365, metric: string = 'combined') => {
     if (USE_MOCK_API) {
       // Return mock activity data
       const mockActivity = [];
@@ -344,7 +351,7 @@ export const workoutAPI = {
     }
     
     try {
-      const response = await api.get(`/workouts/analytics/activity?days=${days}`);
+      const response = await api.get(`/workouts/analytics/activity?days=${days}&metric=${metric}`);
       return response;
     } catch (error) {
       throw error;
@@ -387,6 +394,20 @@ export const analysisAPI = {
     }
   },
 
+  // Get an exercise's full definition (phase thresholds, rules, guidelines)
+  getExerciseDefinition: async (exercise: string): Promise<ExerciseDefinitionResponse> => {
+    if (USE_MOCK_API) {
+      return await mockAnalysisAPI.getExerciseDefinition(exercise);
+    }
+
+    try {
+      const response = await api.get(`/analysis/exercises/${exercise}`);
+      return response as unknown as ExerciseDefinitionResponse;
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Batch analyze poses
   batchAnalyze: async (poseFrames: any[], exercise: string) => {
     try {
@@ -426,11 +447,14 @@ export const analysisAPI = {
     }
   },
 
-  // Get AI session analysis
-  getAISessionAnalysis: async (sessionData: any): Promise<any> => {
+  // Get AI analysis of a completed session, compared with the last `history`
+  // sessions of the exercise. Saved analyses are returned unless `regenerate`.
+  getAISessionAnalysis: async (sessionId: string, history?: number, regenerate = false): Promise<any> => {
     try {
       const response = await api.post('/analysis/ai-session-analysis', {
-        sessionData
+        sessionId,
+        history,
+        regenerate
       });
       return response;
     } catch (error) {
@@ -1,6 +1,8 @@
 // Mock API service for when backend is not accessible
 // This simulates the backend responses for testing purposes
 
+import { ExerciseDefinition } from './PoseDetector';
+
 const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
 
 // Mock user data
@@ -315,6 +317,31 @@ export const mockAnalysisAPI = {
       success: true,
       guidelines: guidelines[exercise] || guidelines.squat
     };
+  },
+
+  getExerciseDefinition: async (exercise: string) => {
+    await delay(300);
+
+    // Mirrors the thresholds of the backend's squat definition
+    const definition: ExerciseDefinition = {
+      phaseDetection: {
+        phases: [
+          { phase: 'starting', above: 160 },
+          { phase: 'descending', above: 120 },
+          { phase: 'bottom', atLeast: 90 }
+        ]
+      },
+      rules: [
+        { errorType: 'shallow_depth', when: { metric: { joint: 'knee', aggregate: 'average' }, above: 100 } },
+        { errorType: 'back_rounded', when: { metric: { joint: 'back' }, above: 30 } },
+        { errorType: 'knees_inward', when: { metric: { joint: 'knee', aggregate: 'difference' }, above: 15 } }
+      ]
+    };
+
+    return {
+      success: true,
+      definition
+    };
   }
 };
 